@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_ACCOUNT = 'default';
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Named X accounts, each with its own stored browser session. The default account keeps
+// using the original single-session file so existing logins carry over.
+class AccountManager {
+    constructor(appDir, defaultSessionFile) {
+        this.appDir = appDir;
+        this.accountsDir = path.join(appDir, 'accounts');
+        this.accountsFile = path.join(appDir, 'accounts.json');
+        this.defaultSessionFile = defaultSessionFile;
+    }
+
+    async list() {
+        try {
+            const accounts = JSON.parse(await fs.readFile(this.accountsFile, 'utf8'));
+            if (!accounts.some(account => account.name === DEFAULT_ACCOUNT)) {
+                accounts.unshift(this.createAccount(DEFAULT_ACCOUNT));
+            }
+            return accounts;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [this.createAccount(DEFAULT_ACCOUNT)];
+            }
+            throw error;
+        }
+    }
+
+    async get(name) {
+        const accounts = await this.list();
+        return accounts.find(account => account.name === name) || null;
+    }
+
+    async add(name, label = '') {
+        if (!ACCOUNT_NAME_PATTERN.test(name || '')) {
+            throw new Error('Account name may only contain letters, numbers, "-" and "_" (max 32 characters)');
+        }
+
+        const accounts = await this.list();
+        if (accounts.some(account => account.name === name)) {
+            throw new Error(`Account ${name} already exists`);
+        }
+
+        const account = this.createAccount(name, label);
+        accounts.push(account);
+        await this.save(accounts);
+        await fs.mkdir(path.dirname(this.getSessionFile(name)), { recursive: true });
+        return account;
+    }
+
+    async remove(name) {
+        if (name === DEFAULT_ACCOUNT) {
+            throw new Error('The default account cannot be removed');
+        }
+
+        // The name becomes a folder path, so only a stored, valid name may reach fs.rm
+        const accounts = await this.list();
+        if (!ACCOUNT_NAME_PATTERN.test(name || '') || !accounts.some(account => account.name === name)) {
+            throw new Error(`Unknown account: ${name}`);
+        }
+
+        await this.save(accounts.filter(account => account.name !== name));
+        await fs.rm(path.join(this.accountsDir, name), { recursive: true, force: true });
+    }
+
+    // Merge fields into a stored account, e.g. last_login_at after a successful login
+    async update(name, fields) {
+        const accounts = await this.list();
+        const account = accounts.find(account => account.name === name);
+        if (!account) {
+            throw new Error(`Unknown account: ${name}`);
+        }
+
+        Object.assign(account, fields, { updated_at: new Date().toISOString() });
+        await this.save(accounts);
+        return account;
+    }
+
+    getSessionFile(name) {
+        if (name === DEFAULT_ACCOUNT) {
+            return this.defaultSessionFile;
+        }
+        return path.join(this.accountsDir, name, 'twitter_session.json');
+    }
+
+    async hasSession(name) {
+        try {
+            await fs.access(this.getSessionFile(name));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    createAccount(name, label = '') {
+        return {
+            name,
+            label: label || name,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+            last_login_at: null
+        };
+    }
+
+    async save(accounts) {
+        await fs.mkdir(this.appDir, { recursive: true });
+        await fs.writeFile(this.accountsFile, JSON.stringify(accounts, null, 2));
+    }
+}
+
+AccountManager.DEFAULT_ACCOUNT = DEFAULT_ACCOUNT;
+
+module.exports = AccountManager;
@@ -2,6 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
 const Logger = require('./logger');
+const SearchQuery = require('./search-query');
+const TweetSearch = require('./tweet-search');
+const CheckpointStore = require('./checkpoint-store');
 
 class APIServer {
     constructor(scraper) {
@@ -89,14 +92,64 @@ class APIServer {
                     },
                     '/api/auth/twitter/start': {
                         method: 'POST',
-                        description: 'Start Twitter authentication process'
+                        description: 'Start Twitter authentication process',
+                        body: {
+                            account: '(Optional) Name of the X account to log in (default: the active account)'
+                        }
+                    },
+                    '/api/accounts': {
+                        method: 'GET',
+                        description: 'List the configured X accounts, their authentication status and network settings (proxy passwords are redacted)'
+                    },
+                    '/api/profiles/:handle/history': {
+                        method: 'GET',
+                        description: 'Follower, following and post count snapshots of a profile from every profile scrape, oldest first, with the change since the previous snapshot',
+                        query: {
+                            since: '(Optional) Only snapshots taken at or after this date',
+                            until: '(Optional) Only snapshots taken at or before this date',
+                            limit: '(Optional) Only the most recent snapshots'
+                        }
+                    },
+                    '/api/tweets/:tweetId/metrics': {
+                        method: 'GET',
+                        description: 'Likes, retweets, replies and views of a tweet from every scrape that saw it, oldest first, with the change since the previous snapshot'
+                    },
+                    '/api/entities/:type/:value/tweets': {
+                        method: 'GET',
+                        description: 'Stored tweets containing a hashtag, mention, cashtag or link domain, newest first (type: hashtag, mention, cashtag or domain)',
+                        query: {
+                            limit: '(Optional) Number of tweets to return (default: 100, max: 1000)'
+                        }
+                    },
+                    '/api/users/:handle/tweets': {
+                        method: 'GET',
+                        description: 'Stored tweets written by a user, newest first',
+                        query: {
+                            since: '(Optional) Only tweets posted at or after this date (ISO 8601)',
+                            until: '(Optional) Only tweets posted at or before this date (ISO 8601)',
+                            limit: '(Optional) Number of tweets to return (default: 100, max: 1000)'
+                        }
+                    },
+                    '/api/tweets/search': {
+                        method: 'GET',
+                        description: 'Full-text search of the stored tweets by content, author, hashtags, mentions, cashtags and link domains, each tweet once with an HTML snippet marking the matches',
+                        query: {
+                            q: 'Words that must all match, "exact phrases", word* prefixes, OR between alternatives, NOT or a leading - to exclude and parentheses to group',
+                            since: '(Optional) Only tweets posted at or after this date (ISO 8601)',
+                            until: '(Optional) Only tweets posted at or before this date (ISO 8601)',
+                            sort: '(Optional) relevance (default) or newest',
+                            limit: '(Optional) Number of tweets to return (default: 50, max: 1000)'
+                        }
                     },
                     '/api/scrape/tweets': {
                         method: 'POST',
                         description: 'Search and scrape tweets',
                         body: {
-                            query: 'Search query string',
+                            query: 'Search query string, or a search spec object: { all_words, any_words, exact_phrase, none_words, hashtags, from, to, mentions, since, until (YYYY-MM-DD), min_likes, min_retweets, min_replies, lang, filters, exclude_filters, tab (latest|top|media) }',
                             limit: 'Number of tweets to fetch (default: 10, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            incremental: '(Optional) Only return tweets newer than the last scrape of this query (latest tab only)',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
                             publicKey: '(Optional) RSA public key for response encryption'
                         }
                     },
@@ -106,6 +159,9 @@ class APIServer {
                         body: {
                             username: 'Twitter username (without @)',
                             limit: 'Number of tweets to fetch (default: 10, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            incremental: '(Optional) Only return tweets newer than the last scrape of this profile',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
                             publicKey: '(Optional) RSA public key for response encryption'
                         }
                     },
@@ -114,6 +170,80 @@ class APIServer {
                         description: 'Scrape home timeline tweets',
                         body: {
                             limit: 'Number of tweets to fetch (default: 10, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/thread': {
+                        method: 'POST',
+                        description: 'Scrape a conversation: root tweet, author self-thread and replies with parent links',
+                        body: {
+                            tweetUrl: 'URL of any tweet in the conversation',
+                            limit: 'Number of tweets to fetch (default: 50, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/bookmarks': {
+                        method: 'POST',
+                        description: 'Scrape the bookmarks of the account used for the scrape',
+                        body: {
+                            limit: 'Number of tweets to fetch (default: 100, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            account: '(Optional) Name of the X account whose bookmarks to scrape (default: the active account)',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/likes': {
+                        method: 'POST',
+                        description: 'Scrape the tweets a user has liked. X only shows the likes tab of the logged-in account',
+                        body: {
+                            username: 'Twitter username (without @)',
+                            limit: 'Number of tweets to fetch (default: 100, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/list': {
+                        method: 'POST',
+                        description: 'Scrape the tweet timeline of an X List',
+                        body: {
+                            list: 'List URL (https://x.com/i/lists/<id>) or numeric list ID',
+                            limit: 'Number of tweets to fetch (default: 100, max: 500)',
+                            downloadMedia: '(Optional) Download tweet media into local storage',
+                            incremental: '(Optional) Only return tweets newer than the last scrape of this list',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/resume': {
+                        method: 'POST',
+                        description: 'Resume an interrupted API scrape from its checkpoint, appending to the same session',
+                        body: {
+                            sessionId: 'Session ID returned by the interrupted scrape',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/followers': {
+                        method: 'POST',
+                        description: 'Scrape the accounts following a user',
+                        body: {
+                            username: 'Twitter username (without @)',
+                            limit: 'Number of users to fetch (default: 100, max: 1000)',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
+                            publicKey: '(Optional) RSA public key for response encryption'
+                        }
+                    },
+                    '/api/scrape/following': {
+                        method: 'POST',
+                        description: 'Scrape the accounts a user follows',
+                        body: {
+                            username: 'Twitter username (without @)',
+                            limit: 'Number of users to fetch (default: 100, max: 1000)',
+                            account: '(Optional) Name of the X account to scrape with (default: the active account)',
                             publicKey: '(Optional) RSA public key for response encryption'
                         }
                     }
@@ -170,7 +300,7 @@ class APIServer {
         // Authentication endpoint
         this.app.post('/api/auth/twitter/start', async (req, res) => {
             try {
-                const success = await this.scraper.startAuth();
+                const success = await this.scraper.startAuth(req.body.account);
                 if (!success) {
                     return res.status(500).json({ error: 'Failed to start Twitter authentication' });
                 }
@@ -181,10 +311,151 @@ class APIServer {
             }
         });
 
+        // Accounts endpoint
+        this.app.get('/api/accounts', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/accounts', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const accounts = await this.scraper.getAccounts();
+                res.json({ status: 'success', accounts });
+            } catch (error) {
+                console.error('Accounts error:', error);
+                res.status(500).json({ error: 'Failed to list accounts' });
+            }
+        });
+
+        // Profile history endpoint
+        this.app.get('/api/profiles/:handle/history', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/profiles/:handle/history', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { since, until, limit } = req.query;
+                if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+                    return res.status(400).json({ error: 'since and until must be valid dates' });
+                }
+
+                const history = await this.scraper.db.getProfileHistory(req.params.handle, {
+                    since,
+                    until,
+                    limit: limit ? Math.max(parseInt(limit) || 0, 1) : null
+                });
+                res.json({ status: 'success', ...history });
+            } catch (error) {
+                console.error('Profile history error:', error);
+                res.status(500).json({ error: 'Failed to get profile history: ' + error.message });
+            }
+        });
+
+        // Tweet metric history endpoint
+        this.app.get('/api/tweets/:tweetId/metrics', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/tweets/:tweetId/metrics', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                if (!/^\d+$/.test(req.params.tweetId)) {
+                    return res.status(400).json({ error: 'tweetId must be a numeric tweet ID' });
+                }
+
+                const history = await this.scraper.db.getTweetMetricsHistory(req.params.tweetId);
+                if (history.snapshots.length === 0) {
+                    return res.status(404).json({ error: 'No metrics recorded for tweet ' + req.params.tweetId });
+                }
+                res.json({ status: 'success', ...history });
+            } catch (error) {
+                console.error('Tweet metrics history error:', error);
+                res.status(500).json({ error: 'Failed to get tweet metrics history: ' + error.message });
+            }
+        });
+
+        // Entity lookup endpoint
+        this.app.get('/api/entities/:type/:value/tweets', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/entities/:type/:value/tweets', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                if (!['hashtag', 'mention', 'cashtag', 'domain'].includes(req.params.type)) {
+                    return res.status(400).json({ error: 'type must be hashtag, mention, cashtag or domain' });
+                }
+
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+                const tweets = await this.scraper.db.getTweetsByEntity(req.params.type, req.params.value, limit);
+                res.json({ status: 'success', type: req.params.type, value: req.params.value, count: tweets.length, tweets });
+            } catch (error) {
+                console.error('Entity lookup error:', error);
+                res.status(500).json({ error: 'Failed to look up tweets by entity: ' + error.message });
+            }
+        });
+
+        // Stored tweets by author
+        this.app.get('/api/users/:handle/tweets', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/users/:handle/tweets', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { since, until } = req.query;
+                for (const [name, value] of Object.entries({ since, until })) {
+                    if (value && isNaN(new Date(value).getTime())) {
+                        return res.status(400).json({ error: `${name} must be a date` });
+                    }
+                }
+
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+                const tweets = await this.scraper.db.getTweetsByHandle(req.params.handle, { since, until, limit });
+                res.json({ status: 'success', handle: req.params.handle, count: tweets.length, tweets });
+            } catch (error) {
+                console.error('User tweets lookup error:', error);
+                res.status(500).json({ error: 'Failed to look up tweets by user: ' + error.message });
+            }
+        });
+
+        // Full-text search of stored tweets
+        this.app.get('/api/tweets/search', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/tweets/search', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { q, since, until, sort = 'relevance' } = req.query;
+                try {
+                    TweetSearch.parse(q);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                for (const [name, value] of Object.entries({ since, until })) {
+                    if (value && isNaN(new Date(value).getTime())) {
+                        return res.status(400).json({ error: `${name} must be a date` });
+                    }
+                }
+                if (!['relevance', 'newest'].includes(sort)) {
+                    return res.status(400).json({ error: 'sort must be relevance or newest' });
+                }
+
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 1000);
+                const tweets = await this.scraper.db.searchTweets(q, { since, until, limit, sort });
+                res.json({ status: 'success', query: q, count: tweets.length, tweets });
+            } catch (error) {
+                console.error('Tweet search error:', error);
+                res.status(500).json({ error: 'Failed to search tweets: ' + error.message });
+            }
+        });
+
         // Tweet search endpoint
         this.app.post('/api/scrape/tweets', async (req, res) => {
             try {
-                if (!this.scraper.isLoggedIn) {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
                     this.logger.warn('API attempt without login', { endpoint: '/api/scrape/tweets', ip: req.ip });
                     return res.status(403).json({ error: 'Not logged in to Twitter' });
                 }
@@ -194,12 +465,19 @@ class APIServer {
                     return res.status(403).json({ error: 'API delegation is not enabled' });
                 }
 
-                const { query, limit = 10, publicKey } = req.body;
+                const { query, limit = 10, downloadMedia, incremental, account, publicKey } = req.body;
                 if (!query) {
                     this.logger.warn('API request missing query', { endpoint: '/api/scrape/tweets', ip: req.ip });
                     return res.status(400).json({ error: 'Query parameter is required' });
                 }
 
+                // query may be a raw search string or a structured search spec
+                try {
+                    SearchQuery.normalize(query);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
                 // Log start of scraping operation
                 this.logger.info('Starting tweet scrape', { 
                     endpoint: '/api/scrape/tweets',
@@ -213,7 +491,7 @@ class APIServer {
                 const tweetLimit = Math.min(parseInt(limit) || 10, 500);
                 
                 // Perform the scraping operation
-                const scrapingResult = await this.scraper.scrapeTweets(query, tweetLimit, 'api');
+                const scrapingResult = await this.scraper.scrapeTweets(query, tweetLimit, 'api', { account, downloadMedia, incremental });
                 const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId,'api');
                 
                 // Log successful scrape
@@ -263,7 +541,7 @@ class APIServer {
         // Profile scraping endpoint
         this.app.post('/api/scrape/profile', async (req, res) => {
             try {
-                if (!this.scraper.isLoggedIn) {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
                     this.logger.warn('API attempt without login', { endpoint: '/api/scrape/profile', ip: req.ip });
                     return res.status(403).json({ error: 'Not logged in to Twitter' });
                 }
@@ -273,7 +551,7 @@ class APIServer {
                     return res.status(403).json({ error: 'API delegation is not enabled' });
                 }
 
-                const { username, limit = 10, publicKey } = req.body;
+                const { username, limit = 10, downloadMedia, incremental, account, publicKey } = req.body;
                 if (!username) {
                     this.logger.warn('API request missing username', { endpoint: '/api/scrape/profile', ip: req.ip });
                     return res.status(400).json({ error: 'Username parameter is required' });
@@ -292,7 +570,7 @@ class APIServer {
                 const tweetLimit = Math.min(parseInt(limit) || 10, 500);
                 
                 // Perform the scraping operation
-                const scrapingResult = await this.scraper.scrapeProfile(username, tweetLimit,'api');
+                const scrapingResult = await this.scraper.scrapeProfile(username, tweetLimit, 'api', { account, downloadMedia, incremental });
                 const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId,'api');
                 
                 // Get profile info if available
@@ -358,7 +636,7 @@ class APIServer {
         // Home timeline endpoint
         this.app.post('/api/scrape/home', async (req, res) => {
             try {
-                if (!this.scraper.isLoggedIn) {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
                     this.logger.warn('API attempt without login', { endpoint: '/api/scrape/home', ip: req.ip });
                     return res.status(403).json({ error: 'Not logged in to Twitter' });
                 }
@@ -368,7 +646,7 @@ class APIServer {
                     return res.status(403).json({ error: 'API delegation is not enabled' });
                 }
 
-                const { limit = 10, publicKey } = req.body;
+                const { limit = 10, downloadMedia, account, publicKey } = req.body;
                 
                 // Log start of scraping operation
                 this.logger.info('Starting home timeline scrape', { 
@@ -382,7 +660,7 @@ class APIServer {
                 const tweetLimit = Math.min(parseInt(limit) || 10, 500);
                 
                 // Perform the scraping operation
-                const scrapingResult = await this.scraper.scrapeHomeTimeline(tweetLimit, 'api');
+                const scrapingResult = await this.scraper.scrapeHomeTimeline(tweetLimit, 'api', { account, downloadMedia });
                 const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId, 'api');
                 
                 // Log successful scrape
@@ -432,6 +710,506 @@ class APIServer {
                 res.status(500).json({ error: 'Failed to scrape home timeline: ' + error.message });
             }
         });
+
+        // Thread scraping endpoint
+        this.app.post('/api/scrape/thread', async (req, res) => {
+            try {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
+                    this.logger.warn('API attempt without login', { endpoint: '/api/scrape/thread', ip: req.ip });
+                    return res.status(403).json({ error: 'Not logged in to Twitter' });
+                }
+
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/scrape/thread', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { tweetUrl, limit = 50, downloadMedia, account, publicKey } = req.body;
+                if (!tweetUrl) {
+                    this.logger.warn('API request missing tweetUrl', { endpoint: '/api/scrape/thread', ip: req.ip });
+                    return res.status(400).json({ error: 'tweetUrl parameter is required' });
+                }
+
+                try {
+                    this.scraper.parseTweetUrl(tweetUrl);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                // Log start of scraping operation
+                this.logger.info('Starting thread scrape', {
+                    endpoint: '/api/scrape/thread',
+                    tweetUrl,
+                    limit: Math.min(parseInt(limit) || 50, 500),
+                    hasPublicKey: !!publicKey,
+                    ip: req.ip
+                });
+
+                // Enforce tweet limit
+                const tweetLimit = Math.min(parseInt(limit) || 50, 500);
+
+                // Perform the scraping operation
+                const scrapingResult = await this.scraper.scrapeThread(tweetUrl, tweetLimit, 'api', { account, downloadMedia });
+                const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId, 'api');
+
+                // Log successful scrape
+                this.logger.info('Thread scrape completed', {
+                    endpoint: '/api/scrape/thread',
+                    tweetUrl,
+                    tweetsFound: tweets ? tweets.length : 0,
+                    sessionId: scrapingResult.sessionId
+                });
+
+                const responseData = {
+                    rootTweetId: scrapingResult.rootTweetId,
+                    tweets: tweets
+                };
+
+                if (publicKey) {
+                    try {
+                        // Return encrypted response
+                        const encryptedData = this.encryptData(responseData, publicKey);
+                        res.json({
+                            status: 'success',
+                            encrypted: true,
+                            data: encryptedData
+                        });
+                    } catch (error) {
+                        this.logger.error('Encryption error', {
+                            endpoint: '/api/scrape/thread',
+                            tweetUrl,
+                            error: error.message
+                        });
+                        return res.status(400).json({ error: 'Invalid public key or encryption error' });
+                    }
+                } else {
+                    res.json({
+                        status: 'success',
+                        data: responseData
+                    });
+                }
+            } catch (error) {
+                this.logger.error('Thread scraping error', {
+                    endpoint: '/api/scrape/thread',
+                    error: error.message,
+                    stack: error.stack
+                });
+                console.error('Thread scraping error:', error);
+                res.status(500).json({ error: 'Failed to scrape thread: ' + error.message });
+            }
+        });
+
+        // Bookmarks scraping endpoint
+        this.app.post('/api/scrape/bookmarks', async (req, res) => {
+            try {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
+                    this.logger.warn('API attempt without login', { endpoint: '/api/scrape/bookmarks', ip: req.ip });
+                    return res.status(403).json({ error: 'Not logged in to Twitter' });
+                }
+
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/scrape/bookmarks', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { limit = 100, downloadMedia, account, publicKey } = req.body;
+
+                // Log start of scraping operation
+                this.logger.info('Starting bookmarks scrape', {
+                    endpoint: '/api/scrape/bookmarks',
+                    limit: Math.min(parseInt(limit) || 100, 500),
+                    hasPublicKey: !!publicKey,
+                    ip: req.ip
+                });
+
+                // Enforce tweet limit
+                const tweetLimit = Math.min(parseInt(limit) || 100, 500);
+
+                // Perform the scraping operation
+                const scrapingResult = await this.scraper.scrapeBookmarks(tweetLimit, 'api', { account, downloadMedia });
+                const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId, 'api');
+
+                // Log successful scrape
+                this.logger.info('Bookmarks scrape completed', {
+                    endpoint: '/api/scrape/bookmarks',
+                    target: scrapingResult.target,
+                    tweetsFound: tweets ? tweets.length : 0,
+                    sessionId: scrapingResult.sessionId
+                });
+
+                const responseData = {
+                    target: scrapingResult.target,
+                    tweets: tweets
+                };
+
+                if (publicKey) {
+                    try {
+                        // Return encrypted response
+                        const encryptedData = this.encryptData(responseData, publicKey);
+                        res.json({
+                            status: 'success',
+                            encrypted: true,
+                            data: encryptedData
+                        });
+                    } catch (error) {
+                        this.logger.error('Encryption error', {
+                            endpoint: '/api/scrape/bookmarks',
+                            error: error.message
+                        });
+                        return res.status(400).json({ error: 'Invalid public key or encryption error' });
+                    }
+                } else {
+                    res.json({
+                        status: 'success',
+                        data: responseData
+                    });
+                }
+            } catch (error) {
+                this.logger.error('Bookmarks scraping error', {
+                    endpoint: '/api/scrape/bookmarks',
+                    error: error.message,
+                    stack: error.stack
+                });
+                console.error('Bookmarks scraping error:', error);
+                res.status(500).json({ error: 'Failed to scrape bookmarks: ' + error.message });
+            }
+        });
+
+        // Likes scraping endpoint
+        this.app.post('/api/scrape/likes', async (req, res) => {
+            try {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
+                    this.logger.warn('API attempt without login', { endpoint: '/api/scrape/likes', ip: req.ip });
+                    return res.status(403).json({ error: 'Not logged in to Twitter' });
+                }
+
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/scrape/likes', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { username, limit = 100, downloadMedia, account, publicKey } = req.body;
+                if (!username) {
+                    this.logger.warn('API request missing username', { endpoint: '/api/scrape/likes', ip: req.ip });
+                    return res.status(400).json({ error: 'username parameter is required' });
+                }
+
+                // Log start of scraping operation
+                this.logger.info('Starting likes scrape', {
+                    endpoint: '/api/scrape/likes',
+                    username,
+                    limit: Math.min(parseInt(limit) || 100, 500),
+                    hasPublicKey: !!publicKey,
+                    ip: req.ip
+                });
+
+                // Enforce tweet limit
+                const tweetLimit = Math.min(parseInt(limit) || 100, 500);
+
+                // Perform the scraping operation
+                const scrapingResult = await this.scraper.scrapeLikes(username, tweetLimit, 'api', { account, downloadMedia });
+                const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId, 'api');
+
+                // Log successful scrape
+                this.logger.info('Likes scrape completed', {
+                    endpoint: '/api/scrape/likes',
+                    target: scrapingResult.target,
+                    tweetsFound: tweets ? tweets.length : 0,
+                    sessionId: scrapingResult.sessionId
+                });
+
+                const responseData = {
+                    target: scrapingResult.target,
+                    tweets: tweets
+                };
+
+                if (publicKey) {
+                    try {
+                        // Return encrypted response
+                        const encryptedData = this.encryptData(responseData, publicKey);
+                        res.json({
+                            status: 'success',
+                            encrypted: true,
+                            data: encryptedData
+                        });
+                    } catch (error) {
+                        this.logger.error('Encryption error', {
+                            endpoint: '/api/scrape/likes',
+                            error: error.message
+                        });
+                        return res.status(400).json({ error: 'Invalid public key or encryption error' });
+                    }
+                } else {
+                    res.json({
+                        status: 'success',
+                        data: responseData
+                    });
+                }
+            } catch (error) {
+                this.logger.error('Likes scraping error', {
+                    endpoint: '/api/scrape/likes',
+                    error: error.message,
+                    stack: error.stack
+                });
+                console.error('Likes scraping error:', error);
+                res.status(500).json({ error: 'Failed to scrape likes: ' + error.message });
+            }
+        });
+
+        // List scraping endpoint
+        this.app.post('/api/scrape/list', async (req, res) => {
+            try {
+                if (!(await this.scraper.canScrapeAs(req.body.account))) {
+                    this.logger.warn('API attempt without login', { endpoint: '/api/scrape/list', ip: req.ip });
+                    return res.status(403).json({ error: 'Not logged in to Twitter' });
+                }
+
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/scrape/list', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { list, limit = 100, downloadMedia, incremental, account, publicKey } = req.body;
+                if (!list) {
+                    this.logger.warn('API request missing list', { endpoint: '/api/scrape/list', ip: req.ip });
+                    return res.status(400).json({ error: 'list parameter is required' });
+                }
+
+                try {
+                    this.scraper.parseListId(list);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+
+                // Log start of scraping operation
+                this.logger.info('Starting list scrape', {
+                    endpoint: '/api/scrape/list',
+                    list,
+                    limit: Math.min(parseInt(limit) || 100, 500),
+                    hasPublicKey: !!publicKey,
+                    ip: req.ip
+                });
+
+                // Enforce tweet limit
+                const tweetLimit = Math.min(parseInt(limit) || 100, 500);
+
+                // Perform the scraping operation
+                const scrapingResult = await this.scraper.scrapeList(list, tweetLimit, 'api', { account, downloadMedia, incremental });
+                const tweets = await this.scraper.getTweetsBySession(scrapingResult.sessionId, 'api');
+
+                // Log successful scrape
+                this.logger.info('List scrape completed', {
+                    endpoint: '/api/scrape/list',
+                    target: scrapingResult.target,
+                    tweetsFound: tweets ? tweets.length : 0,
+                    sessionId: scrapingResult.sessionId
+                });
+
+                const responseData = {
+                    target: scrapingResult.target,
+                    tweets: tweets
+                };
+
+                if (publicKey) {
+                    try {
+                        // Return encrypted response
+                        const encryptedData = this.encryptData(responseData, publicKey);
+                        res.json({
+                            status: 'success',
+                            encrypted: true,
+                            data: encryptedData
+                        });
+                    } catch (error) {
+                        this.logger.error('Encryption error', {
+                            endpoint: '/api/scrape/list',
+                            error: error.message
+                        });
+                        return res.status(400).json({ error: 'Invalid public key or encryption error' });
+                    }
+                } else {
+                    res.json({
+                        status: 'success',
+                        data: responseData
+                    });
+                }
+            } catch (error) {
+                this.logger.error('List scraping error', {
+                    endpoint: '/api/scrape/list',
+                    error: error.message,
+                    stack: error.stack
+                });
+                console.error('List scraping error:', error);
+                res.status(500).json({ error: 'Failed to scrape list: ' + error.message });
+            }
+        });
+
+        // Resume an interrupted scrape from its checkpoint
+        this.app.post('/api/scrape/resume', async (req, res) => {
+            try {
+                if (!this.isDelegationEnabled) {
+                    this.logger.warn('API attempt without delegation', { endpoint: '/api/scrape/resume', ip: req.ip });
+                    return res.status(403).json({ error: 'API delegation is not enabled' });
+                }
+
+                const { sessionId, publicKey } = req.body;
+                if (!sessionId) {
+                    this.logger.warn('API request missing sessionId', { endpoint: '/api/scrape/resume', ip: req.ip });
+                    return res.status(400).json({ error: 'sessionId parameter is required' });
+                }
+                if (!CheckpointStore.isValidSessionId(sessionId)) {
+                    this.logger.warn('API request with invalid sessionId', { endpoint: '/api/scrape/resume', ip: req.ip });
+                    return res.status(400).json({ error: 'sessionId may only contain letters, numbers, "-" and "_"' });
+                }
+
+                // Only sessions started through the API can be resumed through it
+                const checkpoint = await this.scraper.checkpointStore.load(sessionId);
+                if (!checkpoint || checkpoint.source !== 'api') {
+                    return res.status(404).json({ error: 'No resumable API session found for ' + sessionId });
+                }
+
+                // The scrape resumes with the account it was started with
+                if (!(await this.scraper.canScrapeAs(checkpoint.options?.account))) {
+                    this.logger.warn('API attempt without login', { endpoint: '/api/scrape/resume', ip: req.ip });
+                    return res.status(403).json({ error: 'Not logged in to Twitter' });
+                }
+
+                this.logger.info('Resuming scrape', {
+                    endpoint: '/api/scrape/resume',
+                    sessionId,
+                    type: checkpoint.type,
+                    collected: checkpoint.tweets.length,
+                    ip: req.ip
+                });
+
+                const scrapingResult = await this.scraper.resumeSession(sessionId);
+                const tweets = await this.scraper.getTweetsBySession(sessionId, 'api');
+
+                this.logger.info('Resumed scrape completed', {
+                    endpoint: '/api/scrape/resume',
+                    sessionId,
+                    tweetsFound: tweets ? tweets.length : 0,
+                    status: scrapingResult.status
+                });
+
+                if (publicKey) {
+                    try {
+                        // Return encrypted response
+                        const encryptedData = this.encryptData(tweets, publicKey);
+                        res.json({
+                            status: 'success',
+                            encrypted: true,
+                            data: encryptedData
+                        });
+                    } catch (error) {
+                        this.logger.error('Encryption error', {
+                            endpoint: '/api/scrape/resume',
+                            sessionId,
+                            error: error.message
+                        });
+                        return res.status(400).json({ error: 'Invalid public key or encryption error' });
+                    }
+                } else {
+                    res.json({
+                        status: 'success',
+                        sessionId,
+                        tweets: tweets
+                    });
+                }
+            } catch (error) {
+                this.logger.error('Scrape resume error', {
+                    endpoint: '/api/scrape/resume',
+                    error: error.message,
+                    stack: error.stack
+                });
+                console.error('Scrape resume error:', error);
+                res.status(500).json({ error: 'Failed to resume scrape: ' + error.message });
+            }
+        });
+
+        // Followers and following list endpoints
+        for (const relation of ['followers', 'following']) {
+            const endpoint = `/api/scrape/${relation}`;
+
+            this.app.post(endpoint, async (req, res) => {
+                try {
+                    if (!(await this.scraper.canScrapeAs(req.body.account))) {
+                        this.logger.warn('API attempt without login', { endpoint, ip: req.ip });
+                        return res.status(403).json({ error: 'Not logged in to Twitter' });
+                    }
+
+                    if (!this.isDelegationEnabled) {
+                        this.logger.warn('API attempt without delegation', { endpoint, ip: req.ip });
+                        return res.status(403).json({ error: 'API delegation is not enabled' });
+                    }
+
+                    const { username, limit = 100, account, publicKey } = req.body;
+                    if (!username) {
+                        this.logger.warn('API request missing username', { endpoint, ip: req.ip });
+                        return res.status(400).json({ error: 'Username parameter is required' });
+                    }
+
+                    // Enforce user limit
+                    const userLimit = Math.min(parseInt(limit) || 100, 1000);
+
+                    // Log start of scraping operation
+                    this.logger.info(`Starting ${relation} scrape`, {
+                        endpoint,
+                        username,
+                        limit: userLimit,
+                        hasPublicKey: !!publicKey,
+                        ip: req.ip
+                    });
+
+                    const scrapingResult = await this.scraper.scrapeUserList(username, relation, userLimit, 'api', { account });
+
+                    // Log successful scrape
+                    this.logger.info(`${relation} scrape completed`, {
+                        endpoint,
+                        username,
+                        usersFound: scrapingResult.usersFound,
+                        sessionId: scrapingResult.sessionId
+                    });
+
+                    const responseData = {
+                        username,
+                        relation,
+                        users: scrapingResult.users
+                    };
+
+                    if (publicKey) {
+                        try {
+                            // Return encrypted response
+                            const encryptedData = this.encryptData(responseData, publicKey);
+                            res.json({
+                                status: 'success',
+                                encrypted: true,
+                                data: encryptedData
+                            });
+                        } catch (error) {
+                            this.logger.error('Encryption error', {
+                                endpoint,
+                                username,
+                                error: error.message
+                            });
+                            return res.status(400).json({ error: 'Invalid public key or encryption error' });
+                        }
+                    } else {
+                        res.json({
+                            status: 'success',
+                            data: responseData
+                        });
+                    }
+                } catch (error) {
+                    this.logger.error(`${relation} scraping error`, {
+                        endpoint,
+                        error: error.message,
+                        stack: error.stack
+                    });
+                    console.error(`${relation} scraping error:`, error);
+                    res.status(500).json({ error: `Failed to scrape ${relation}: ` + error.message });
+                }
+            });
+        }
     }
     
     // Method to encrypt data using the client's public key
@@ -1,6 +1,13 @@
 const { EventEmitter } = require('events');
-const fs = require('fs').promises;
-const path = require('path');
+const SearchQuery = require('./search-query');
+
+const TARGET_LABELS = {
+    profile: 'Profile',
+    query: 'Query',
+    likes: 'Likes',
+    list: 'List',
+    bookmarks: 'Bookmarks'
+};
 
 class AutoScraper extends EventEmitter {
     constructor(scraper, db) {
@@ -10,10 +17,11 @@ class AutoScraper extends EventEmitter {
         this.interval = null;
         this.isRunning = false;
         this.currentCycle = null;
-        this.profilesFile = path.join(this.db.localDataDir, 'auto_scraping_profiles.json');
+        this.incremental = true;
+        this.account = null;
     }
 
-    async start(interval = 3600000, type = 'home') {
+    async start(interval = 3600000, type = 'home', options = {}) {
         if (this.isRunning) {
             throw new Error('Auto-scraping is already running');
         }
@@ -21,7 +29,11 @@ class AutoScraper extends EventEmitter {
         this.isRunning = true;
         this.interval = interval;
         this.scrapeType = type;
-        this.emit('started', { interval, type });
+        // Cycles only collect tweets newer than the previous cycle unless turned off
+        this.incremental = options.incremental !== false;
+        // Account for home and query cycles, profile targets carry their own
+        this.account = options.account || null;
+        this.emit('started', { interval, type, incremental: this.incremental, account: this.account });
         // Set up the interval for cycles
         this.currentCycle = setInterval(async () => {
             await this.runCycle(this.scrapeType);
@@ -48,7 +60,7 @@ class AutoScraper extends EventEmitter {
             this.emit('cycleStarted');
  
             if(type === 'home') {
-                data = await this.scraper.scrapeHomeTimeline(50);
+                data = await this.scraper.scrapeHomeTimeline(50, 'app', { account: this.account });
                 this.emit('home timeline scraped', { 
                     type: type, 
                     session_id: data.sessionId,
@@ -59,19 +71,33 @@ class AutoScraper extends EventEmitter {
             else if(type === 'profile') {
                 const profiles = await this.getProfiles();
                 for (const profile of profiles) {
-                    data = await this.scraper.scrapeProfile(profile.target, 50);
+                    const options = { account: profile.account || this.account, incremental: this.incremental };
+                    data = await this.scrapeTarget(profile, options);
                     await this.updateProfileLastScraped(profile.type, profile.target);
+                    // Every profile cycle appends a snapshot, report how the counts moved since the last one
+                    if (profile.type === 'profile' && data.snapshot) {
+                        const history = await this.db.getProfileHistory(profile.target, { limit: 2 });
+                        const latest = history.snapshots[history.snapshots.length - 1];
+                        this.emit('profileSnapshot', {
+                            target: profile.target,
+                            followers_count: latest?.followers_count ?? null,
+                            followers_delta: latest?.followers_delta ?? null,
+                            following_delta: latest?.following_delta ?? null,
+                            tweets_delta: latest?.tweets_delta ?? null,
+                            bio_changed: latest?.bio_changed || false
+                        });
+                    }
                     this.emit('home timeline scraped', { 
                         type: type, 
-                        profile_id: profile.target,
-                        target: "Profile",
+                        profile_id: profile.type === 'query' ? data.target : profile.target,
+                        target: TARGET_LABELS[profile.type] || "Profile",
                         tweetCount: data.tweetsFound
                     });
                 }
             }
             else{
                 this.emit('QueryScrape', { type: type, target: "Query" });
-                data = await this.scraper.scrapeTweets(type, 50);
+                data = await this.scraper.scrapeTweets(type, 50, 'app', { account: this.account, incremental: this.incremental });
                 this.emit('QueryScrape', { type: type, target: "Query", tweetCount: data.tweets.length });
             }             
             this.emit('cycleCompleted');
@@ -81,84 +107,57 @@ class AutoScraper extends EventEmitter {
         }
     }
 
-    async addProfile(type, target) {
-        if (this.db.shareData) {
-            const profiles = await this.db.getAutoScrapingProfiles();
-            if (profiles.length >= 5) {
-                throw new Error('Maximum number of auto-scraping profiles (5) reached');
-            }
-            await this.db.saveAutoScrapingProfile({ type, target });
-        } else {
-            const profiles = await this.getLocalProfiles();
-            if (profiles.length >= 5) {
-                throw new Error('Maximum number of auto-scraping profiles (5) reached');
-            }
-            
-            // Add new profile
-            profiles.push({
-                type,
-                target,
-                is_active: true,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString(),
-                last_scraped_at: null
-            });
-            
-            await this.saveLocalProfiles(profiles);
+    // Run one auto-scraping target, the type decides which scrape mode reads it
+    async scrapeTarget(profile, options) {
+        switch (profile.type) {
+            // Query targets hold a search string or search spec instead of a username
+            case 'query':
+                return await this.scraper.scrapeTweets(profile.target, 50, 'app', options);
+            case 'likes':
+                return await this.scraper.scrapeLikes(profile.target, 50, 'app', options);
+            case 'list':
+                return await this.scraper.scrapeList(profile.target, 50, 'app', options);
+            // Bookmarks belong to the account the target scrapes with, there is no username
+            case 'bookmarks':
+                return await this.scraper.scrapeBookmarks(50, 'app', options);
+            default:
+                return await this.scraper.scrapeProfile(profile.target, 50, 'app', options);
         }
-        
-        this.emit('profileAdded', { type, target });
     }
 
-    async removeProfile(type, target) {
-        if (this.db.shareData) {
-            await this.db.deleteAutoScrapingProfile(type, target);
-        } else {
-            const profiles = await this.getLocalProfiles();
-            const updatedProfiles = profiles.filter(p => !(p.type === type && p.target === target));
-            await this.saveLocalProfiles(updatedProfiles);
+    async addProfile(type, target, account = null) {
+        if (type === 'query') {
+            // Validate the search spec up front rather than failing on every cycle
+            SearchQuery.normalize(target);
+        } else if (type === 'list') {
+            // Store the bare list id so a URL and an id of the same list count as one target
+            target = this.scraper.parseListId(target);
+        } else if (type === 'bookmarks') {
+            target = account || 'default';
+        } else if (!String(target || '').trim()) {
+            throw new Error(`A username is required for ${type} targets`);
         }
-        
-        this.emit('profileRemoved', { type, target });
-    }
 
-    async getProfiles() {
-        if (this.db.shareData) {
-            return await this.db.getAutoScrapingProfiles();
-        } else {
-            return await this.getLocalProfiles();
+        const profiles = await this.db.getAutoScrapingProfiles();
+        if (profiles.length >= 5) {
+            throw new Error('Maximum number of auto-scraping profiles (5) reached');
         }
+        await this.db.saveAutoScrapingProfile({ type, target, account });
+
+        this.emit('profileAdded', { type, target, account });
     }
 
-    async updateProfileLastScraped(type, target) {
-        if (this.db.shareData) {
-            await this.db.updateAutoScrapingProfileLastScraped(type, target);
-        } else {
-            const profiles = await this.getLocalProfiles();
-            const updatedProfiles = profiles.map(p => {
-                if (p.type === type && p.target === target) {
-                    return { ...p, last_scraped_at: new Date().toISOString() };
-                }
-                return p;
-            });
-            await this.saveLocalProfiles(updatedProfiles);
-        }
+    async removeProfile(type, target) {
+        await this.db.deleteAutoScrapingProfile(type, target);
+        this.emit('profileRemoved', { type, target });
     }
 
-    async getLocalProfiles() {
-        try {
-            const data = await fs.readFile(this.profilesFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                return [];
-            }
-            throw error;
-        }
+    async getProfiles() {
+        return await this.db.getAutoScrapingProfiles();
     }
 
-    async saveLocalProfiles(profiles) {
-        await fs.writeFile(this.profilesFile, JSON.stringify(profiles, null, 2));
+    async updateProfileLastScraped(type, target) {
+        await this.db.updateAutoScrapingProfileLastScraped(type, target);
     }
 
     isActive() {
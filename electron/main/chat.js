@@ -38,21 +38,16 @@ class ChatManager {
     async getRecentTweets() {
         try {
             const data = await this.db.getTweets();
-            const allTweets = [];
-            
-            // Extract tweets from all sessions
-            Object.values(data.sessionsByDate).forEach(sessions => {
-                sessions.forEach(session => {
-                    session.tweets.forEach(tweet => {
-                        allTweets.push({
-                            content: tweet.content,
-                            timestamp: tweet.timestamp,
-                            user: tweet.user_name
-                        });
-                    });
-                });
-            });
-            
+
+            // Each tweet once, however many sessions saw it
+            const allTweets = data.tweets.map(tweet => ({
+                content: tweet.content,
+                timestamp: tweet.timestamp,
+                user: tweet.user_name,
+                hashtags: tweet.entities?.hashtags || [],
+                mentions: tweet.entities?.mentions || []
+            }));
+
             // Sort by timestamp (most recent first) and limit to 100
             return allTweets
                 .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
@@ -290,6 +285,14 @@ class ChatManager {
                             - timestamp: date of tweet (ISODate format)
                             - metrics: { replies, retweets, likes, views }
                             - url: tweet URL
+                            - is_retweet: true when the tweet was retweeted into the timeline, user_handle is still the original author
+                            - retweeted_by: handle of the account that retweeted it
+                            - quoted_tweet: { tweet_id, user, content } of the quoted tweet
+                            - in_reply_to_handle: handle of the account being replied to
+                            - entities: { hashtags: [lowercase, no #], mentions: [lowercase handles, no @], cashtags: [uppercase, no $], urls: [{ expanded_url, display_url, domain }] }
+                            - poll: { options: [{ label, votes, percentage }], total_votes, state (open|closed), ends_at } or null
+                            - card: { type, title, description, domain, url, expanded_url } link preview or null
+                            - community_note: { text, status (currently_rated_helpful|needs_more_ratings) } or null
 
                             IMPORTANT RULES:
                             1. Only return a complete query object with sort and limit.
@@ -410,87 +413,28 @@ class ChatManager {
             // Generate MongoDB query
             const mongoQuery = await this.naturalToMongoQuery(naturalQuery);
             
-            if (this.db.shareData) {
-                // Execute the query with sort and limit from MongoDB
-                const results = await this.db.db.collection(this.db.collections.TWEETS)
-                    .find(mongoQuery.query)
-                    .sort(mongoQuery.sort)
-                    .limit(mongoQuery.limit)
-                    .toArray();
-                    
-                return {
-                    query: mongoQuery,
-                    results: results,
-                    count: results.length
-                };
-            } else {
-                // Execute the query with sort and limit from local storage
-                const allTweets = [];
-                const files = await fs.readdir(this.db.localDataDir);
-                
-                // Get file stats and sort files by creation time (latest first)
-                const fileStats = await Promise.all(
-                    files
-                        .filter(file => file.startsWith('session_') && file.endsWith('.json'))
-                        .map(async file => {
-                            const filePath = path.join(this.db.localDataDir, file);
-                            const stats = await fs.stat(filePath);
-                            return { file, filePath, birthtime: stats.birthtime };
-                        })
-                );
-                
-                // Sort files by creation time (newest first)
-                fileStats.sort((a, b) => b.birthtime - a.birthtime);
-                
-                // Process files in sorted order and collect tweets until we reach the limit
-                let totalTweets = 0;
-                const limit = mongoQuery.limit || 100;
-
-                for (const { filePath } of fileStats) {
-                    if (totalTweets >= limit) break;
-
-                    const fileContent = await fs.readFile(filePath, 'utf8');
-                    const sessionData = JSON.parse(fileContent);
-                    
-                    // Add tweets from this session maintaining their original order
-                    sessionData.tweets.forEach(tweet => {
-                        if (totalTweets < limit) {
-                            allTweets.push({
-                                _id: tweet.tweet_id,
-                                user_name: tweet.user?.name || 'Unknown User',
-                                user_handle: tweet.user?.handle || 'unknown',
-                                content: tweet.content,
-                                timestamp: new Date(tweet.timestamp),
-                                url: tweet.url,
-                                metrics: tweet.metrics
-                            });
-                            totalTweets++;
-                        }
-                    });
-                }
-                
-                // Apply any additional sorting criteria from mongoQuery if needed
-                // (excluding the timestamp sort since we want to maintain scraping order)
-                if (Object.keys(mongoQuery.sort).length > 1 || !mongoQuery.sort.hasOwnProperty('timestamp')) {
-                    allTweets.sort((a, b) => {
-                        for (const [field, direction] of Object.entries(mongoQuery.sort)) {
-                            if (field === 'timestamp') continue; // Skip timestamp to maintain scraping order
-                            const aValue = field.split('.').reduce((obj, key) => obj[key], a);
-                            const bValue = field.split('.').reduce((obj, key) => obj[key], b);
-                            if (aValue !== bValue) {
-                                return direction === -1 ? bValue - aValue : aValue - bValue;
-                            }
+            const results = await this.db.queryTweets(mongoQuery);
+
+            // Local storage returns tweets in scraping order, apply any other sorting criteria here
+            if (!this.db.shareData && (Object.keys(mongoQuery.sort).length > 1 || !mongoQuery.sort.hasOwnProperty('timestamp'))) {
+                results.sort((a, b) => {
+                    for (const [field, direction] of Object.entries(mongoQuery.sort)) {
+                        if (field === 'timestamp') continue; // Skip timestamp to maintain scraping order
+                        const aValue = field.split('.').reduce((obj, key) => obj[key], a);
+                        const bValue = field.split('.').reduce((obj, key) => obj[key], b);
+                        if (aValue !== bValue) {
+                            return direction === -1 ? bValue - aValue : aValue - bValue;
                         }
-                        return 0;
-                    });
-                }
-                
-                return {
-                    query: mongoQuery,
-                    results: allTweets,
-                    count: allTweets.length
-                };
+                    }
+                    return 0;
+                });
             }
+
+            return {
+                query: mongoQuery,
+                results: results,
+                count: results.length
+            };
         } catch (error) {
             console.error('Error executing query:', error);
             throw error;
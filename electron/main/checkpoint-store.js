@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Session ids become file names, so they may not hold path separators or dots
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Checkpoints hold the tweets collected so far and the scroll position of a running scrape,
+// one file per session, so a scrape that dies halfway can be resumed into the same session
+class CheckpointStore {
+    constructor(baseDir) {
+        this.checkpointDir = path.join(baseDir, 'checkpoints');
+    }
+
+    static isValidSessionId(sessionId) {
+        return SESSION_ID_PATTERN.test(String(sessionId ?? ''));
+    }
+
+    getCheckpointPath(sessionId) {
+        if (!CheckpointStore.isValidSessionId(sessionId)) {
+            throw new Error(`Invalid session id: ${sessionId}`);
+        }
+        return path.join(this.checkpointDir, `${sessionId}.json`);
+    }
+
+    async save(sessionId, checkpoint) {
+        await fs.mkdir(this.checkpointDir, { recursive: true });
+
+        // Write to a temp file and rename so a crash mid-write never leaves a truncated checkpoint
+        const checkpointPath = this.getCheckpointPath(sessionId);
+        const tempPath = `${checkpointPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({
+            ...checkpoint,
+            updated_at: new Date().toISOString()
+        }, null, 2));
+        await fs.rename(tempPath, checkpointPath);
+    }
+
+    async load(sessionId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getCheckpointPath(sessionId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async remove(sessionId) {
+        await fs.rm(this.getCheckpointPath(sessionId), { force: true });
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.checkpointDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const checkpoints = [];
+        for (const file of files.filter(file => file.endsWith('.json'))) {
+            try {
+                const checkpoint = JSON.parse(await fs.readFile(path.join(this.checkpointDir, file), 'utf8'));
+                checkpoints.push({
+                    session_id: checkpoint.session_id,
+                    source: checkpoint.source,
+                    type: checkpoint.type,
+                    target: checkpoint.target,
+                    limit: checkpoint.limit,
+                    collected: checkpoint.tweets?.length || 0,
+                    updated_at: checkpoint.updated_at
+                });
+            } catch (error) {
+                console.error(`Skipping unreadable checkpoint ${file}:`, error.message);
+            }
+        }
+        return checkpoints;
+    }
+}
+
+module.exports = CheckpointStore;
@@ -17,14 +17,37 @@ const config = {
     collections: {
         PROFILES: process.env.COLLECTION_PROFILES || 'twitter_profiles',
         TWEETS: process.env.COLLECTION_TWEETS || 'tweets',
-        SESSIONS: process.env.COLLECTION_SESSIONS || 'scraping_sessions'
+        SESSIONS: process.env.COLLECTION_SESSIONS || 'scraping_sessions',
+        FOLLOWS: process.env.COLLECTION_FOLLOWS || 'follows'
     },
     storage: {
         tempDir: process.env.TEMP_STORAGE_PATH || path.join(app.getPath('userData'), 'temp'),
-        localDataDir: process.env.LOCAL_DATA_PATH || path.join(app.getPath('userData'), 'local_data')
+        localDataDir: process.env.LOCAL_DATA_PATH || path.join(app.getPath('userData'), 'local_data'),
+        // 'sqlite' stores local data in one indexed database file, 'json' in one JSON file per session
+        localBackend: process.env.LOCAL_STORAGE === 'json' ? 'json' : 'sqlite'
     },
     preferences: {
         shareData: process.env.SHARE_DATA === 'true' // Default to false if not specified
+    },
+    scraper: {
+        // 'graphql' reads tweets from X's network responses and falls back to the DOM, 'dom' only reads the DOM
+        extractionMode: process.env.EXTRACTION_MODE || 'graphql',
+        downloadMedia: process.env.DOWNLOAD_MEDIA === 'true', // Default to false if not specified
+        // Checkpoint a running scrape to disk after this many newly collected tweets
+        checkpointEvery: parseInt(process.env.CHECKPOINT_EVERY) || 20,
+        // Stop scrolling after this many scrolls in a row that load nothing while X shows no loading spinner
+        endOfTimelineScrolls: parseInt(process.env.END_OF_TIMELINE_SCROLLS) || 6,
+        // JSON file with CSS selector overrides for when X changes its page markup
+        selectorsFile: process.env.SELECTORS_FILE || path.join(app.getPath('userData'), 'selectors.json')
+    },
+    rateLimit: {
+        // Page loads and scrolls allowed per account in each window, shared by app, auto-scraping and API scrapes
+        requestsPerWindow: parseInt(process.env.RATE_LIMIT_REQUESTS) || 300,
+        windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+        // First backoff after X throttles an account, doubled on each retry up to the maximum
+        backoffBaseMs: (parseInt(process.env.RATE_LIMIT_BACKOFF_SECONDS) || 30) * 1000,
+        backoffMaxMs: (parseInt(process.env.RATE_LIMIT_BACKOFF_MAX_SECONDS) || 900) * 1000,
+        maxRetries: parseInt(process.env.RATE_LIMIT_MAX_RETRIES) || 5
     }
 };
 
@@ -98,31 +98,6 @@ class DataStore {
             throw error;
         }
     }
-
-    async deleteSession(sessionId) {
-        try {
-            console.log('Deleting session from data store:', sessionId);
-            
-            // Construct the path to the session file
-            const localSessionPath = path.join(this.datasessionDir, `session_${sessionId}.json`);
-            
-            try {
-                // Delete the session file
-                await fs.unlink(localSessionPath);
-                console.log('Session file deleted from local storage:', localSessionPath);
-            } catch (error) {
-                if (error.code !== 'ENOENT') {
-                    throw error;
-                }
-                console.log('Session file not found, might have been already deleted');
-            }
-            
-            return { success: true };
-        } catch (error) {
-            console.error('Error deleting session:', error);
-            throw error;
-        }
-    }
 }
 
 module.exports = DataStore; 
\ No newline at end of file
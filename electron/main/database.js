@@ -1,7 +1,9 @@
-const { MongoClient, ObjectId } = require('mongodb');
 const config = require('./config');
+const TweetEntities = require('./tweet-entities');
+const StorageAdapter = require('./storage-adapter');
+const JsonStorageAdapter = require('./json-storage-adapter');
+const MongoStorageAdapter = require('./mongo-storage-adapter');
 const path = require('path');
-const fs = require('fs');
 const fsPromises = require('fs/promises');
 
 const DEBUG = true;
@@ -12,30 +14,44 @@ function debugLog(...args) {
     }
 }
 
+// Writes always go to local storage, and to MongoDB too when data sharing is on. Reads come from
+// MongoDB when sharing and from local storage otherwise. The backends themselves are storage
+// adapters (see storage-adapter.js), this class only builds records and decides where they go.
 class TweetDatabase {
     constructor() {
-        this.client = null;
-        this.db = null;
-        this.isConnected = false;
         this.collections = {
             ...config.collections,
-            AUTO_SCRAPING_PROFILES: 'auto_scraping_profiles'
+            AUTO_SCRAPING_PROFILES: 'auto_scraping_profiles',
+            SCRAPE_CURSORS: 'scrape_cursors',
+            PROFILE_SNAPSHOTS: 'profile_snapshots'
         };
         this.tempDir = config.storage.tempDir;
         this.localDataDir = config.storage.localDataDir;
         this.shareData = config.preferences.shareData;
-        
-        // Ensure local data directory exists
-        if (!fs.existsSync(this.localDataDir)) {
-            fs.mkdirSync(this.localDataDir, { recursive: true });
+
+        // 'sqlite' keeps local data in one indexed database file, 'json' in one file per session. The
+        // SQLite adapter is only loaded when chosen, so a failed native build leaves JSON storage working.
+        this.localBackend = config.storage.localBackend;
+        if (this.localBackend === 'sqlite') {
+            const SqliteStorageAdapter = require('./sqlite-storage-adapter');
+            this.local = new SqliteStorageAdapter({ dataDir: this.localDataDir, dbPath: path.join(this.localDataDir, 'scrapenet.db') });
+        } else {
+            this.local = new JsonStorageAdapter({ dataDir: this.localDataDir });
         }
-        
-        debugLog('Database initialized with config:', {
+        this.mongo = new MongoStorageAdapter({
             uri: config.mongodb.uri,
             dbName: config.mongodb.dbName,
+            options: config.mongodb.options,
+            collections: this.collections
+        });
+
+        debugLog('Database initialized with config:', {
+            hosts: MongoStorageAdapter.getHosts(config.mongodb.uri),
+            dbName: config.mongodb.dbName,
             collections: this.collections,
             tempDir: this.tempDir,
             localDataDir: this.localDataDir,
+            localBackend: this.localBackend,
             shareData: this.shareData
         });
     }
@@ -45,217 +61,181 @@ class TweetDatabase {
             return true;
         }
 
-        if (!this.isConnected) {
-            debugLog('No active connection, initializing...');
-            await this.initialize();
-        } else {
-            try {
-                // Test the connection
-                await this.db.command({ ping: 1 });
-                debugLog('Connection verified');
-            } catch (error) {
-                debugLog('Connection test failed, reinitializing...', error);
-                this.isConnected = false;
-                await this.initialize();
-            }
+        try {
+            return await this.mongo.ensureConnection();
+        } catch (error) {
+            debugLog('Database connection failed:', error);
+            throw error;
         }
     }
 
     async initialize() {
         try {
+            await this.local.initialize();
+
             if (!this.shareData) {
                 debugLog('Data sharing is disabled, skipping MongoDB initialization');
                 return true;
             }
-            
-            if (this.isConnected) {
-                debugLog('Already connected to database');
-                return true;
-            }
 
             debugLog('Initializing database connection...');
-            debugLog('Connecting to MongoDB...', config.mongodb.uri);
-            this.client = new MongoClient(config.mongodb.uri, config.mongodb.options);
-            await this.client.connect();
-            
-            this.db = this.client.db(config.mongodb.dbName);
-            this.isConnected = true;
-            
+            await this.mongo.initialize();
             debugLog('Successfully connected to database');
-            debugLog('Verifying collections...');
-            
-            // Verify collections exist
-            const collections = await this.db.listCollections().toArray();
-            const collectionNames = collections.map(c => c.name);
-            debugLog('Existing collections:', collectionNames);
-
-            // Create missing collections
-            for (const [key, name] of Object.entries(this.collections)) {
-                if (!collectionNames.includes(name)) {
-                    debugLog(`Creating missing collection: ${name}`);
-                    await this.db.createCollection(name);
-                }
-            }
-
             return true;
         } catch (error) {
             debugLog('Database initialization failed:', error);
-            this.isConnected = false;
             throw error;
         }
     }
 
+    // The adapter reads come from, connected when it is MongoDB
+    async getReadStore() {
+        if (this.shareData) {
+            await this.ensureConnection();
+            return this.mongo;
+        }
+        return this.local;
+    }
+
+    // Run a write against local storage and, when sharing, against MongoDB. Returns the result of
+    // the adapter reads come from.
+    async writeToStores(write) {
+        const localResult = await write(this.local);
+        if (!this.shareData) {
+            return localResult;
+        }
+
+        await this.ensureConnection();
+        return await write(this.mongo);
+    }
+
     async saveTweet(tweet, sessionId, source = 'app') {
         try {
             debugLog('\n=== Starting Tweet Save ===');
             debugLog('Tweet:', { url: tweet.url, sessionId });
-            
-            // Extract tweet ID from URL
-            const tweet_id = tweet.url.split('/status/')[1]?.split('?')[0];
-            if (!tweet_id) {
+
+            const record = this.buildTweetRecord(tweet, sessionId);
+            if (!record) {
                 throw new Error('Invalid tweet URL: ' + tweet.url);
             }
-            debugLog('Extracted tweet_id:', tweet_id);
+            debugLog('Extracted tweet_id:', record.tweet_id);
+
+            await this.writeToStores(store => store.saveTweets([record], sessionId, source));
+            return true;
+        } catch (error) {
+            debugLog('Tweet save failed:', error);
+            throw error;
+        }
+    }
+
+    // Save the tweets of a whole scrape with one write per store instead of one per tweet. Returns the
+    // tweets that were saved, tweets without a tweet id in their URL are skipped.
+    async saveTweets(tweets, sessionId, source = 'app') {
+        try {
+            debugLog('\n=== Saving Tweets ===');
+            debugLog('Tweets:', { count: tweets.length, sessionId });
 
-            let localSessionPath;
-            if(source === 'app') {
-                localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-            } else if(source === 'api') {
-                localSessionPath = path.join(this.localDataDir, `sessionapi_${sessionId}.json`);
+            const { tweets: saved, local, shared } = await this.saveTweetsToStores(tweets, sessionId, source);
+            const error = local.error || shared?.error;
+            if (error) {
+                throw error;
             }
+            debugLog('Saved tweets:', saved.length);
+            return saved;
+        } catch (error) {
+            debugLog('Tweets save failed:', error);
+            throw error;
+        }
+    }
 
+    // Saves to local storage and, when sharing, to MongoDB, and reports each store on its own so tweets
+    // that reached one are not counted as lost when the other failed. local and shared are
+    // { saved, error }, shared is null when sharing is off.
+    async saveTweetsToStores(tweets, sessionId, source = 'app') {
+        const saved = [];
+        const records = [];
+        for (const tweet of tweets) {
+            const record = this.buildTweetRecord(tweet, sessionId);
+            if (!record) {
+                debugLog('Skipping tweet with invalid URL:', tweet.url);
+                continue;
+            }
+            saved.push(tweet);
+            records.push(record);
+        }
 
-            // Use a lock file to prevent concurrent writes
-            const lockFile = localSessionPath + '.lock';
-            
-            // Wait for any existing lock to be released
-            while (fs.existsSync(lockFile)) {
-                await new Promise(resolve => setTimeout(resolve, 100));
+        const saveTo = async (name, getStore) => {
+            if (records.length === 0) {
+                return { saved: 0, error: null };
             }
-            
             try {
-                // Create lock file
-                fs.writeFileSync(lockFile, '1');
-                
-                // Read existing session data
-                let sessionData;
-                try {
-                    const fileContent = await fsPromises.readFile(localSessionPath, 'utf8');
-                    sessionData = JSON.parse(fileContent);
-                } catch (error) {
-                    // File doesn't exist or is invalid, create new session data
-                    sessionData = {
-                        session_id: sessionId,
-                        scrape_type: 'twitter',
-                        created_at: new Date().toISOString(),
-                        updated_at: new Date().toISOString(),
-                        tweets: []
-                    };
-                }
+                const store = await getStore();
+                await store.saveTweets(records, sessionId, source);
+                return { saved: records.length, error: null };
+            } catch (error) {
+                console.error(`Failed to save tweets to ${name}:`, error.message);
+                return { saved: 0, error };
+            }
+        };
 
-                // Check if tweet already exists in the session
-                const tweetExists = sessionData.tweets.some(t => t.tweet_id === tweet_id);
-                
-                if (!tweetExists) {
-                    // Add new tweet to session data
-                    sessionData.tweets.push({
-                        tweet_id,
-                        user: tweet.user,
-                        content: tweet.content,
-                        timestamp: tweet.timestamp,
-                        url: tweet.url,
-                        metrics: tweet.metrics,
-                        saved_at: new Date().toISOString()
-                    });
-                    
-                    sessionData.updated_at = new Date().toISOString();
-                    sessionData.tweet_count = sessionData.tweets.length;
-
-                    // Save to local storage with pretty formatting for readability
-                    await fsPromises.writeFile(
-                        localSessionPath, 
-                        JSON.stringify(sessionData, null, 2)
-                    );
-                    debugLog('Saved session to local storage:', localSessionPath);
-                } else {
-                    debugLog('Tweet already exists in session, skipping:', tweet_id);
-                }
+        const local = await saveTo('local storage', async () => this.local);
+        const shared = this.shareData
+            ? await saveTo('MongoDB', async () => {
+                await this.ensureConnection();
+                return this.mongo;
+            })
+            : null;
+        return { tweets: saved, local, shared };
+    }
 
-                // Only save to MongoDB if data sharing is explicitly enabled
-                if (this.shareData) {
-                    await this.ensureConnection();
-                    
-                    // Prepare tweet document for database
-                    const tweetDoc = {
-                        tweet_id,
-                        session_id: new ObjectId(sessionId),
-                        user_handle: tweet.user.handle,
-                        user_name: tweet.user.name || '',
-                        content: tweet.content || '',
-                        timestamp: tweet.timestamp ? new Date(tweet.timestamp) : new Date(),
-                        url: tweet.url,
-                        metrics: {
-                            replies: this.parseMetric(tweet.metrics?.replies),
-                            retweets: this.parseMetric(tweet.metrics?.retweets),
-                            likes: this.parseMetric(tweet.metrics?.likes),
-                            views: this.parseMetric(tweet.metrics?.views)
-                        },
-                        updated_at: new Date()
-                    };
-
-                    debugLog('Prepared tweet document:', tweetDoc);
-
-                    // Save to database
-                    const result = await this.db.collection(this.collections.TWEETS).updateOne(
-                        { tweet_id },
-                        { 
-                            $set: tweetDoc,
-                            $setOnInsert: { created_at: new Date() }
-                        },
-                        { upsert: true }
-                    );
-
-                    debugLog('Database save result:', {
-                        matchedCount: result.matchedCount,
-                        modifiedCount: result.modifiedCount,
-                        upsertedCount: result.upsertedCount,
-                        upsertedId: result.upsertedId
-                    });
-
-                    // Update session tweet count
-                    await this.updateSessionTweetCount(sessionId);
-                }
+    async scrapeTweets(tweets, sessionId) {
+        try {
+            console.log('\n=== Scraping Tweets ===');
+            console.log('Session ID:', sessionId);
+            console.log('Number of tweets:', tweets.length);
 
-                return true;
-            } finally {
-                // Always remove the lock file
-                try {
-                    fs.unlinkSync(lockFile);
-                } catch (error) {
-                    debugLog('Error removing lock file:', error);
-                }
-            }
+            const saved = await this.saveTweets(tweets, sessionId, 'app');
+            console.log('Saved tweets:', saved.length);
+            return true;
         } catch (error) {
-            debugLog('Tweet save failed:', error);
+            console.error('=== Error Scraping Tweets ===');
+            console.error('Error:', error.message);
+            console.error('Stack:', error.stack);
             throw error;
         }
     }
 
-    async verifyAllTweetsSaved(sessionId, tweets) {
+    // The record every adapter saves, null when the URL has no tweet id. Every sighting of a tweet
+    // records its metrics, the stored tweet keeps the latest ones.
+    buildTweetRecord(tweet, sessionId) {
+        const tweet_id = tweet.url?.split('/status/')[1]?.split('?')[0];
+        if (!tweet_id) {
+            return null;
+        }
+
+        const metricSnapshot = this.buildMetricSnapshot(tweet, sessionId);
+        return {
+            tweet_id,
+            user: tweet.user,
+            content: tweet.content,
+            timestamp: tweet.timestamp,
+            url: tweet.url,
+            metrics: metricSnapshot.metrics,
+            metrics_history: [metricSnapshot],
+            media: tweet.media || [],
+            ...this.getRelationshipFields(tweet),
+            entities: this.getEntities(tweet),
+            ...this.getAttachmentFields(tweet),
+            lang: tweet.lang || null,
+            saved_at: new Date().toISOString()
+        };
+    }
+
+    async verifyAllTweetsSaved(sessionId, tweets, source = 'app') {
         try {
-            if (this.shareData) {
-                // Only verify in database if data sharing is enabled
-                const savedTweetsCount = await this.db.collection(this.collections.TWEETS)
-                    .countDocuments({ session_id: new ObjectId(sessionId) });
-                
-                return savedTweetsCount === tweets.length;
-            } else {
-                // For local storage, just verify the local session file
-                const localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-                const sessionData = JSON.parse(await fsPromises.readFile(localSessionPath, 'utf8'));
-                
-                return sessionData.tweets.length === tweets.length;
-            }
+            const store = await this.getReadStore();
+            const savedTweets = await store.getSessionTweets(sessionId, source);
+            return !!savedTweets && savedTweets.length === tweets.length;
         } catch (error) {
             debugLog('Error verifying tweets:', error);
             return false;
@@ -268,122 +248,120 @@ class TweetDatabase {
             console.log('Profile:', JSON.stringify(profile, null, 2));
             console.log('Session ID:', sessionId);
 
-            const now = new Date();
-            let localSessionPath;
-            if(source === 'app') {
-                localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-            } else if(source === 'api') {
-                localSessionPath = path.join(this.localDataDir, `sessionapi_${sessionId}.json`);
+            const saved = await this.writeToStores(store => store.saveProfile(profile, sessionId, source));
+            console.log('Saved profile:', saved.handle);
+
+            return profile.handle;
+        } catch (error) {
+            console.error('=== Error Saving Profile ===');
+            console.error('Error:', error.message);
+            console.error('Stack:', error.stack);
+            throw error;
+        }
+    }
+
+    // Follower and following lists are stored as users of the session instead of tweets
+    async saveFollowUsers(users, sessionId, relation, target, source = 'app') {
+        try {
+            console.log('\n=== Saving Follow Users ===');
+            console.log('Relation:', relation);
+            console.log('Target:', target);
+            console.log('Users:', users.length);
+
+            const userCount = await this.writeToStores(store => store.saveFollowUsers(users, sessionId, relation, target, source));
+            console.log('Saved users:', userCount);
+
+            return userCount;
+        } catch (error) {
+            console.error('=== Error Saving Follow Users ===');
+            console.error('Error:', error.message);
+            throw error;
+        }
+    }
+
+    async getUsersBySession(sessionId, source = 'app') {
+        try {
+            const store = await this.getReadStore();
+            const users = await store.getFollowUsers(sessionId, source);
+            if (!users) {
+                throw new Error(`Session ${sessionId} not found`);
             }
-            
-            // Use a lock file to prevent concurrent writes
-            const lockFile = localSessionPath + '.lock';
-            
-            // Wait for any existing lock to be released
-            while (fs.existsSync(lockFile)) {
-                await new Promise(resolve => setTimeout(resolve, 100));
+            return users;
+        } catch (error) {
+            console.error('Error getting users by session:', error);
+            throw error;
+        }
+    }
+
+    buildMetricSnapshot(tweet, sessionId) {
+        return {
+            captured_at: new Date().toISOString(),
+            session_id: sessionId ? String(sessionId) : null,
+            metrics: {
+                replies: this.parseMetric(tweet.metrics?.replies),
+                retweets: this.parseMetric(tweet.metrics?.retweets),
+                likes: this.parseMetric(tweet.metrics?.likes),
+                views: this.parseMetric(tweet.metrics?.views)
             }
-            
-            try {
-                // Create lock file
-                fs.writeFileSync(lockFile, '1');
-                
-                // Read existing session data
-                let sessionData;
-                try {
-                    const fileContent = await fsPromises.readFile(localSessionPath, 'utf8');
-                    sessionData = JSON.parse(fileContent);
-                } catch (error) {
-                    // File doesn't exist or is invalid, create new session data
-                    sessionData = {
-                        session_id: sessionId,
-                        scrape_type: 'profile',
-                        target: profile.handle,
-                        created_at: now.toISOString(),
-                        updated_at: now.toISOString(),
-                        tweets: [],
-                        profile: null
-                    };
-                }
+        };
+    }
 
-                // Update profile data in session
-                sessionData.profile = {
-                    ...profile,
-                    updated_at: now.toISOString(),
-                    last_scraped_at: now.toISOString()
-                };
-                
-                sessionData.updated_at = now.toISOString();
-
-                // Save to local storage with pretty formatting
-                await fsPromises.writeFile(
-                    localSessionPath, 
-                    JSON.stringify(sessionData, null, 2)
-                );
-                console.log('Saved profile to local storage:', localSessionPath);
-
-                // Only save to MongoDB if data sharing is enabled
-                if (this.shareData) {
-                    await this.ensureConnection();
-
-                    // Add timestamps
-                    const profileDoc = {
-                        ...profile,
-                        updated_at: now,
-                        last_scraped_at: now,
-                        session_id: new ObjectId(sessionId)
-                    };
-
-                    // Upsert the profile
-                    const result = await this.db.collection(this.collections.PROFILES).updateOne(
-                        { handle: profile.handle },
-                        { 
-                            $set: profileDoc,
-                            $setOnInsert: {
-                                created_at: now
-                            }
-                        },
-                        { upsert: true }
-                    );
-
-                    console.log('Profile save results:');
-                    console.log('- Matched:', result.matchedCount);
-                    console.log('- Modified:', result.modifiedCount);
-                    console.log('- Upserted:', result.upsertedCount);
-
-                    if (result.upsertedId) {
-                        console.log('- New profile ID:', result.upsertedId);
-                    }
+    // Metric snapshots of one tweet across all sessions, oldest first, with the change since the previous one
+    async getTweetMetricsHistory(tweetId) {
+        try {
+            const store = await this.getReadStore();
+            const snapshots = await store.getMetricSnapshots(tweetId);
+
+            snapshots.sort((a, b) => a.captured_at.localeCompare(b.captured_at));
+            const series = snapshots.map((snapshot, index) => {
+                const previous = snapshots[index - 1];
+                const deltas = {};
+                for (const metric of ['replies', 'retweets', 'likes', 'views']) {
+                    deltas[metric] = previous ? snapshot.metrics[metric] - previous.metrics[metric] : null;
                 }
+                return { ...snapshot, deltas };
+            });
 
-                return profile.handle;
-            } finally {
-                // Always remove the lock file
-                try {
-                    fs.unlinkSync(lockFile);
-                } catch (error) {
-                    console.error('Error removing lock file:', error);
-                }
-            }
+            return {
+                tweet_id: tweetId,
+                latest: series.length > 0 ? series[series.length - 1].metrics : null,
+                snapshots: series
+            };
         } catch (error) {
-            console.error('=== Error Saving Profile ===');
-            console.error('Error:', error.message);
-            console.error('Stack:', error.stack);
+            console.error('Error getting tweet metrics history:', error);
             throw error;
         }
     }
 
+    // Downloaded media lives in a directory next to the session file
+    getSessionMediaDir(sessionId, source = 'app') {
+        const prefix = source === 'api' ? 'sessionapi' : 'session';
+        return path.join(this.localDataDir, `${prefix}_${sessionId}_media`);
+    }
+
+    getRelationshipFields(tweet) {
+        return StorageAdapter.getRelationshipFields(tweet);
+    }
+
+    getAttachmentFields(tweet) {
+        return StorageAdapter.getAttachmentFields(tweet);
+    }
+
+    getEntities(tweet) {
+        return StorageAdapter.getEntities(tweet);
+    }
+
     // Helper method to parse metric values
     parseMetric(value) {
         if (!value && value !== 0) return 0;
         if (typeof value === 'number') return value;
-        
+
         // If it's already a clean number string, parse it
         if (/^\d+$/.test(value)) {
             return parseInt(value);
         }
-        
-        // Handle K/M suffixes
+
+        // Handle K/M/B suffixes
         const str = value.toString().toLowerCase().trim();
         if (str.endsWith('k')) {
             return Math.round(parseFloat(str.slice(0, -1)) * 1000);
@@ -391,89 +369,46 @@ class TweetDatabase {
         if (str.endsWith('m')) {
             return Math.round(parseFloat(str.slice(0, -1)) * 1000000);
         }
-        
+        if (str.endsWith('b')) {
+            return Math.round(parseFloat(str.slice(0, -1)) * 1000000000);
+        }
+
         // Remove any non-numeric characters and parse
         const numStr = str.replace(/[^0-9.]/g, '');
         return parseInt(numStr) || 0;
     }
 
-    async updateSessionTweetCount(sessionId) {
-        try {
-            const tweetCount = await this.db.collection(this.collections.TWEETS)
-                .countDocuments({ session_id: new ObjectId(sessionId) });
-            
-            await this.db.collection(this.collections.SESSIONS).updateOne(
-                { _id: new ObjectId(sessionId) },
-                { 
-                    $set: { 
-                        tweets_found: tweetCount,
-                        status: tweetCount > 0 ? 'completed' : 'incomplete',
-                        updated_at: new Date()
-                    }
-                }
-            );
-            
-            console.log(`Updated session ${sessionId} with tweet count: ${tweetCount}`);
-        } catch (error) {
-            console.error('Error updating session tweet count:', error);
-        }
-    }
-
-    async startScrapingSession(type, target, source = 'app', publicKey = null) {
+    async startScrapingSession(type, target, source = 'app', publicKey = null, account = null) {
         try {
             console.log('\n=== Starting Scraping Session ===');
             console.log('Type:', type);
             console.log('Target:', target);
             console.log('Source:', source);
             console.log('Encryption:', publicKey ? 'Yes' : 'No');
+            console.log('Account:', account || 'default');
+
+            const session = {
+                // Ensure target is never undefined
+                scrape_type: type || 'twitter',
+                target: target || 'twitter',
+                source,
+                account: account || 'default',
+                encrypted: !!publicKey,
+                status: 'in_progress',
+                started_at: new Date()
+            };
 
-            // Ensure target is never undefined
-            const sessionTarget = target || 'twitter';
-            const sessionType = type || 'twitter';
-
-            // Generate a unique session ID
-            const sessionId = this.shareData ? 
-                (await this.db.collection(this.collections.SESSIONS).insertOne({
-                    scrape_type: sessionType,
-                    target: sessionTarget,
-                    source: source,
-                    encrypted: !!publicKey,
-                    status: 'in_progress',
-                    started_at: new Date(),
-                    created_at: new Date(),
-                    updated_at: new Date()
-                })).insertedId.toString() :
-                `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-            console.log('Session created:', sessionId);
-
-            // If not sharing data, create a local session file
-            if (!this.shareData) {
-                const sessionData = {
-                    session_id: sessionId,
-                    scrape_type: sessionType,
-                    target: sessionTarget,
-                    source: source,
-                    encrypted: !!publicKey,
-                    status: 'in_progress',
-                    started_at: new Date().toISOString(),
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                    tweets: []
-                };
-                let localSessionPath;
-                if(source === 'app') 
-                    {
-                     localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-                    }
-                    else {
-                        localSessionPath = path.join(this.localDataDir, `sessionapi_${sessionId}.json`);
-                    }
-                
-                await fsPromises.writeFile(localSessionPath, JSON.stringify(sessionData, null, 2));
-                console.log('Created local session file:', localSessionPath);
+            // MongoDB picks the id when sharing, the local copy of the session then uses the same one
+            let sessionId;
+            if (this.shareData) {
+                await this.ensureConnection();
+                sessionId = await this.mongo.createSession(session);
+                await this.local.createSession({ ...session, session_id: sessionId });
+            } else {
+                sessionId = await this.local.createSession(session);
             }
 
+            console.log('Session created:', sessionId);
             return sessionId;
         } catch (error) {
             console.error('=== Error Starting Session ===');
@@ -483,6 +418,28 @@ class TweetDatabase {
         }
     }
 
+    // Put a failed or interrupted session back in progress so a resumed scrape appends to it
+    async reopenScrapingSession(sessionId, source = 'app') {
+        try {
+            console.log('\n=== Reopening Scraping Session ===');
+            console.log('Session ID:', sessionId);
+
+            const now = new Date();
+            const updated = await this.writeToStores(store => store.updateSession(sessionId, {
+                status: 'in_progress',
+                resumed_at: now
+            }, source));
+            if (!updated) {
+                throw new Error(`Session ${sessionId} not found`);
+            }
+
+            return sessionId;
+        } catch (error) {
+            console.error('Error reopening scraping session:', error);
+            throw error;
+        }
+    }
+
     async completeScrapingSession(sessionId, tweetsFound, status = 'completed', source = 'app', encrypted = false) {
         try {
             console.log('\n=== Updating Scraping Session Status ===');
@@ -492,88 +449,21 @@ class TweetDatabase {
             console.log('Source:', source);
             console.log('Encrypted:', encrypted);
 
-            if (this.shareData) {
-                // Only connect to database if data sharing is enabled
-                await this.ensureConnection();
-
-                // Get current session status
-                const currentSession = await this.db.collection(this.collections.SESSIONS).findOne(
-                    { _id: new ObjectId(sessionId) }
-                );
-
-                console.log('Current session status:', currentSession?.status);
-
-                // Determine final status based on simple rules
-                let finalStatus = status;
-                if (status !== 'failed') {  // Don't override failed status
-                    if (tweetsFound > 0) {
-                        finalStatus = 'completed';  // If we found tweets, mark as completed
-                    } else {
-                        finalStatus = 'incomplete';  // If no tweets found, mark as incomplete
-                    }
-                }
-
-                console.log('Determined final status:', finalStatus);
-
-                const updateDoc = {
-                    completed_at: new Date(),
-                    tweets_found: tweetsFound,
-                    status: finalStatus,
-                    source: source,
-                    encrypted: encrypted,
-                    updated_at: new Date()
-                };
-
-                console.log('Updating session with:', JSON.stringify(updateDoc, null, 2));
-
-                const result = await this.db.collection(this.collections.SESSIONS).updateOne(
-                    { _id: new ObjectId(sessionId) },
-                    { $set: updateDoc }
-                );
-
-                console.log('Session update results:');
-                console.log('- Documents matched:', result.matchedCount);
-                console.log('- Documents modified:', result.modifiedCount);
-                console.log('- Status changed:', currentSession?.status !== finalStatus);
-
-                // Verify the update
-                const updatedSession = await this.db.collection(this.collections.SESSIONS).findOne(
-                    { _id: new ObjectId(sessionId) }
-                );
-
-                console.log('\n=== Final Session State ===');
-                console.log('- Status:', updatedSession.status);
-                console.log('- Tweets Found:', updatedSession.tweets_found);
-                console.log('- Source:', updatedSession.source);
-                console.log('- Encrypted:', updatedSession.encrypted);
-                console.log('- Completed At:', updatedSession.completed_at);
-
-                return result.modifiedCount > 0;
-            } else {
-                // For local storage, just update the local session file
-                let localSessionPath;
-                if(source === 'app') {
-                    localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-                }
-                else {
-                    localSessionPath = path.join(this.localDataDir, `sessionapi_${sessionId}.json`);
-                }
-                const sessionData = JSON.parse(await fsPromises.readFile(localSessionPath, 'utf8'));
-                
-                // Update session status
-                sessionData.status = status;
-                sessionData.completed_at = new Date().toISOString();
-                sessionData.tweets_found = tweetsFound;
-                sessionData.source = source;
-                sessionData.encrypted = encrypted;
-                sessionData.updated_at = new Date().toISOString();
-                
-                // Save updated session data
-                await fsPromises.writeFile(localSessionPath, JSON.stringify(sessionData, null, 2));
-                console.log('Updated local session file:', localSessionPath);
-                
-                return true;
-            }
+            // If we found tweets, mark as completed. A completed session may legitimately be empty,
+            // e.g. an incremental scrape with nothing new
+            const finalStatus = status === 'incomplete' && tweetsFound > 0 ? 'completed' : status;
+            console.log('Determined final status:', finalStatus);
+
+            const updated = await this.writeToStores(store => store.updateSession(sessionId, {
+                completed_at: new Date(),
+                tweets_found: tweetsFound,
+                status: finalStatus,
+                source,
+                encrypted
+            }, source));
+            console.log('Session updated:', updated);
+
+            return updated;
         } catch (error) {
             console.error('=== Session Status Update Failed ===');
             console.error('Error:', error.message);
@@ -582,170 +472,27 @@ class TweetDatabase {
         }
     }
 
-    async getProfileScrapingHistory(handle, limit = 10) {
-        try {
-            const sessions = await this.db.collection(this.collections.SESSIONS)
-                .aggregate([
-                    {
-                        $match: {
-                            scrape_type: 'profile',
-                            target: handle
-                        }
-                    },
-                    {
-                        $lookup: {
-                            from: this.collections.TWEETS,
-                            let: { session_id: '$_id' },
-                            pipeline: [
-                                {
-                                    $match: {
-                                        $expr: {
-                                            $eq: ['$session_id', '$$session_id']
-                                        }
-                                    }
-                                },
-                                {
-                                    $count: 'count'
-                                }
-                            ],
-                            as: 'tweet_count'
-                        }
-                    },
-                    {
-                        $sort: { started_at: -1 }
-                    },
-                    {
-                        $limit: limit
-                    }
-                ]).toArray();
-
-            return sessions;
-        } catch (error) {
-            console.error('Error getting profile scraping history:', error);
-            return [];
-        }
-    }
-
-    async getTweets() {
+    // Sessions grouped by date, each with every tweet it saw, plus every tweet once in tweets.
+    // options.dedupe = false leaves out the tweet list.
+    async getTweets(options = {}) {
         try {
             console.log('\n=== Getting Tweets ===');
-            
-            if (this.shareData) {
-                // Get tweets from MongoDB if data sharing is enabled
-                if (!this.isConnected) {
-                    console.log('Database not connected, attempting to initialize...');
-                    await this.initialize();
-                }
 
-                console.log('Fetching sessions from database...');
-                const sessions = await this.db.collection(this.collections.SESSIONS)
-                    .aggregate([
-                        {
-                            $sort: { started_at: -1 }  // Sort sessions by most recent first
-                        },
-                        {
-                            $lookup: {
-                                from: this.collections.TWEETS,
-                                let: { session_id: '$_id' },
-                                pipeline: [
-                                    {
-                                        $match: {
-                                            $expr: { $eq: ['$session_id', '$$session_id'] }
-                                        }
-                                    },
-                                    {
-                                        $sort: { created_at: 1 }  // Sort by creation time to maintain scraping order
-                                    }
-                                ],
-                                as: 'tweets'
-                            }
-                        },
-                        {
-                            $lookup: {
-                                from: this.collections.PROFILES,
-                                localField: 'target',
-                                foreignField: 'handle',
-                                as: 'profile'
-                            }
-                        }
-                    ]).toArray();
-
-                console.log(`Found ${sessions.length} sessions in database`);
-                
-                // Process and return database sessions
-                return this.processSessions(sessions);
-            } else {
-                // Get tweets from local storage when data sharing is disabled
-                const sessions = [];
-                const files = await fsPromises.readdir(this.localDataDir);
-                
-                // Get file stats for sorting
-                const fileStats = await Promise.all(
-                    files
-                        .filter(file => file.startsWith('session_') && file.endsWith('.json'))
-                        .map(async file => {
-                            const filePath = path.join(this.localDataDir, file);
-                            const stats = await fsPromises.stat(filePath);
-                            return { file, filePath, mtime: stats.mtime };
-                        })
-                );
-                
-                // Sort files by modification time (newest first)
-                fileStats.sort((a, b) => b.mtime - a.mtime);
-                
-                // Process files in sorted order
-                for (const { filePath } of fileStats) {
-                    try {
-                        const fileContent = await fsPromises.readFile(filePath, 'utf8');
-                        if (!fileContent.trim()) {
-                            console.warn(`Empty file found: ${filePath}`);
-                            continue;
-                        }
-                        
-                        let sessionData;
-                        try {
-                            sessionData = JSON.parse(fileContent);
-                        } catch (parseError) {
-                            console.error(`Error parsing JSON in file ${filePath}:`, parseError);
-                            continue;
-                        }
-
-                        // Validate required fields
-                        if (!sessionData.session_id || !sessionData.tweets) {
-                            console.warn(`Invalid session data in file ${filePath}`);
-                            continue;
-                        }
-                        
-                        // Format session data to match database structure
-                        const formattedSession = {
-                            _id: sessionData.session_id,
-                            scrape_type: sessionData.scrape_type || 'twitter',
-                            target: sessionData.target || 'unknown',
-                            status: sessionData.status || 'completed',
-                            started_at: new Date(sessionData.started_at || sessionData.created_at),
-                            completed_at: new Date(sessionData.completed_at || sessionData.updated_at),
-                            tweets_found: sessionData.tweet_count || sessionData.tweets.length,
-                            tweets: sessionData.tweets.map(tweet => ({
-                                _id: tweet.tweet_id,
-                                user_name: tweet.user?.name || 'Unknown User',
-                                user_handle: tweet.user?.handle || 'unknown',
-                                content: tweet.content,
-                                timestamp: new Date(tweet.timestamp),
-                                url: tweet.url,
-                                metrics: tweet.metrics
-                            }))
-                        };
-                        
-                        sessions.push(formattedSession);
-                    } catch (error) {
-                        console.error(`Error processing file ${filePath}:`, error);
-                        continue;
-                    }
-                }
-                
-                console.log(`Found ${sessions.length} valid sessions in local storage`);
+            const store = await this.getReadStore();
+            const sessions = await store.listSessions('app');
+            console.log(`Found ${sessions.length} sessions`);
+
+            if (options.dedupe === false) {
                 return this.processSessions(sessions);
             }
+
+            const tweets = await store.listTweets({ source: 'app' });
+            console.log(`Found ${tweets.length} unique tweets`);
+
+            return {
+                ...this.processSessions(sessions),
+                tweets: tweets.map(tweet => this.formatTweet(tweet))
+            };
         } catch (error) {
             console.error('Error getting tweets:', error);
             throw error;
@@ -756,10 +503,10 @@ class TweetDatabase {
         // Group sessions by date
         const sessionsByDate = {};
         const dates = [];
-        
+
         for (const session of sessions) {
             const date = new Date(session.started_at).toLocaleDateString();
-            
+
             if (!sessionsByDate[date]) {
                 sessionsByDate[date] = [];
                 dates.push(date);
@@ -767,28 +514,16 @@ class TweetDatabase {
 
             // Format the session data
             const formattedSession = {
-                _id: session._id.toString(),
+                _id: session.session_id,
                 scrape_type: session.scrape_type || 'twitter',
                 target: session.target || 'twitter',  // Default to 'twitter' if target is undefined
+                account: session.account || 'default',
                 status: session.status || 'unknown',
                 tweets_found: session.tweets?.length || 0,
                 started_at: session.started_at ? new Date(session.started_at) : new Date(),
                 completed_at: session.completed_at ? new Date(session.completed_at) : null,
-                tweets: (session.tweets || []).map(tweet => ({
-                    _id: tweet._id.toString(),
-                    user_name: tweet.user_name || tweet.username || 'Unknown User',
-                    user_handle: tweet.user_handle || tweet.handle || 'unknown',
-                    content: tweet.content || '',
-                    timestamp: tweet.timestamp ? new Date(tweet.timestamp) : new Date(),
-                    url: tweet.url || '#',
-                    metrics: {
-                        replies: parseInt(tweet.metrics?.replies) || 0,
-                        retweets: parseInt(tweet.metrics?.retweets) || 0,
-                        likes: parseInt(tweet.metrics?.likes) || 0,
-                        views: parseInt(tweet.metrics?.views) || 0
-                    }
-                })),
-                profile: session.profile && session.profile.length > 0 ? session.profile[0] : null
+                tweets: (session.tweets || []).map(tweet => this.formatTweet(tweet)),
+                profile: session.profile || null
             };
 
             sessionsByDate[date].push(formattedSession);
@@ -808,96 +543,81 @@ class TweetDatabase {
         return { sessionsByDate: sortedSessionsByDate };
     }
 
+    formatTweet(tweet) {
+        const formatted = {
+            _id: tweet.tweet_id,
+            user_name: tweet.user_name || 'Unknown User',
+            user_handle: tweet.user_handle || 'unknown',
+            content: tweet.content || '',
+            timestamp: tweet.timestamp || new Date(),
+            url: tweet.url || '#',
+            metrics: {
+                replies: parseInt(tweet.metrics?.replies) || 0,
+                retweets: parseInt(tweet.metrics?.retweets) || 0,
+                likes: parseInt(tweet.metrics?.likes) || 0,
+                views: parseInt(tweet.metrics?.views) || 0
+            },
+            media: tweet.media,
+            ...this.getRelationshipFields(tweet),
+            entities: tweet.entities,
+            ...this.getAttachmentFields(tweet)
+        };
+        // The sessions that saw the tweet, only in the deduplicated view
+        if (tweet.session_ids) {
+            formatted.session_ids = tweet.session_ids;
+        }
+        return formatted;
+    }
+
     async getTweetsBySession(sessionId, source = 'app') {
         try {
             console.log('\n=== Getting Tweets by Session ===');
             console.log('Session ID:', sessionId);
-            
-            if (this.shareData) {
-                // Only connect to database if data sharing is enabled
-                await this.ensureConnection();
-                
-                const tweets = await this.db.collection(this.collections.TWEETS)
-                    .find({ session_id: new ObjectId(sessionId) })
-                    .toArray();
-                
-                console.log(`Found ${tweets.length} tweets for session`);
-                return tweets;
-            } else {
-                // For local storage, read from the session file
-                let localSessionPath;
-                if(source === 'app') {
-                     localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-                }
-                else {
-                    localSessionPath = path.join(this.localDataDir, `sessionapi_${sessionId}.json`);
-                }
-                
-                const sessionData = JSON.parse(await fsPromises.readFile(localSessionPath, 'utf8'));
-                
-                console.log(`Found ${sessionData.tweets.length} tweets in local session`);
-                return sessionData.tweets.map(tweet => ({
-                    _id: tweet.tweet_id,
-                    user_handle: tweet.user.handle,
-                    user_name: tweet.user.name,
-                    content: tweet.content,
-                    timestamp: new Date(tweet.timestamp),
-                    url: tweet.url,
-                    metrics: tweet.metrics,
-                    created_at: new Date(tweet.saved_at),
-                    updated_at: new Date(tweet.saved_at)
-                }));
+
+            const store = await this.getReadStore();
+            const tweets = await store.getSessionTweets(sessionId, source);
+            if (!tweets) {
+                throw new Error(`Session ${sessionId} not found`);
             }
+
+            console.log(`Found ${tweets.length} tweets for session`);
+            return tweets;
         } catch (error) {
             console.error('Error getting tweets by session:', error);
             throw error;
         }
     }
 
+    // Tweets for chat analysis, each once. MongoDB runs the generated filter, local storage has no
+    // query engine and returns the newest tweets.
+    async queryTweets(mongoQuery) {
+        const limit = mongoQuery.limit || 100;
+        if (this.shareData) {
+            await this.ensureConnection();
+            return await this.mongo.findTweets(mongoQuery.query, mongoQuery.sort, limit);
+        }
+        return await this.local.listTweets({ limit });
+    }
+
     async close() {
         try {
-            if (this.client) {
-                await this.client.close();
-                this.client = null;
-                this.db = null;
-                this.isConnected = false;
-                console.log('MongoDB connection closed');
-            }
+            await this.local.close();
+            await this.mongo.close();
+            console.log('Database connections closed');
         } catch (error) {
-            console.error('Error closing MongoDB connection:', error);
+            console.error('Error closing database connections:', error);
         }
     }
 
     async checkData() {
         try {
-            if (!this.shareData) {
-                // For local storage, count files in the local data directory
-                const files = await fsPromises.readdir(this.localDataDir);
-                const sessionFiles = files.filter(file => file.startsWith('session_') && file.endsWith('.json'));
-                
-                return {
-                    [this.collections.SESSIONS]: sessionFiles.length,
-                    [this.collections.TWEETS]: sessionFiles.reduce((total, file) => {
-                        const sessionData = JSON.parse(fs.readFileSync(path.join(this.localDataDir, file), 'utf8'));
-                        return total + (sessionData.tweets?.length || 0);
-                    }, 0),
-                    [this.collections.PROFILES]: 0 // Profiles are not stored locally
-                };
-            }
-
-            if (!this.isConnected) {
-                await this.initialize();
-            }
-
-            const collections = [this.collections.SESSIONS, this.collections.TWEETS, this.collections.PROFILES];
-            const counts = {};
-
-            for (const collection of collections) {
-                counts[collection] = await this.db.collection(collection).countDocuments();
-            }
-
-            console.log('Database collection counts:', counts);
-            return counts;
+            const store = await this.getReadStore();
+            const counts = await store.getCounts();
+            return {
+                [this.collections.SESSIONS]: counts.sessions,
+                [this.collections.TWEETS]: counts.tweets,
+                [this.collections.PROFILES]: counts.profiles
+            };
         } catch (error) {
             console.error('Error checking data:', error);
             throw error;
@@ -906,17 +626,9 @@ class TweetDatabase {
 
     async clearTweets() {
         try {
-            if (!this.shareData) {
-                return true;
-            }
-
-            if (!this.isConnected) {
-                await this.initialize();
-            }
-
-            const result = await this.db.collection(this.collections.TWEETS).deleteMany({});
-            console.log('Cleared tweets:', result.deletedCount);
-            return result.deletedCount;
+            const cleared = await this.writeToStores(store => store.clearTweets());
+            console.log('Cleared tweets:', cleared);
+            return cleared;
         } catch (error) {
             console.error('Error clearing tweets:', error);
             throw error;
@@ -925,27 +637,17 @@ class TweetDatabase {
 
     async deleteAllSessions() {
         try {
-            if (!this.shareData) {
-                // Delete only session files in localDataDir
-                const files = await fsPromises.readdir(this.localDataDir);
-                for (const file of files) {
-                    if (file.startsWith('session_') && file.endsWith('.json')) {
-                        await fsPromises.unlink(path.join(this.localDataDir, file));
-                    }
-                }
-                console.log('Deleted all local session files');
-                return true;
-            }
+            await this.writeToStores(store => store.deleteAllSessions());
 
-            if (!this.isConnected) {
-                await this.initialize();
+            // Remove the media downloaded for every session
+            const files = await fsPromises.readdir(this.localDataDir);
+            for (const file of files) {
+                if (/^session(api)?_.+_media$/.test(file)) {
+                    await fsPromises.rm(path.join(this.localDataDir, file), { recursive: true, force: true });
+                }
             }
 
-            // Delete all sessions and tweets from MongoDB
-            await this.db.collection(this.collections.SESSIONS).deleteMany({});
-            await this.db.collection(this.collections.TWEETS).deleteMany({});
-            
-            console.log('Deleted all sessions and associated tweets from database');
+            console.log('Deleted all sessions and associated tweets');
             return true;
         } catch (error) {
             console.error('Error deleting all sessions:', error);
@@ -953,33 +655,37 @@ class TweetDatabase {
         }
     }
 
-    async saveAutoScrapingProfile(profile) {
+    async deleteSession(sessionId, source = 'app') {
         try {
-            await this.ensureConnection();
-            
-            const now = new Date();
-            const profileDoc = {
-                ...profile,
-                updated_at: now,
-                last_scraped_at: null,
-                is_active: true
-            };
+            console.log('Deleting session:', sessionId);
+
+            await this.writeToStores(store => store.deleteSession(sessionId, source));
+            // A session file from before the SQLite store may still be next to it
+            if (this.localBackend === 'sqlite') {
+                await fsPromises.rm(this.getLocalSessionPath(sessionId, source), { force: true });
+            }
+
+            // Remove any media downloaded for the session
+            await fsPromises.rm(this.getSessionMediaDir(sessionId, source), { recursive: true, force: true });
+            await fsPromises.rm(path.join(this.localDataDir, 'checkpoints', `${sessionId}.json`), { force: true });
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error deleting session:', error);
+            throw error;
+        }
+    }
+
+    getLocalSessionPath(sessionId, source = 'app') {
+        const prefix = source === 'api' ? 'sessionapi' : 'session';
+        return path.join(this.localDataDir, `${prefix}_${sessionId}.json`);
+    }
+
+    // Auto-scraping targets are written everywhere and read from where sessions are read
 
-            const result = await this.db.collection(this.collections.AUTO_SCRAPING_PROFILES).updateOne(
-                { 
-                    type: profile.type,
-                    target: profile.target
-                },
-                { 
-                    $set: profileDoc,
-                    $setOnInsert: {
-                        created_at: now
-                    }
-                },
-                { upsert: true }
-            );
-
-            return result.upsertedId || profile.target;
+    async saveAutoScrapingProfile(profile) {
+        try {
+            return await this.writeToStores(store => store.saveAutoScrapingProfile(profile));
         } catch (error) {
             console.error('Error saving auto-scraping profile:', error);
             throw error;
@@ -988,10 +694,8 @@ class TweetDatabase {
 
     async getAutoScrapingProfiles() {
         try {
-            await this.ensureConnection();
-            return await this.db.collection(this.collections.AUTO_SCRAPING_PROFILES)
-                .find({ is_active: true })
-                .toArray();
+            const store = await this.getReadStore();
+            return await store.getAutoScrapingProfiles();
         } catch (error) {
             console.error('Error getting auto-scraping profiles:', error);
             return [];
@@ -1000,15 +704,7 @@ class TweetDatabase {
 
     async updateAutoScrapingProfileLastScraped(type, target) {
         try {
-            await this.ensureConnection();
-            await this.db.collection(this.collections.AUTO_SCRAPING_PROFILES).updateOne(
-                { type, target },
-                { 
-                    $set: { 
-                        last_scraped_at: new Date()
-                    }
-                }
-            );
+            await this.writeToStores(store => store.updateAutoScrapingProfileLastScraped(type, target));
         } catch (error) {
             console.error('Error updating auto-scraping profile last scraped:', error);
             throw error;
@@ -1017,313 +713,227 @@ class TweetDatabase {
 
     async deleteAutoScrapingProfile(type, target) {
         try {
-            await this.ensureConnection();
-            await this.db.collection(this.collections.AUTO_SCRAPING_PROFILES).deleteOne(
-                { type, target }
-            );
+            await this.writeToStores(store => store.deleteAutoScrapingProfile(type, target));
         } catch (error) {
             console.error('Error deleting auto-scraping profile:', error);
             throw error;
         }
     }
 
-    async downloadAllTweets() {
+    // The newest tweet seen per scrape target, used by incremental scrapes to stop at known tweets
+    async getScrapeCursor(type, target) {
         try {
-            console.log('\n=== Downloading All Tweets ===');
-            await this.ensureConnection();
+            const store = await this.getReadStore();
+            return await store.getScrapeCursor(this.getScrapeCursorKey(type, target));
+        } catch (error) {
+            console.error('Error getting scrape cursor:', error);
+            return null;
+        }
+    }
+
+    async updateScrapeCursor(type, target, tweets, sessionId) {
+        try {
+            // Pinned tweets and retweets carry old ids, so they can't move the cursor
+            const newest = tweets
+                .filter(tweet => tweet.tweet_id && !tweet.is_pinned && !tweet.is_retweet)
+                .reduce((latest, tweet) => (!latest || BigInt(tweet.tweet_id) > BigInt(latest.tweet_id) ? tweet : latest), null);
+            if (!newest) {
+                return null;
+            }
 
-            const tweets = await this.db.collection(this.collections.TWEETS)
-                .aggregate([
-                    {
-                        $lookup: {
-                            from: this.collections.SESSIONS,
-                            localField: 'session_id',
-                            foreignField: '_id',
-                            as: 'session'
-                        }
-                    },
-                    {
-                        $sort: { timestamp: -1 }
-                    }
-                ]).toArray();
-
-            // Format tweets for download
-            const formattedTweets = tweets.map(tweet => ({
-                tweet_id: tweet.tweet_id,
-                user_handle: tweet.user_handle,
-                user_name: tweet.user_name,
-                content: tweet.content,
-                timestamp: tweet.timestamp,
-                url: tweet.url,
-                metrics: tweet.metrics,
-                session: tweet.session?.[0] ? {
-                    id: tweet.session[0]._id.toString(),
-                    type: tweet.session[0].scrape_type,
-                    target: tweet.session[0].target,
-                    started_at: tweet.session[0].started_at
-                } : null,
-                created_at: tweet.created_at,
-                updated_at: tweet.updated_at
-            }));
-
-            return formattedTweets;
+            const key = this.getScrapeCursorKey(type, target);
+            const existing = await this.getScrapeCursor(type, target);
+            if (existing && BigInt(existing.newest_tweet_id) >= BigInt(newest.tweet_id)) {
+                return existing;
+            }
+
+            const cursor = {
+                key,
+                type,
+                target,
+                newest_tweet_id: newest.tweet_id,
+                newest_timestamp: newest.timestamp || null,
+                session_id: sessionId,
+                updated_at: new Date().toISOString()
+            };
+            await this.writeToStores(store => store.saveScrapeCursor(cursor));
+
+            console.log(`Scrape cursor for ${key} moved to ${newest.tweet_id}`);
+            return cursor;
         } catch (error) {
-            console.error('Error downloading all tweets:', error);
+            console.error('Error updating scrape cursor:', error);
             throw error;
         }
     }
 
-    async downloadTweetsBySession(sessionId) {
+    getScrapeCursorKey(type, target) {
+        return `${type}:${String(target).toLowerCase()}`;
+    }
+
+    // Profile scrapes overwrite the stored profile, so each one also appends the counts it saw here
+    async addProfileSnapshot(profile, sessionId, account = null) {
         try {
-            console.log('\n=== Downloading Tweets by Session ===');
-            console.log('Session ID:', sessionId);
-            
-            if (this.shareData) {
-                await this.ensureConnection();
+            if (!profile?.handle) {
+                return null;
+            }
 
-                // Get session details first
-                const session = await this.db.collection(this.collections.SESSIONS)
-                    .findOne({ _id: new ObjectId(sessionId) });
+            const snapshot = {
+                handle_key: profile.handle.toLowerCase(),
+                handle: profile.handle,
+                captured_at: new Date().toISOString(),
+                session_id: sessionId ? String(sessionId) : null,
+                account: account || 'default',
+                followers_count: profile.followers_count ?? null,
+                following_count: profile.following_count ?? null,
+                tweets_count: profile.tweets_count ?? null,
+                bio: profile.bio ?? null
+            };
+            await this.writeToStores(store => store.addProfileSnapshot(snapshot));
 
-                if (!session) {
-                    throw new Error('Session not found');
-                }
+            console.log(`Saved profile snapshot for @${profile.handle}: ${snapshot.followers_count} followers`);
+            return snapshot;
+        } catch (error) {
+            console.error('Error saving profile snapshot:', error);
+            throw error;
+        }
+    }
 
-                // Get tweets for the session
-                const tweets = await this.db.collection(this.collections.TWEETS)
-                    .find({ session_id: new ObjectId(sessionId) })
-                    .sort({ timestamp: -1 })
-                    .toArray();
-
-                // Format tweets for download
-                const formattedTweets = tweets.map(tweet => ({
-                    tweet_id: tweet.tweet_id,
-                    user_handle: tweet.user_handle,
-                    user_name: tweet.user_name,
-                    content: tweet.content,
-                    timestamp: tweet.timestamp,
-                    url: tweet.url,
-                    metrics: tweet.metrics,
-                    created_at: tweet.created_at,
-                    updated_at: tweet.updated_at
-                }));
+    // Snapshots of one profile, oldest first, each with its change since the previous snapshot
+    async getProfileHistory(handle, options = {}) {
+        try {
+            const handleKey = String(handle).replace(/^@/, '').toLowerCase();
+            const store = await this.getReadStore();
+            let snapshots = await store.getProfileSnapshots(handleKey, {
+                since: options.since ? new Date(options.since).toISOString() : null,
+                until: options.until ? new Date(options.until).toISOString() : null
+            });
+
+            // Keep the most recent snapshots when a limit is given
+            if (options.limit) {
+                snapshots = snapshots.slice(-parseInt(options.limit));
+            }
 
+            const delta = (current, previous) => (current === null || previous === null ? null : current - previous);
+            const series = snapshots.map((snapshot, index) => {
+                const previous = snapshots[index - 1];
                 return {
-                    session: {
-                        id: session._id.toString(),
-                        type: session.scrape_type,
-                        target: session.target,
-                        started_at: session.started_at,
-                        completed_at: session.completed_at,
-                        status: session.status,
-                        tweets_found: session.tweets_found
-                    },
-                    tweets: formattedTweets
+                    captured_at: snapshot.captured_at,
+                    session_id: snapshot.session_id,
+                    account: snapshot.account,
+                    followers_count: snapshot.followers_count,
+                    following_count: snapshot.following_count,
+                    tweets_count: snapshot.tweets_count,
+                    bio: snapshot.bio,
+                    followers_delta: previous ? delta(snapshot.followers_count, previous.followers_count) : null,
+                    following_delta: previous ? delta(snapshot.following_count, previous.following_count) : null,
+                    tweets_delta: previous ? delta(snapshot.tweets_count, previous.tweets_count) : null,
+                    bio_changed: previous ? snapshot.bio !== previous.bio : false
                 };
-            } else {
-                // Local storage mode
-                const sessionFile = path.join(this.localDataDir, `session_${sessionId}.json`);
-                
-                try {
-                    // Read the file using fsPromises
-                    const sessionData = JSON.parse(await fsPromises.readFile(sessionFile, 'utf8'));
-                    
-                    return {
-                        session: {
-                            id: sessionId,
-                            type: sessionData.scrape_type || 'twitter',
-                            target: sessionData.target,
-                            started_at: sessionData.started_at,
-                            completed_at: sessionData.completed_at,
-                            status: sessionData.status,
-                            tweets_found: sessionData.tweets?.length || 0
-                        },
-                        tweets: sessionData.tweets.map(tweet => ({
-                            tweet_id: tweet.tweet_id,
-                            user_handle: tweet.user.handle,
-                            user_name: tweet.user.name,
-                            content: tweet.content,
-                            timestamp: tweet.timestamp,
-                            url: tweet.url,
-                            metrics: tweet.metrics,
-                            created_at: tweet.created_at,
-                            updated_at: tweet.updated_at
-                        }))
-                    };
-                } catch (error) {
-                    if (error.code === 'ENOENT') {
-                        throw new Error('Session file not found');
-                    }
-                    throw error;
-                }
-            }
+            });
+
+            const first = series[0];
+            const last = series[series.length - 1];
+            return {
+                handle: snapshots[snapshots.length - 1]?.handle || handleKey,
+                snapshots: series,
+                summary: first ? {
+                    count: series.length,
+                    first_captured_at: first.captured_at,
+                    last_captured_at: last.captured_at,
+                    followers_change: delta(last.followers_count, first.followers_count),
+                    following_change: delta(last.following_count, first.following_count),
+                    tweets_change: delta(last.tweets_count, first.tweets_count),
+                    bio_changes: series.filter(snapshot => snapshot.bio_changed).length
+                } : null
+            };
         } catch (error) {
-            console.error('Error downloading tweets by session:', error);
+            console.error('Error getting profile history:', error);
             throw error;
         }
     }
 
-    async scrapeTweets(tweets, sessionId) {
+    // Tweets containing a hashtag, mention, cashtag or link domain, newest first
+    async getTweetsByEntity(type, value, limit = 100) {
         try {
-            console.log('\n=== Scraping Tweets ===');
-            console.log('Session ID:', sessionId);
-            console.log('Number of tweets:', tweets.length);
+            const query = TweetEntities.normalizeQuery(type, value);
+            const store = await this.getReadStore();
+            return await store.findTweetsByEntity(query.type, query.value, limit);
+        } catch (error) {
+            console.error('Error getting tweets by entity:', error);
+            throw error;
+        }
+    }
 
-            const now = new Date();
-            const localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-            
-            // Use a lock file to prevent concurrent writes
-            const lockFile = localSessionPath + '.lock';
-            
-            // Wait for any existing lock to be released
-            while (fs.existsSync(lockFile)) {
-                await new Promise(resolve => setTimeout(resolve, 100));
+    // Tweets by one author, newest first, optionally between two dates
+    async getTweetsByHandle(handle, options = {}) {
+        try {
+            const bareHandle = String(handle || '').trim().replace(/^@/, '');
+            if (!bareHandle) {
+                throw new Error('A handle is required');
             }
-            
-            try {
-                // Create lock file
-                fs.writeFileSync(lockFile, '1');
-                
-                // Read existing session data
-                let sessionData;
-                try {
-                    const fileContent = await fsPromises.readFile(localSessionPath, 'utf8');
-                    sessionData = JSON.parse(fileContent);
-                } catch (error) {
-                    // File doesn't exist or is invalid, create new session data
-                    sessionData = {
-                        session_id: sessionId,
-                        scrape_type: 'tweets',
-                        created_at: now.toISOString(),
-                        updated_at: now.toISOString(),
-                        tweets: []
-                    };
-                }
 
-                // Process each tweet
-                for (const tweet of tweets) {
-                    const tweet_id = tweet.url.split('/status/')[1]?.split('?')[0];
-                    if (!tweet_id) continue;
-
-                    // Check if tweet already exists
-                    const tweetExists = sessionData.tweets.some(t => t.tweet_id === tweet_id);
-                    
-                    if (!tweetExists) {
-                        // Add new tweet to session data
-                        sessionData.tweets.push({
-                            tweet_id,
-                            user: tweet.user,
-                            content: tweet.content,
-                            timestamp: tweet.timestamp,
-                            url: tweet.url,
-                            metrics: tweet.metrics,
-                            saved_at: now.toISOString()
-                        });
-                    }
-                }
-                
-                sessionData.updated_at = now.toISOString();
-                sessionData.tweet_count = sessionData.tweets.length;
-
-                // Save to local storage with pretty formatting
-                await fsPromises.writeFile(
-                    localSessionPath, 
-                    JSON.stringify(sessionData, null, 2)
-                );
-                console.log('Saved tweets to local storage:', localSessionPath);
-
-                // Only save to MongoDB if data sharing is enabled
-                if (this.shareData) {
-                    await this.ensureConnection();
-
-                    // Save each tweet to MongoDB
-                    for (const tweet of tweets) {
-                        const tweet_id = tweet.url.split('/status/')[1]?.split('?')[0];
-                        if (!tweet_id) continue;
-
-                        const tweetDoc = {
-                            tweet_id,
-                            session_id: new ObjectId(sessionId),
-                            user_handle: tweet.user.handle,
-                            user_name: tweet.user.name || '',
-                            content: tweet.content || '',
-                            timestamp: tweet.timestamp ? new Date(tweet.timestamp) : now,
-                            url: tweet.url,
-                            metrics: {
-                                replies: this.parseMetric(tweet.metrics?.replies),
-                                retweets: this.parseMetric(tweet.metrics?.retweets),
-                                likes: this.parseMetric(tweet.metrics?.likes),
-                                views: this.parseMetric(tweet.metrics?.views)
-                            },
-                            updated_at: now
-                        };
-
-                        await this.db.collection(this.collections.TWEETS).updateOne(
-                            { tweet_id },
-                            { 
-                                $set: tweetDoc,
-                                $setOnInsert: { created_at: now }
-                            },
-                            { upsert: true }
-                        );
-                    }
-
-                    // Update session tweet count
-                    await this.updateSessionTweetCount(sessionId);
-                }
+            const store = await this.getReadStore();
+            return await store.findTweetsByHandle(bareHandle, {
+                since: options.since,
+                until: options.until,
+                limit: Math.min(parseInt(options.limit) || 100, 1000)
+            });
+        } catch (error) {
+            console.error('Error getting tweets by handle:', error);
+            throw error;
+        }
+    }
 
-                return true;
-            } finally {
-                // Always remove the lock file
-                try {
-                    fs.unlinkSync(lockFile);
-                } catch (error) {
-                    console.error('Error removing lock file:', error);
+    // Full-text search over every stored tweet, see TweetSearch for the query syntax. Every write
+    // reaches the local store, so it is searched even when reads go to MongoDB.
+    async searchTweets(query, options = {}) {
+        try {
+            for (const field of ['since', 'until']) {
+                if (options[field] && isNaN(new Date(options[field]).getTime())) {
+                    throw new Error(`Invalid ${field} date`);
                 }
             }
+
+            return await this.local.searchTweets(query, {
+                since: options.since,
+                until: options.until,
+                limit: Math.min(parseInt(options.limit) || 50, 1000),
+                sort: options.sort || 'relevance'
+            });
         } catch (error) {
-            console.error('=== Error Scraping Tweets ===');
-            console.error('Error:', error.message);
-            console.error('Stack:', error.stack);
+            console.error('Error searching tweets:', error);
             throw error;
         }
     }
 
-    async deleteSession(sessionId) {
+    // Every tweet once, options.dedupe = false exports the tweets of every session
+    async downloadAllTweets(options = {}) {
         try {
-            console.log('Deleting session:', sessionId);
-            
-            if (this.shareData) {
-                // Delete from MongoDB if data sharing is enabled
-                if (!this.isConnected) {
-                    await this.initialize();
-                }
+            console.log('\n=== Downloading All Tweets ===');
+            const store = await this.getReadStore();
+            return await store.exportTweets(options);
+        } catch (error) {
+            console.error('Error downloading all tweets:', error);
+            throw error;
+        }
+    }
 
-                // Delete session and associated tweets
-                await this.db.collection(this.collections.SESSIONS).deleteOne({ _id: new ObjectId(sessionId) });
-                await this.db.collection(this.collections.TWEETS).deleteMany({ session_id: new ObjectId(sessionId) });
-                
-                console.log('Session and associated tweets deleted from database');
-            } else {
-                // Delete from local storage
-                const localSessionPath = path.join(this.localDataDir, `session_${sessionId}.json`);
-                try {
-                    await fsPromises.unlink(localSessionPath);
-                    console.log('Session file deleted from local storage:', localSessionPath);
-                } catch (error) {
-                    if (error.code !== 'ENOENT') {
-                        throw error;
-                    }
-                    console.log('Session file not found, might have been already deleted');
-                }
-            }
+    async downloadTweetsBySession(sessionId) {
+        try {
+            console.log('\n=== Downloading Tweets by Session ===');
+            console.log('Session ID:', sessionId);
 
-            return { success: true };
+            const store = await this.getReadStore();
+            const exported = await store.exportSession(sessionId);
+            if (!exported) {
+                throw new Error('Session not found');
+            }
+            return exported;
         } catch (error) {
-            console.error('Error deleting session:', error);
+            console.error('Error downloading tweets by session:', error);
             throw error;
         }
     }
 }
 
-module.exports = TweetDatabase; 
\ No newline at end of file
+module.exports = TweetDatabase;
@@ -43,7 +43,7 @@ async function testDatabaseOperations() {
         // 4. Verify tweet in database
         console.log('\n4. Verifying saved tweet...');
         const tweet_id = mockTweet.url.split('/status/')[1];
-        const savedTweet = await db.db.collection(db.collections.TWEETS).findOne({ tweet_id });
+        const savedTweet = await db.mongo.collection('TWEETS').findOne({ tweet_id });
         console.log('Found tweet in database:', savedTweet ? 'Yes' : 'No');
         if (savedTweet) {
             console.log('Saved tweet data:', savedTweet);
@@ -51,7 +51,7 @@ async function testDatabaseOperations() {
         
         // 5. Check session status
         console.log('\n5. Checking session status...');
-        const session = await db.db.collection(db.collections.SESSIONS).findOne({ _id: new ObjectId(sessionId) });
+        const session = await db.mongo.collection('SESSIONS').findOne({ _id: new ObjectId(sessionId) });
         console.log('Session data:', session);
         
     } catch (error) {
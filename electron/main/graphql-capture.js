@@ -0,0 +1,447 @@
+const TweetEntities = require('./tweet-entities');
+
+// GraphQL operations whose responses carry timeline, search or conversation tweets
+const TIMELINE_OPERATIONS = [
+    'HomeTimeline',
+    'HomeLatestTimeline',
+    'UserTweets',
+    'UserTweetsAndReplies',
+    'UserMedia',
+    'SearchTimeline',
+    'TweetDetail',
+    'Likes',
+    'Bookmarks',
+    'ListLatestTweetsTimeline'
+];
+
+// GraphQL operations whose responses carry follower and following lists
+const USER_LIST_OPERATIONS = [
+    'Followers',
+    'Following',
+    'BlueVerifiedFollowers'
+];
+
+class GraphQLCapture {
+    constructor() {
+        this.page = null;
+        this.tweets = new Map();
+        this.users = new Map();
+        this.responseCount = 0;
+        this.capturedCount = 0;
+        this.capturedUserCount = 0;
+        this.throttle = null;
+        this.handleResponse = this.handleResponse.bind(this);
+    }
+
+    attach(page) {
+        if (this.page === page) {
+            return;
+        }
+
+        this.detach();
+        this.page = page;
+        this.page.on('response', this.handleResponse);
+        console.log('GraphQL capture attached to page');
+    }
+
+    detach() {
+        if (this.page) {
+            this.page.off('response', this.handleResponse);
+            this.page = null;
+        }
+    }
+
+    // Forget everything captured so far, called before navigating to a new target
+    reset() {
+        this.tweets.clear();
+        this.users.clear();
+        this.responseCount = 0;
+        this.capturedCount = 0;
+        this.capturedUserCount = 0;
+        this.throttle = null;
+    }
+
+    async handleResponse(response) {
+        const operation = GraphQLCapture.getOperationName(response.url());
+        const isUserList = USER_LIST_OPERATIONS.includes(operation);
+        if (!operation || (!TIMELINE_OPERATIONS.includes(operation) && !isUserList)) {
+            return;
+        }
+
+        if (response.status() === 429) {
+            this.recordThrottle(operation, response);
+            return;
+        }
+
+        if (response.status() !== 200) {
+            console.log(`GraphQL ${operation} responded with status ${response.status()}`);
+            return;
+        }
+
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            // Body is not JSON or the page navigated away before it was read
+            console.log(`Could not read GraphQL ${operation} response:`, error.message);
+            return;
+        }
+
+        this.responseCount++;
+
+        // Rate limited requests can also come back as 200 with error code 88 in the body
+        if (!body?.data && (body?.errors || []).some(error => error.code === 88)) {
+            this.recordThrottle(operation, response);
+            return;
+        }
+
+        if (isUserList) {
+            const users = GraphQLCapture.parseUsers(body);
+            for (const user of users) {
+                if (!this.users.has(user.handle)) {
+                    this.capturedUserCount++;
+                }
+                this.users.set(user.handle, user);
+            }
+            console.log(`Captured ${users.length} users from GraphQL ${operation} response`);
+            return;
+        }
+
+        const tweets = GraphQLCapture.parseResponse(body);
+        for (const tweet of tweets) {
+            if (!this.tweets.has(tweet.tweet_id)) {
+                this.capturedCount++;
+            }
+            this.tweets.set(tweet.tweet_id, tweet);
+        }
+
+        console.log(`Captured ${tweets.length} tweets from GraphQL ${operation} response`);
+    }
+
+    recordThrottle(operation, response) {
+        // x-rate-limit-reset is the epoch second at which the limit window resets
+        const reset = parseInt(response.headers()['x-rate-limit-reset']);
+        this.throttle = {
+            operation,
+            status: response.status(),
+            resetAt: reset ? reset * 1000 : null
+        };
+        console.log(`GraphQL ${operation} was rate limited${reset ? `, resets at ${new Date(reset * 1000).toISOString()}` : ''}`);
+    }
+
+    // Return the throttle seen since the last call, if any, and clear it
+    takeThrottle() {
+        const throttle = this.throttle;
+        this.throttle = null;
+        return throttle;
+    }
+
+    // Return the tweets captured since the last drain and clear the buffer
+    drain() {
+        const tweets = Array.from(this.tweets.values());
+        this.tweets.clear();
+        return tweets;
+    }
+
+    // True once at least one tweet has been parsed since the last reset
+    hasCapturedTweets() {
+        return this.capturedCount > 0;
+    }
+
+    drainUsers() {
+        const users = Array.from(this.users.values());
+        this.users.clear();
+        return users;
+    }
+
+    hasCapturedUsers() {
+        return this.capturedUserCount > 0;
+    }
+
+    static getOperationName(url) {
+        const match = url.match(/\/i\/api\/graphql\/[^/]+\/([A-Za-z]+)/);
+        return match ? match[1] : null;
+    }
+
+    static parseResponse(body) {
+        const tweets = [];
+        for (const instructions of GraphQLCapture.findInstructions(body)) {
+            for (const instruction of instructions) {
+                const entries = instruction.entries || (instruction.entry ? [instruction.entry] : []);
+                const isPinned = instruction.type === 'TimelinePinEntry';
+                for (const entry of entries) {
+                    for (const result of GraphQLCapture.getEntryTweetResults(entry)) {
+                        const tweet = GraphQLCapture.normalizeTweet(result);
+                        if (tweet) {
+                            tweet.is_pinned = isPinned;
+                            tweets.push(tweet);
+                        }
+                    }
+                }
+            }
+        }
+        return tweets;
+    }
+
+    static parseUsers(body) {
+        const users = [];
+        for (const instructions of GraphQLCapture.findInstructions(body)) {
+            for (const instruction of instructions) {
+                for (const entry of instruction.entries || []) {
+                    const itemContent = entry.content?.itemContent;
+                    if (itemContent?.itemType !== 'TimelineUser') {
+                        continue;
+                    }
+                    const user = GraphQLCapture.normalizeUserResult(itemContent.user_results?.result);
+                    if (user) {
+                        users.push(user);
+                    }
+                }
+            }
+        }
+        return users;
+    }
+
+    // Timeline responses nest their instructions at different depths per operation
+    static findInstructions(node, found = []) {
+        if (!node || typeof node !== 'object') {
+            return found;
+        }
+
+        if (Array.isArray(node.instructions)) {
+            found.push(node.instructions);
+            return found;
+        }
+
+        for (const value of Object.values(node)) {
+            GraphQLCapture.findInstructions(value, found);
+        }
+        return found;
+    }
+
+    static getEntryTweetResults(entry) {
+        const content = entry?.content;
+        if (!content) {
+            return [];
+        }
+
+        const itemContents = [];
+        if (content.itemContent) {
+            itemContents.push(content.itemContent);
+        }
+        if (Array.isArray(content.items)) {
+            content.items.forEach(item => {
+                if (item.item?.itemContent) {
+                    itemContents.push(item.item.itemContent);
+                }
+            });
+        }
+
+        return itemContents
+            .filter(itemContent => itemContent.itemType === 'TimelineTweet')
+            .map(itemContent => itemContent.tweet_results?.result)
+            .filter(Boolean);
+    }
+
+    static unwrapTweetResult(result) {
+        if (!result) {
+            return null;
+        }
+        if (result.__typename === 'TweetWithVisibilityResults') {
+            return result.tweet || null;
+        }
+        if (result.__typename && result.__typename !== 'Tweet') {
+            // Tombstones and unavailable tweets have no content to extract
+            return null;
+        }
+        return result;
+    }
+
+    static normalizeUser(tweet) {
+        const userResult = tweet.core?.user_results?.result || {};
+        return {
+            name: userResult.core?.name || userResult.legacy?.name || '',
+            handle: userResult.core?.screen_name || userResult.legacy?.screen_name || ''
+        };
+    }
+
+    static normalizeUserResult(result) {
+        if (!result || result.__typename !== 'User') {
+            return null;
+        }
+
+        const legacy = result.legacy || {};
+        const handle = result.core?.screen_name || legacy.screen_name;
+        if (!handle) {
+            return null;
+        }
+
+        return {
+            user_id: result.rest_id || null,
+            handle,
+            name: result.core?.name || legacy.name || '',
+            bio: result.profile_bio?.description || legacy.description || '',
+            verified: !!(result.is_blue_verified || result.verification?.verified || legacy.verified),
+            followers_count: legacy.followers_count || 0,
+            following_count: legacy.friends_count || 0
+        };
+    }
+
+    // Quoted tweets are normalized one level deep, a quote inside a quote is dropped
+    static normalizeTweet(result, isQuote = false) {
+        const outer = GraphQLCapture.unwrapTweetResult(result);
+        if (!outer || !outer.legacy) {
+            return null;
+        }
+
+        // The DOM shows the original tweet for a retweet, so normalize to it and keep the retweeter
+        const retweeted = GraphQLCapture.unwrapTweetResult(outer.legacy.retweeted_status_result?.result);
+        const isRetweet = !!(retweeted && retweeted.legacy);
+        const tweet = isRetweet ? retweeted : outer;
+
+        const legacy = tweet.legacy;
+        const tweetId = tweet.rest_id || legacy.id_str;
+        if (!tweetId) {
+            return null;
+        }
+
+        const { name, handle } = GraphQLCapture.normalizeUser(tweet);
+
+        // Long tweets keep their full text in note_tweet, legacy.full_text is truncated
+        const content = tweet.note_tweet?.note_tweet_results?.result?.text || legacy.full_text || '';
+
+        return {
+            tweet_id: tweetId,
+            user: {
+                name,
+                handle
+            },
+            timestamp: legacy.created_at ? new Date(legacy.created_at).toISOString() : '',
+            content,
+            metrics: {
+                replies: legacy.reply_count || 0,
+                retweets: legacy.retweet_count || 0,
+                likes: legacy.favorite_count || 0,
+                views: parseInt(tweet.views?.count) || 0
+            },
+            media: GraphQLCapture.normalizeMedia(legacy),
+            entities: TweetEntities.fromGraphQL(tweet),
+            poll: GraphQLCapture.normalizePoll(tweet.card?.legacy),
+            card: GraphQLCapture.normalizeCard(tweet.card?.legacy, legacy),
+            community_note: GraphQLCapture.normalizeCommunityNote(tweet),
+            is_retweet: isRetweet,
+            retweeted_by: isRetweet ? GraphQLCapture.normalizeUser(outer).handle : null,
+            quoted_tweet: isQuote ? null : GraphQLCapture.normalizeTweet(tweet.quoted_status_result?.result, true),
+            in_reply_to_tweet_id: legacy.in_reply_to_status_id_str || null,
+            in_reply_to_handle: legacy.in_reply_to_screen_name || null,
+            lang: legacy.lang || null,
+            url: `https://x.com/${handle}/status/${tweetId}`,
+            saved_at: new Date().toISOString()
+        };
+    }
+
+    // Card data comes as a list of typed key/value bindings
+    static getCardValues(card) {
+        const values = {};
+        for (const binding of card?.binding_values || []) {
+            const value = binding.value || {};
+            values[binding.key] = value.string_value ?? value.boolean_value ?? value.image_value?.url ?? null;
+        }
+        return values;
+    }
+
+    static normalizePoll(card) {
+        if (!/^poll\dchoice/.test(card?.name || '')) {
+            return null;
+        }
+
+        const values = GraphQLCapture.getCardValues(card);
+        const options = [];
+        for (let choice = 1; values[`choice${choice}_label`] !== undefined; choice++) {
+            options.push({
+                label: values[`choice${choice}_label`],
+                votes: parseInt(values[`choice${choice}_count`]) || 0,
+                percentage: null
+            });
+        }
+
+        const totalVotes = options.reduce((total, option) => total + option.votes, 0);
+        options.forEach(option => {
+            option.percentage = totalVotes > 0 ? Math.round(option.votes / totalVotes * 1000) / 10 : 0;
+        });
+
+        const endsAt = values.end_datetime_utc ? new Date(values.end_datetime_utc) : null;
+        return {
+            options,
+            total_votes: totalVotes,
+            state: values.counts_are_final || (endsAt && endsAt < new Date()) ? 'closed' : 'open',
+            ends_at: endsAt ? endsAt.toISOString() : null,
+            duration_minutes: parseInt(values.duration_minutes) || null
+        };
+    }
+
+    static normalizeCard(card, legacy) {
+        if (!card || /^poll\dchoice/.test(card.name || '')) {
+            return null;
+        }
+
+        const values = GraphQLCapture.getCardValues(card);
+        const url = values.card_url || card.url || null;
+        const expanded = (legacy.entities?.urls || []).find(entity => entity.url === url);
+        return {
+            type: card.name || 'link',
+            title: values.title || null,
+            description: values.description || null,
+            domain: values.domain || values.vanity_url || null,
+            url,
+            expanded_url: expanded?.expanded_url || null,
+            image_url: values.thumbnail_image_original || values.photo_image_full_size_original || values.summary_photo_image_original || null
+        };
+    }
+
+    // birdwatch_pivot is only present when a note is shown, has_birdwatch_notes flags notes still being rated
+    static normalizeCommunityNote(tweet) {
+        const pivot = tweet.birdwatch_pivot;
+        if (pivot) {
+            return {
+                note_id: pivot.note?.rest_id || pivot.destinationUrl?.match(/\/n\/(\d+)/)?.[1] || null,
+                text: pivot.subtitle?.text || '',
+                status: 'currently_rated_helpful',
+                url: pivot.destinationUrl || null
+            };
+        }
+        if (tweet.has_birdwatch_notes) {
+            return { note_id: null, text: null, status: 'needs_more_ratings', url: null };
+        }
+        return null;
+    }
+
+    static normalizeMedia(legacy) {
+        const items = legacy.extended_entities?.media || legacy.entities?.media || [];
+
+        return items.map(item => {
+            const type = item.type === 'animated_gif' ? 'gif' : item.type;
+            let url = `${item.media_url_https}?name=orig`;
+
+            // Videos and GIFs list several encodings, keep the highest bitrate mp4
+            if (item.video_info?.variants) {
+                const best = item.video_info.variants
+                    .filter(variant => variant.content_type === 'video/mp4')
+                    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0];
+                url = best ? best.url : null;
+            }
+
+            return {
+                type,
+                url,
+                preview_url: item.media_url_https || null,
+                alt_text: item.ext_alt_text || null,
+                width: item.original_info?.width || null,
+                height: item.original_info?.height || null,
+                duration_ms: item.video_info?.duration_millis || null
+            };
+        });
+    }
+}
+
+module.exports = GraphQLCapture;
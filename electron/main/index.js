@@ -5,10 +5,10 @@ const APIServer = require('./api-server');
 const DataStore = require('./data-store');
 const ChatManager = require('./chat');
 const fs = require('fs').promises;
-const TweetDatabase = require('./database');
 const PreferencesManager = require('./preferences');
 const LicenseManager = require('./license');
 const AutoScraper = require('./auto-scraper');
+const ScrapeJobManager = require('./scrape-job-manager');
 
 let mainWindow = null;
 let scraper = null;
@@ -20,6 +20,7 @@ let chatManager;
 let preferencesManager;
 let licenseWindow = null;
 const licenseManager = new LicenseManager();
+const scrapeJobs = new ScrapeJobManager();
 
 const licenseText = `
 Twitter Scraper Custom License
@@ -124,7 +125,9 @@ async function createMainWindow() {
     global.scraper = scraper;
     apiServer = new APIServer(scraper);
     dataStore = new DataStore();
-    db = new TweetDatabase();
+    // The auto-scraper and chat use the scraper's database, so all writes go through one set of stores
+    // and the data sharing preference reaches every reader
+    db = scraper.db;
     chatManager = new ChatManager(db, app.getPath('userData'));
     preferencesManager = new PreferencesManager();
 
@@ -172,6 +175,11 @@ async function createMainWindow() {
         mainWindow.webContents.send('auto-scraping-event', { type: 'profileError', type, target, error });
     });
 
+    autoScraper.on('profileSnapshot', (snapshot) => {
+        console.log(`Profile snapshot for ${snapshot.target}: ${snapshot.followers_count} followers (${snapshot.followers_delta ?? 'first snapshot'})`);
+        mainWindow.webContents.send('auto-scraping-event', { ...snapshot, type: 'profileSnapshot' });
+    });
+
     autoScraper.on('profileAdded', ({ type, target }) => {
         console.log(`Added new auto-scraping profile: ${type}: ${target}`);
         mainWindow.webContents.send('auto-scraping-event', { type: 'profileAdded', type, target });
@@ -182,6 +190,13 @@ async function createMainWindow() {
         mainWindow.webContents.send('auto-scraping-event', { type: 'profileRemoved', type, target });
     });
 
+    // Push scrape job progress to the renderer
+    scrapeJobs.on('progress', (job) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('scrape-job-progress', job);
+        }
+    });
+
     // Store autoScraper in the global scope
     global.autoScraper = autoScraper;
 
@@ -251,7 +266,7 @@ app.on('before-quit', async (event) => {
 });
 
 // IPC handlers
-ipcMain.handle('start-twitter-auth', async () => {
+ipcMain.handle('start-twitter-auth', async (event, { account } = {}) => {
     try {
         // Check license validity first
         const licenseCheck = await licenseManager.isLicenseValid();
@@ -269,7 +284,7 @@ ipcMain.handle('start-twitter-auth', async () => {
         
         // Add catch block specifically for initialization errors
         try {
-            const success = await scraper.startAuth();
+            const success = await scraper.startAuth(account);
             
             if (!success) {
                 // Provide more detailed error information
@@ -295,7 +310,7 @@ ipcMain.handle('start-twitter-auth', async () => {
     }
 });
 
-ipcMain.handle('scrape-tweets', async (event, { query, limit }) => {
+ipcMain.handle('scrape-tweets', async (event, { query, limit, downloadMedia, incremental, account }) => {
     try {
         // Check license validity first
         const licenseCheck = await licenseManager.isLicenseValid();
@@ -306,10 +321,11 @@ ipcMain.handle('scrape-tweets', async (event, { query, limit }) => {
         if (!scraper) {
             throw new Error('Scraper not initialized');
         }
-        if (!scraper.isLoggedIn) {
+        if (!(await scraper.canScrapeAs(account))) {
             throw new Error('Not logged in to Twitter');
         }
-        const tweets = await scraper.scrapeTweets(query, limit);
+        const tweets = await scrapeJobs.run('search', { query, limit, account }, (job) =>
+            scraper.scrapeTweets(query, limit, 'app', { account, downloadMedia, incremental, job }));
         
         // Save scraped tweets to data store
        /* await dataStore.saveTweets({
@@ -326,7 +342,7 @@ ipcMain.handle('scrape-tweets', async (event, { query, limit }) => {
     }
 });
 
-ipcMain.handle('scrape-profile', async (event, { username, limit }) => {
+ipcMain.handle('scrape-profile', async (event, { username, limit, downloadMedia, incremental, account }) => {
     try {
         // Check license validity first
         const licenseCheck = await licenseManager.isLicenseValid();
@@ -337,11 +353,12 @@ ipcMain.handle('scrape-profile', async (event, { username, limit }) => {
         if (!scraper) {
             throw new Error('Scraper not initialized');
         }
-        if (!scraper.isLoggedIn) {
+        if (!(await scraper.canScrapeAs(account))) {
             throw new Error('Not logged in to Twitter');
         }
         
-        const data = await scraper.scrapeProfile(username, limit);
+        const data = await scrapeJobs.run('profile', { username, limit, account }, (job) =>
+            scraper.scrapeProfile(username, limit, 'app', { account, downloadMedia, incremental, job }));
         
         // Save profile data to data store
         /*await dataStore.saveTweets({
@@ -359,7 +376,7 @@ ipcMain.handle('scrape-profile', async (event, { username, limit }) => {
     }
 });
 
-ipcMain.handle('scrape-home', async (event, { limit }) => {
+ipcMain.handle('scrape-home', async (event, { limit, downloadMedia, account }) => {
     try {
         // Check license validity first
         const licenseCheck = await licenseManager.isLicenseValid();
@@ -370,11 +387,12 @@ ipcMain.handle('scrape-home', async (event, { limit }) => {
         if (!scraper) {
             throw new Error('Scraper not initialized');
         }
-        if (!scraper.isLoggedIn) {
+        if (!(await scraper.canScrapeAs(account))) {
             throw new Error('Not logged in to Twitter');
         }
         
-        const tweets = await scraper.scrapeHomeTimeline(limit);
+        const tweets = await scrapeJobs.run('home', { limit, account }, (job) =>
+            scraper.scrapeHomeTimeline(limit, 'app', { account, downloadMedia, job }));
         
         // Save home timeline tweets to data store
         /*await dataStore.saveTweets({
@@ -390,6 +408,203 @@ ipcMain.handle('scrape-home', async (event, { limit }) => {
     }
 });
 
+ipcMain.handle('scrape-thread', async (event, { tweetUrl, limit, downloadMedia, account }) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        if (!(await scraper.canScrapeAs(account))) {
+            throw new Error('Not logged in to Twitter');
+        }
+
+        const data = await scrapeJobs.run('thread', { tweetUrl, limit, account }, (job) =>
+            scraper.scrapeThread(tweetUrl, limit, 'app', { account, downloadMedia, job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('Thread scraping error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('scrape-bookmarks', async (event, { limit, downloadMedia, account }) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        if (!(await scraper.canScrapeAs(account))) {
+            throw new Error('Not logged in to Twitter');
+        }
+
+        const data = await scrapeJobs.run('bookmarks', { limit, account }, (job) =>
+            scraper.scrapeBookmarks(limit, 'app', { account, downloadMedia, job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('Bookmarks scraping error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('scrape-likes', async (event, { username, limit, downloadMedia, account }) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        if (!(await scraper.canScrapeAs(account))) {
+            throw new Error('Not logged in to Twitter');
+        }
+
+        const data = await scrapeJobs.run('likes', { username, limit, account }, (job) =>
+            scraper.scrapeLikes(username, limit, 'app', { account, downloadMedia, job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('Likes scraping error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('scrape-list', async (event, { list, limit, downloadMedia, incremental, account }) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        if (!(await scraper.canScrapeAs(account))) {
+            throw new Error('Not logged in to Twitter');
+        }
+
+        const data = await scrapeJobs.run('list', { list, limit, account }, (job) =>
+            scraper.scrapeList(list, limit, 'app', { account, downloadMedia, incremental, job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('List scraping error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('scrape-followers', async (event, { username, limit, account }) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        if (!(await scraper.canScrapeAs(account))) {
+            throw new Error('Not logged in to Twitter');
+        }
+
+        const data = await scrapeJobs.run('followers', { username, limit, account }, (job) =>
+            scraper.scrapeFollowers(username, limit, 'app', { account, job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('Followers scraping error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('scrape-following', async (event, { username, limit, account }) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        if (!(await scraper.canScrapeAs(account))) {
+            throw new Error('Not logged in to Twitter');
+        }
+
+        const data = await scrapeJobs.run('following', { username, limit, account }, (job) =>
+            scraper.scrapeFollowing(username, limit, 'app', { account, job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('Following scraping error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('resume-session', async (event, sessionId) => {
+    try {
+        // Check license validity first
+        const licenseCheck = await licenseManager.isLicenseValid();
+        if (!licenseCheck.success) {
+            throw new Error(licenseCheck.message);
+        }
+
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        const data = await scrapeJobs.run('resume', { sessionId }, (job) =>
+            scraper.resumeSession(sessionId, { job }));
+
+        return { status: 'success', data };
+    } catch (error) {
+        console.error('Session resume error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('get-resumable-sessions', async () => {
+    try {
+        if (!scraper) {
+            return [];
+        }
+        return await scraper.checkpointStore.list();
+    } catch (error) {
+        console.error('Error listing resumable sessions:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('cancel-scrape-job', async (event, jobId) => {
+    try {
+        const cancelled = scrapeJobs.cancel(jobId);
+        return { success: cancelled };
+    } catch (error) {
+        console.error('Error cancelling scrape job:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('get-scrape-jobs', async () => {
+    return scrapeJobs.list();
+});
+
 ipcMain.handle('get-status', async () => {
     try {
         if (!scraper) {
@@ -413,6 +628,7 @@ ipcMain.handle('get-status', async () => {
         return {
             ready: true,
             isLoggedIn: scraper.isLoggedIn,
+            activeAccount: scraper.activeAccount,
             error: null
         };
     } catch (error) {
@@ -426,7 +642,7 @@ ipcMain.handle('get-status', async () => {
 });
 
 // New IPC handlers for data management
-ipcMain.handle('get-stored-tweets', async () => {
+ipcMain.handle('get-stored-tweets', async (event, options = {}) => {
     try {
         console.log('Handling get-stored-tweets request');
         
@@ -436,7 +652,7 @@ ipcMain.handle('get-stored-tweets', async () => {
         }
 
         console.log('Getting tweets from database...');
-        const data = await scraper.db.getTweets();
+        const data = await scraper.db.getTweets(options);
         console.log('Retrieved tweets:', data ? 'Data found' : 'No data');
         
         return data;
@@ -446,6 +662,72 @@ ipcMain.handle('get-stored-tweets', async () => {
     }
 });
 
+ipcMain.handle('get-profile-history', async (event, { handle, since, until, limit } = {}) => {
+    try {
+        if (!scraper || !scraper.db) {
+            throw new Error('Database not initialized');
+        }
+        if (!handle) {
+            throw new Error('A profile handle is required');
+        }
+        return await scraper.db.getProfileHistory(handle, { since, until, limit });
+    } catch (error) {
+        console.error('Error getting profile history:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('get-tweet-metrics-history', async (event, tweetId) => {
+    try {
+        if (!scraper || !scraper.db) {
+            throw new Error('Database not initialized');
+        }
+        if (!tweetId) {
+            throw new Error('A tweet ID is required');
+        }
+        return await scraper.db.getTweetMetricsHistory(String(tweetId));
+    } catch (error) {
+        console.error('Error getting tweet metrics history:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('get-tweets-by-entity', async (event, { type, value, limit = 100 } = {}) => {
+    try {
+        if (!scraper || !scraper.db) {
+            throw new Error('Database not initialized');
+        }
+        return await scraper.db.getTweetsByEntity(type, value, limit);
+    } catch (error) {
+        console.error('Error getting tweets by entity:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('get-tweets-by-handle', async (event, { handle, since, until, limit = 100 } = {}) => {
+    try {
+        if (!scraper || !scraper.db) {
+            throw new Error('Database not initialized');
+        }
+        return await scraper.db.getTweetsByHandle(handle, { since, until, limit });
+    } catch (error) {
+        console.error('Error getting tweets by handle:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('search-tweets', async (event, { query, since, until, limit = 50, sort = 'relevance' } = {}) => {
+    try {
+        if (!scraper || !scraper.db) {
+            throw new Error('Database not initialized');
+        }
+        return await scraper.db.searchTweets(query, { since, until, limit, sort });
+    } catch (error) {
+        console.error('Error searching tweets:', error);
+        throw error;
+    }
+});
+
 ipcMain.handle('clear-stored-tweets', async () => {
     try {
         console.log('Handling clear-stored-tweets request');
@@ -466,6 +748,105 @@ ipcMain.handle('clear-stored-tweets', async () => {
     }
 });
 
+ipcMain.handle('get-accounts', async () => {
+    try {
+        if (!scraper) {
+            return [];
+        }
+        return await scraper.getAccounts();
+    } catch (error) {
+        console.error('Error listing accounts:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('add-account', async (event, { name, label }) => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        const account = await scraper.addAccount(name, label);
+        return { success: true, account };
+    } catch (error) {
+        console.error('Error adding account:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('remove-account', async (event, name) => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        await scraper.removeAccount(name);
+        return { success: true };
+    } catch (error) {
+        console.error('Error removing account:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('switch-account', async (event, name) => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        await scraper.useAccount(name);
+        return { success: true, isLoggedIn: scraper.isLoggedIn };
+    } catch (error) {
+        console.error('Error switching account:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('update-account-network', async (event, { name, network }) => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        return await scraper.updateAccountNetwork(name, network);
+    } catch (error) {
+        console.error('Error updating account network settings:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('check-account-connectivity', async (event, name) => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        return await scraper.checkAccountConnectivity(name);
+    } catch (error) {
+        console.error('Error checking account connectivity:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('check-selector-health', async (event, { username } = {}) => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        return await scraper.checkSelectorHealth(username || undefined);
+    } catch (error) {
+        console.error('Selector health check error:', error);
+        throw error;
+    }
+});
+
+ipcMain.handle('get-selector-profile', async () => {
+    try {
+        if (!scraper) {
+            throw new Error('Scraper not initialized');
+        }
+        return await scraper.selectorProfile.get();
+    } catch (error) {
+        console.error('Error loading selector profile:', error);
+        throw error;
+    }
+});
+
 // Update the clear-twitter-session handler
 ipcMain.handle('clear-twitter-session', async () => {
     try {
@@ -492,9 +873,9 @@ ipcMain.handle('clear-twitter-session', async () => {
 });
 
 // Update IPC handlers for auto-scraping
-ipcMain.handle('start-auto-scraping', async (event, { interval = 3600000, type = 'home' }) => {
+ipcMain.handle('start-auto-scraping', async (event, { interval = 3600000, type = 'home', incremental = true, account = null }) => {
     try {
-        await global.autoScraper.start(interval, type);
+        await global.autoScraper.start(interval, type, { incremental, account });
         return { status: 'success', message: 'Auto-scraping started' };
     } catch (error) {
         console.error('Error starting auto-scraping:', error);
@@ -512,9 +893,9 @@ ipcMain.handle('stop-auto-scraping', async () => {
     }
 });
 
-ipcMain.handle('add-auto-scraping-profile', async (event, { type, target }) => {
+ipcMain.handle('add-auto-scraping-profile', async (event, { type, target, account }) => {
     try {
-        await global.autoScraper.addProfile(type, target);
+        await global.autoScraper.addProfile(type, target, account);
         return { status: 'success', message: 'Profile added to auto-scraping' };
     } catch (error) {
         console.error('Error adding auto-scraping profile:', error);
@@ -556,14 +937,14 @@ ipcMain.handle('get-auto-scraping-status', async () => {
 });
 
 // Add handlers for downloading tweets
-ipcMain.handle('download-all-tweets', async () => {
+ipcMain.handle('download-all-tweets', async (event, options = {}) => {
     try {
         if (!scraper || !scraper.db) {
             throw new Error('Database connection not available');
         }
         
         console.log('Downloading all tweets...');
-        const tweets = await scraper.db.downloadAllTweets();
+        const tweets = await scraper.db.downloadAllTweets(options);
         
         // Create a timestamp for the filename
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -634,11 +1015,14 @@ ipcMain.handle('get-data-sharing', () => {
     return preferencesManager.getDataSharing();
 });
 
-ipcMain.handle('delete-session', async (event, sessionId) => {
+ipcMain.handle('delete-session', async (event, sessionId, source = 'app') => {
     try {
         console.log('Deleting session:', sessionId);
-        await dataStore.deleteSession(sessionId);
-        return { success: true };
+        if (!scraper || !scraper.db) {
+            throw new Error('Database not initialized');
+        }
+        // Removes the session from local storage and MongoDB, with its media and checkpoint
+        return await scraper.db.deleteSession(sessionId, source);
     } catch (error) {
         console.error('Error deleting session:', error);
         throw error;
@@ -0,0 +1,672 @@
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const StorageAdapter = require('./storage-adapter');
+const TweetEntities = require('./tweet-entities');
+const TweetSearch = require('./tweet-search');
+
+// Pending writes per file path, see queueWrite. Kept for the whole process so adapters opened on the
+// same folder queue behind each other.
+const writeQueues = new Map();
+
+// Local storage in one JSON file per session (LOCAL_STORAGE=json). Side files next to the sessions
+// hold what spans sessions: the tweets themselves, the metric snapshot log, the entity index, scrape
+// cursors, profile snapshots and auto-scraping targets. Session files list the ids of their tweets.
+class JsonStorageAdapter extends StorageAdapter {
+    constructor(options) {
+        super();
+        this.dataDir = options.dataDir;
+
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+    }
+
+    async initialize() {
+        await this.removeStaleFiles();
+        await this.moveSessionTweets();
+        return true;
+    }
+
+    // Lock files of earlier versions and temp files of writes cut short by a crash would otherwise stay
+    // forever, nothing is writing yet so they are all stale
+    async removeStaleFiles() {
+        const files = await fsPromises.readdir(this.dataDir);
+        for (const file of files.filter(file => /\.json\.lock$|\.json\.\d+\.tmp$/.test(file))) {
+            console.log(`Removing stale file ${file}`);
+            await fsPromises.rm(path.join(this.dataDir, file), { force: true });
+        }
+    }
+
+    // Session files of earlier versions held a copy of each tweet they saw. The copies are merged into
+    // tweets.json in the order they were saved and the files keep only the ids.
+    async moveSessionTweets() {
+        const files = (await fsPromises.readdir(this.dataDir)).filter(file => /^session(api)?_.+\.json$/.test(file));
+        const sessions = [];
+        for (const file of files) {
+            try {
+                const sessionData = JSON.parse(await fsPromises.readFile(path.join(this.dataDir, file), 'utf8'));
+                if (sessionData.session_id && Array.isArray(sessionData.tweets)) {
+                    sessions.push({ file, sessionData, source: file.startsWith('sessionapi_') ? 'api' : 'app' });
+                }
+            } catch (error) {
+                console.error(`Skipping unreadable session file ${file}:`, error.message);
+            }
+        }
+        if (sessions.length === 0) {
+            return;
+        }
+
+        const sightings = sessions
+            .flatMap(({ sessionData, source }) => sessionData.tweets.map(record => ({ record, sessionId: String(sessionData.session_id), source })))
+            .sort((a, b) => String(a.record.saved_at || '').localeCompare(String(b.record.saved_at || '')));
+        await this.updateJsonSideFile('tweets.json', {}, index => {
+            for (const { record, sessionId, source } of sightings) {
+                // Already moved by a run that stopped before rewriting the session file
+                if (!index[record.tweet_id]?.sessions.some(seen => seen.session_id === sessionId && seen.source === source)) {
+                    JsonStorageAdapter.addTweet(index, record, sessionId, source);
+                }
+            }
+            return index;
+        }, false);
+
+        for (const { file, sessionData } of sessions) {
+            const sessionPath = path.join(this.dataDir, file);
+            const { tweets, ...rest } = sessionData;
+            const tweetIds = Array.from(new Set(tweets.map(tweet => tweet.tweet_id)));
+            await this.queueWrite(sessionPath, () => this.writeFileAtomic(sessionPath, JSON.stringify({
+                ...rest,
+                tweet_ids: tweetIds,
+                tweet_count: tweetIds.length
+            }, null, 2)));
+        }
+        console.log(`Moved ${sightings.length} tweets of ${sessions.length} session files into tweets.json`);
+    }
+
+    getSessionPath(sessionId, source = 'app') {
+        const prefix = source === 'api' ? 'sessionapi' : 'session';
+        return path.join(this.dataDir, `${prefix}_${sessionId}.json`);
+    }
+
+    getSidePath(name) {
+        return path.join(this.dataDir, name);
+    }
+
+    // The session file contents, null when there is none
+    async readSessionFile(sessionId, source = 'app') {
+        try {
+            return JSON.parse(await fsPromises.readFile(this.getSessionPath(sessionId, source), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Read a session file, let update change it and write it back, queued behind the other writes to it.
+    // A missing file starts from defaults, without defaults it is left alone and null is returned.
+    async updateSessionFile(sessionId, source, defaults, update) {
+        const sessionPath = this.getSessionPath(sessionId, source);
+
+        return await this.queueWrite(sessionPath, async () => {
+            let sessionData;
+            try {
+                sessionData = JSON.parse(await fsPromises.readFile(sessionPath, 'utf8'));
+            } catch (error) {
+                if (!defaults) {
+                    return null;
+                }
+                // File doesn't exist or is invalid, create new session data
+                const now = new Date().toISOString();
+                sessionData = {
+                    session_id: String(sessionId),
+                    scrape_type: 'twitter',
+                    created_at: now,
+                    updated_at: now,
+                    tweet_ids: [],
+                    ...defaults
+                };
+            }
+
+            update(sessionData);
+            sessionData.updated_at = new Date().toISOString();
+
+            // Save with pretty formatting for readability
+            await this.writeFileAtomic(sessionPath, JSON.stringify(sessionData, null, 2));
+            return sessionData;
+        });
+    }
+
+    // Run write once the writes queued before it for the same file have finished. Only this process
+    // writes the data folder and the queues are shared by every adapter in it, so a promise chain per
+    // file is all the locking it needs.
+    queueWrite(filePath, write) {
+        const previous = writeQueues.get(filePath) || Promise.resolve();
+        const next = previous.catch(() => {}).then(write);
+        writeQueues.set(filePath, next);
+
+        // Drop the queue once it is idle so finished sessions don't pile up
+        const release = () => {
+            if (writeQueues.get(filePath) === next) {
+                writeQueues.delete(filePath);
+            }
+        };
+        next.then(release, release);
+        return next;
+    }
+
+    // Write to a temp file and rename it over the target, so a crash mid-write never leaves a truncated file
+    async writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fsPromises.writeFile(tempPath, content);
+        await fsPromises.rename(tempPath, filePath);
+    }
+
+    // Session files of one source, or of both when source is null
+    async readSessionFiles(source = 'app') {
+        const prefixes = source ? [source === 'api' ? 'sessionapi_' : 'session_'] : ['session_', 'sessionapi_'];
+        const files = (await fsPromises.readdir(this.dataDir))
+            .filter(file => file.endsWith('.json') && prefixes.some(prefix => file.startsWith(prefix)));
+
+        const sessions = [];
+        for (const file of files) {
+            const filePath = path.join(this.dataDir, file);
+            let fileContent;
+            try {
+                fileContent = await fsPromises.readFile(filePath, 'utf8');
+            } catch (error) {
+                console.error(`Error reading file ${filePath}:`, error);
+                continue;
+            }
+            if (!fileContent.trim()) {
+                console.warn(`Empty file found: ${filePath}`);
+                continue;
+            }
+
+            let sessionData;
+            try {
+                sessionData = JSON.parse(fileContent);
+            } catch (parseError) {
+                console.error(`Error parsing JSON in file ${filePath}:`, parseError);
+                continue;
+            }
+
+            // Validate required fields
+            if (!sessionData.session_id || !sessionData.tweet_ids) {
+                console.warn(`Invalid session data in file ${filePath}`);
+                continue;
+            }
+
+            sessions.push({ sessionData, source: file.startsWith('sessionapi_') ? 'api' : 'app' });
+        }
+        return sessions;
+    }
+
+    async readJsonSideFile(name, fallback) {
+        try {
+            return JSON.parse(await fsPromises.readFile(this.getSidePath(name), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return fallback;
+            }
+            throw error;
+        }
+    }
+
+    async removeSideFile(name) {
+        const sidePath = this.getSidePath(name);
+        await this.queueWrite(sidePath, () => fsPromises.rm(sidePath, { force: true }));
+    }
+
+    // Read a side file, let update return its new contents and write them back, queued behind the other writes to it
+    async updateJsonSideFile(name, fallback, update, pretty = true) {
+        const sidePath = this.getSidePath(name);
+        await this.queueWrite(sidePath, async () => {
+            const data = update(await this.readJsonSideFile(name, fallback));
+            await this.writeFileAtomic(sidePath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+        });
+    }
+
+    // Sessions
+
+    async createSession(session) {
+        const sessionId = session.session_id || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const source = session.source || 'app';
+        const now = new Date().toISOString();
+
+        await this.updateSessionFile(sessionId, source, {}, sessionData => {
+            Object.assign(sessionData, {
+                session_id: String(sessionId),
+                scrape_type: session.scrape_type || 'twitter',
+                target: session.target ?? null,
+                source,
+                account: session.account || 'default',
+                encrypted: !!session.encrypted,
+                status: session.status || 'in_progress',
+                started_at: StorageAdapter.toDate(session.started_at)?.toISOString() || now
+            });
+        });
+        return String(sessionId);
+    }
+
+    async updateSession(sessionId, fields, source = 'app') {
+        const sessionData = await this.updateSessionFile(sessionId, source, null, data => {
+            for (const field of JsonStorageAdapter.SESSION_FIELDS) {
+                if (fields[field] !== undefined) {
+                    data[field] = fields[field] instanceof Date ? fields[field].toISOString() : fields[field];
+                }
+            }
+        });
+        return !!sessionData;
+    }
+
+    async getSession(sessionId, source = 'app') {
+        const sessionData = await this.readSessionFile(sessionId, source);
+        return sessionData ? StorageAdapter.toSessionView(sessionData, source) : null;
+    }
+
+    async listSessions(source = 'app') {
+        const tweetIndex = await this.readTweetIndex();
+        return (await this.readSessionFiles(source))
+            .map(({ sessionData, source: fileSource }) => ({
+                ...StorageAdapter.toSessionView(sessionData, fileSource),
+                tweets: JsonStorageAdapter.toSessionTweets(tweetIndex, sessionData)
+            }))
+            .sort((a, b) => b.started_at - a.started_at);
+    }
+
+    // Tweets other sessions saw too stay with those sessions
+    async deleteSession(sessionId, source = 'app') {
+        const sessionPath = this.getSessionPath(sessionId, source);
+        const deleted = await this.queueWrite(sessionPath, async () => {
+            try {
+                await fsPromises.unlink(sessionPath);
+                return true;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                return false;
+            }
+        });
+
+        await this.updateJsonSideFile('tweets.json', {}, index => {
+            for (const [tweetId, entry] of Object.entries(index)) {
+                entry.sessions = entry.sessions.filter(seen => seen.session_id !== String(sessionId) || seen.source !== source);
+                if (entry.sessions.length === 0) {
+                    delete index[tweetId];
+                } else {
+                    entry.session_id = entry.sessions[entry.sessions.length - 1].session_id;
+                }
+            }
+            return index;
+        }, false);
+        return deleted;
+    }
+
+    async deleteAllSessions() {
+        const files = await fsPromises.readdir(this.dataDir);
+        for (const file of files) {
+            if (/^session(api)?_.+\.json$/.test(file)) {
+                const sessionPath = path.join(this.dataDir, file);
+                await this.queueWrite(sessionPath, () => fsPromises.rm(sessionPath, { force: true }));
+            }
+        }
+        await this.removeSideFile('tweets.json');
+        await this.removeSideFile('entity_index.json');
+    }
+
+    // Tweets
+
+    // { <tweet_id>: { tweet, created_at, session_id, sessions: [{ session_id, source, saved_at }] } },
+    // tweet is the latest record and session_id the session that saved it, sessions in the order they saw it
+    async readTweetIndex() {
+        return await this.readJsonSideFile('tweets.json', {});
+    }
+
+    async saveTweets(records, sessionId, source = 'app') {
+        await this.appendMetricSnapshots(records);
+
+        const id = String(sessionId);
+        await this.updateSessionFile(id, source, {}, sessionData => {
+            const tweetIds = new Set(sessionData.tweet_ids);
+            for (const record of records) {
+                if (!tweetIds.has(record.tweet_id)) {
+                    sessionData.tweet_ids.push(record.tweet_id);
+                    tweetIds.add(record.tweet_id);
+                }
+            }
+            sessionData.tweet_count = sessionData.tweet_ids.length;
+        });
+
+        await this.updateJsonSideFile('tweets.json', {}, index => {
+            for (const record of records) {
+                JsonStorageAdapter.addTweet(index, record, id, source);
+            }
+            return index;
+        }, false);
+
+        await this.indexTweetEntities(records, id, source);
+    }
+
+    async getSessionTweets(sessionId, source = 'app') {
+        const sessionData = await this.readSessionFile(sessionId, source);
+        return sessionData ? JsonStorageAdapter.toSessionTweets(await this.readTweetIndex(), sessionData) : null;
+    }
+
+    async listTweets(options = {}) {
+        const source = options.source === undefined ? 'app' : options.source;
+        const tweets = [];
+        for (const entry of Object.values(await this.readTweetIndex())) {
+            const sessionIds = entry.sessions
+                .filter(seen => !source || seen.source === source)
+                .map(seen => seen.session_id);
+            if (sessionIds.length > 0) {
+                tweets.push({
+                    ...StorageAdapter.toTweetView(entry.tweet, sessionIds[sessionIds.length - 1], entry.created_at),
+                    session_ids: sessionIds
+                });
+            }
+        }
+        tweets.sort(StorageAdapter.byTimestampDesc);
+        return options.limit ? tweets.slice(0, options.limit) : tweets;
+    }
+
+    async findTweetsByEntity(type, value, limit = 100) {
+        const tweetIds = Object.keys((await this.readJsonSideFile('entity_index.json', {}))[type]?.[value] || {});
+        const tweetIndex = await this.readTweetIndex();
+
+        return tweetIds
+            // Tweets of deleted sessions stay in the entity index
+            .filter(tweetId => tweetIndex[tweetId])
+            .map(tweetId => JsonStorageAdapter.toTweetView(tweetIndex[tweetId]))
+            .sort(StorageAdapter.byTimestampDesc)
+            .slice(0, limit);
+    }
+
+    // tweets.json has no handle index, so this reads every tweet
+    async findTweetsByHandle(handle, options = {}) {
+        const handleKey = String(handle).replace(/^@/, '').toLowerCase();
+        const since = StorageAdapter.toDate(options.since);
+        const until = StorageAdapter.toDate(options.until);
+
+        return Object.values(await this.readTweetIndex())
+            .map(entry => JsonStorageAdapter.toTweetView(entry))
+            .filter(tweet => tweet.user_handle.toLowerCase() === handleKey
+                && (!since || tweet.timestamp >= since) && (!until || tweet.timestamp <= until))
+            .sort(StorageAdapter.byTimestampDesc)
+            .slice(0, options.limit || 100);
+    }
+
+    // There is no index to search, every stored tweet is matched against the query
+    async searchTweets(query, options = {}) {
+        const search = TweetSearch.parse(query);
+        const { since, until, limit, sort } = TweetSearch.normalizeOptions(options);
+        const sinceDate = StorageAdapter.toDate(since);
+        const untilDate = StorageAdapter.toDate(until);
+
+        const results = [];
+        for (const tweet of await this.listTweets({ source: null })) {
+            if ((sinceDate && !(tweet.timestamp >= sinceDate)) || (untilDate && !(tweet.timestamp <= untilDate))) {
+                continue;
+            }
+            const fields = TweetSearch.tokenizeDocument(TweetSearch.getDocument(tweet));
+            if (TweetSearch.matches(search, fields)) {
+                results.push({ tweet, score: TweetSearch.score(search, fields) });
+            }
+        }
+
+        // listTweets is newest first and the sort is stable, so equal scores stay newest first
+        if (sort === 'relevance') {
+            results.sort((a, b) => b.score - a.score);
+        }
+        return results
+            .slice(0, limit)
+            .map(({ tweet }) => ({ ...tweet, snippet: TweetSearch.snippet(tweet.content, search) }));
+    }
+
+    async clearTweets() {
+        const cleared = Object.keys(await this.readTweetIndex()).length;
+        for (const { sessionData, source } of await this.readSessionFiles(null)) {
+            if (sessionData.tweet_ids.length === 0) {
+                continue;
+            }
+            await this.updateSessionFile(sessionData.session_id, source, null, data => {
+                data.tweet_ids = [];
+                data.tweet_count = 0;
+            });
+        }
+        await this.removeSideFile('tweets.json');
+        await this.removeSideFile('entity_index.json');
+        return cleared;
+    }
+
+    // One line per snapshot, so reading a tweet's snapshots doesn't mean parsing tweets.json
+    async appendMetricSnapshots(records) {
+        const lines = records.flatMap(record => (record.metrics_history || [])
+            .map(snapshot => JSON.stringify({ tweet_id: record.tweet_id, ...snapshot }) + '\n'));
+        if (lines.length > 0) {
+            const logPath = this.getSidePath('tweet_metrics.jsonl');
+            await this.queueWrite(logPath, () => fsPromises.appendFile(logPath, lines.join('')));
+        }
+    }
+
+    async getMetricSnapshots(tweetId) {
+        let content = '';
+        try {
+            content = await fsPromises.readFile(this.getSidePath('tweet_metrics.jsonl'), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const snapshots = [];
+        for (const line of content.split('\n')) {
+            if (!line.includes(`"${tweetId}"`)) {
+                continue;
+            }
+            try {
+                const snapshot = JSON.parse(line);
+                if (snapshot.tweet_id === tweetId) {
+                    snapshots.push({ captured_at: snapshot.captured_at, session_id: snapshot.session_id, metrics: snapshot.metrics });
+                }
+            } catch (error) {
+                // A line cut short by a crash, skip it
+            }
+        }
+        return snapshots;
+    }
+
+    // { hashtags: { ai: { <tweet_id>: { session_id, source } } }, mentions, cashtags, domains }
+    async indexTweetEntities(records, sessionId, source = 'app') {
+        await this.updateJsonSideFile('entity_index.json', {}, index => {
+            for (const record of records) {
+                const keys = TweetEntities.getIndexKeys(StorageAdapter.getEntities(record));
+                for (const [type, values] of Object.entries(keys)) {
+                    index[type] = index[type] || {};
+                    for (const value of values) {
+                        index[type][value] = index[type][value] || {};
+                        index[type][value][record.tweet_id] = { session_id: String(sessionId), source };
+                    }
+                }
+            }
+            return index;
+        }, false);
+    }
+
+    // Profiles and follow users
+
+    async saveProfile(profile, sessionId, source = 'app') {
+        const now = new Date().toISOString();
+        const existing = await this.getProfile(profile.handle);
+
+        const sessionData = await this.updateSessionFile(sessionId, source, { scrape_type: 'profile', target: profile.handle, profile: null }, data => {
+            data.profile = {
+                ...profile,
+                created_at: existing?.created_at?.toISOString() || now,
+                updated_at: now,
+                last_scraped_at: now
+            };
+        });
+        return StorageAdapter.toProfileView(sessionData.profile, sessionId);
+    }
+
+    // The newest profile any session holds for the handle
+    async getProfile(handle) {
+        const handleKey = String(handle).replace(/^@/, '').toLowerCase();
+        let latest = null;
+        let createdAt = null;
+        for (const { sessionData } of await this.readSessionFiles(null)) {
+            const profile = sessionData.profile;
+            if (!profile?.handle || profile.handle.toLowerCase() !== handleKey) {
+                continue;
+            }
+            if (!latest || profile.updated_at > latest.profile.updated_at) {
+                latest = { profile, sessionId: sessionData.session_id };
+            }
+            const profileCreatedAt = profile.created_at || profile.updated_at;
+            if (!createdAt || profileCreatedAt < createdAt) {
+                createdAt = profileCreatedAt;
+            }
+        }
+        return latest ? StorageAdapter.toProfileView({ ...latest.profile, created_at: createdAt }, latest.sessionId) : null;
+    }
+
+    async saveFollowUsers(users, sessionId, relation, target, source = 'app') {
+        const now = new Date().toISOString();
+        const sessionData = await this.updateSessionFile(sessionId, source, { scrape_type: relation, target }, data => {
+            const existing = new Set((data.users || []).map(user => user.handle));
+            data.users = data.users || [];
+            for (const user of users) {
+                if (!existing.has(user.handle)) {
+                    data.users.push({ ...user, saved_at: now });
+                    existing.add(user.handle);
+                }
+            }
+            data.relation = relation;
+            data.user_count = data.users.length;
+        });
+        return sessionData.users.length;
+    }
+
+    async getFollowUsers(sessionId, source = 'app') {
+        const sessionData = await this.readSessionFile(sessionId, source);
+        if (!sessionData) {
+            return null;
+        }
+        return (sessionData.users || []).map(user => ({ ...user, saved_at: StorageAdapter.toDate(user.saved_at) }));
+    }
+
+    // Scrape cursors and profile snapshots
+
+    async getScrapeCursor(key) {
+        return (await this.readJsonSideFile('scrape_cursors.json', {}))[key] || null;
+    }
+
+    async saveScrapeCursor(cursor) {
+        await this.updateJsonSideFile('scrape_cursors.json', {}, cursors => ({ ...cursors, [cursor.key]: cursor }));
+    }
+
+    async addProfileSnapshot(snapshot) {
+        await this.updateJsonSideFile('profile_snapshots.json', {}, snapshots => ({
+            ...snapshots,
+            [snapshot.handle_key]: [...(snapshots[snapshot.handle_key] || []), snapshot]
+        }));
+    }
+
+    async getProfileSnapshots(handleKey, options = {}) {
+        return ((await this.readJsonSideFile('profile_snapshots.json', {}))[handleKey] || [])
+            .filter(snapshot => (!options.since || snapshot.captured_at >= options.since) && (!options.until || snapshot.captured_at <= options.until))
+            .sort((a, b) => a.captured_at.localeCompare(b.captured_at));
+    }
+
+    // Auto-scraping targets
+
+    async saveAutoScrapingProfile(profile) {
+        const now = new Date().toISOString();
+        await this.updateJsonSideFile('auto_scraping_profiles.json', [], profiles => {
+            const existing = profiles.find(p => JsonStorageAdapter.isSameTarget(p, profile));
+            const record = {
+                type: profile.type,
+                target: profile.target,
+                account: profile.account || null,
+                is_active: true,
+                created_at: existing?.created_at || now,
+                updated_at: now,
+                last_scraped_at: null
+            };
+            return existing
+                ? profiles.map(p => (p === existing ? record : p))
+                : [...profiles, record];
+        });
+        return profile.target;
+    }
+
+    async getAutoScrapingProfiles() {
+        return (await this.readJsonSideFile('auto_scraping_profiles.json', []))
+            .filter(profile => profile.is_active !== false)
+            .map(profile => StorageAdapter.toAutoTargetView(profile));
+    }
+
+    async updateAutoScrapingProfileLastScraped(type, target) {
+        await this.updateJsonSideFile('auto_scraping_profiles.json', [], profiles => profiles.map(p => (JsonStorageAdapter.isSameTarget(p, { type, target })
+            ? { ...p, last_scraped_at: new Date().toISOString() }
+            : p)));
+    }
+
+    async deleteAutoScrapingProfile(type, target) {
+        await this.updateJsonSideFile('auto_scraping_profiles.json', [], profiles => profiles.filter(p => !JsonStorageAdapter.isSameTarget(p, { type, target })));
+    }
+
+    async getCounts() {
+        const sessions = await this.readSessionFiles(null);
+        const profiles = new Set(sessions
+            .filter(({ sessionData }) => sessionData.profile?.handle)
+            .map(({ sessionData }) => sessionData.profile.handle.toLowerCase()));
+        return {
+            sessions: sessions.length,
+            tweets: Object.keys(await this.readTweetIndex()).length,
+            profiles: profiles.size
+        };
+    }
+
+    // Store the record as the tweet's latest, keeping the history of earlier saves, and add the sighting
+    static addTweet(index, record, sessionId, source) {
+        const savedAt = record.saved_at || new Date().toISOString();
+        const existing = index[record.tweet_id];
+        const sessions = existing ? existing.sessions : [];
+        index[record.tweet_id] = {
+            tweet: existing
+                ? { ...record, metrics_history: [...(existing.tweet.metrics_history || []), ...(record.metrics_history || [])] }
+                : record,
+            created_at: existing ? existing.created_at : savedAt,
+            session_id: sessionId,
+            sessions: sessions.some(seen => seen.session_id === sessionId && seen.source === source)
+                ? sessions
+                : [...sessions, { session_id: sessionId, source, saved_at: savedAt }]
+        };
+    }
+
+    // A tweets.json entry read for the session that saved it last
+    static toTweetView(entry, sessionId = entry.session_id) {
+        return StorageAdapter.toTweetView(entry.tweet, sessionId, entry.created_at);
+    }
+
+    static toSessionTweets(tweetIndex, sessionData) {
+        return sessionData.tweet_ids
+            .filter(tweetId => tweetIndex[tweetId])
+            .map(tweetId => JsonStorageAdapter.toTweetView(tweetIndex[tweetId], sessionData.session_id));
+    }
+
+    // Search spec targets are objects, so compare them by value
+    static isSameTarget(a, b) {
+        return a.type === b.type && JSON.stringify(a.target) === JSON.stringify(b.target);
+    }
+}
+
+// Session fields updateSession may change
+JsonStorageAdapter.SESSION_FIELDS = ['status', 'tweets_found', 'source', 'encrypted', 'relation', 'resumed_at', 'completed_at'];
+
+module.exports = JsonStorageAdapter;
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const path = require('path');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+
+const CONTENT_TYPE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4'
+};
+
+class MediaDownloader {
+    constructor(options = {}) {
+        this.timeout = options.timeout || 30000;
+    }
+
+    // Download every media item of a tweet into mediaDir and record the local path on the item
+    async downloadTweetMedia(tweet, mediaDir) {
+        if (!Array.isArray(tweet.media) || tweet.media.length === 0) {
+            return tweet;
+        }
+
+        await fsPromises.mkdir(mediaDir, { recursive: true });
+
+        for (let i = 0; i < tweet.media.length; i++) {
+            const item = tweet.media[i];
+
+            // Blob URLs belong to the page's media source and cannot be fetched
+            if (!item.url || !/^https?:\/\//.test(item.url)) {
+                console.log(`Skipping media ${i} of tweet ${tweet.tweet_id}: no downloadable URL`);
+                continue;
+            }
+
+            try {
+                item.local_path = await this.downloadFile(item.url, mediaDir, `${tweet.tweet_id}_${i}`);
+                console.log(`Downloaded media for tweet ${tweet.tweet_id}:`, item.local_path);
+            } catch (error) {
+                console.error(`Failed to download media ${item.url}:`, error.message);
+                item.download_error = error.message;
+            }
+        }
+
+        return tweet;
+    }
+
+    async downloadFile(url, directory, baseName) {
+        // Reuse a file downloaded by an earlier run instead of fetching it again
+        const existing = (await fsPromises.readdir(directory)).find(file => path.parse(file).name === baseName);
+        if (existing) {
+            return path.join(directory, existing);
+        }
+
+        const response = await axios.get(url, {
+            responseType: 'stream',
+            timeout: this.timeout
+        });
+
+        const extension = this.getExtension(url, response.headers['content-type']);
+        const filePath = path.join(directory, `${baseName}${extension}`);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const writer = fs.createWriteStream(filePath);
+                response.data.pipe(writer);
+                writer.on('finish', resolve);
+                writer.on('error', reject);
+                response.data.on('error', reject);
+            });
+        } catch (error) {
+            // Don't leave a partial file behind, it would be reused on the next run
+            await fsPromises.rm(filePath, { force: true });
+            throw error;
+        }
+
+        return filePath;
+    }
+
+    getExtension(url, contentType) {
+        const mimeType = (contentType || '').split(';')[0].trim();
+        if (CONTENT_TYPE_EXTENSIONS[mimeType]) {
+            return CONTENT_TYPE_EXTENSIONS[mimeType];
+        }
+
+        const parsed = new URL(url);
+        const format = parsed.searchParams.get('format');
+        if (format) {
+            return `.${format}`;
+        }
+        return path.extname(parsed.pathname) || '.bin';
+    }
+}
+
+module.exports = MediaDownloader;
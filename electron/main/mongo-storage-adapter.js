@@ -0,0 +1,516 @@
+const { MongoClient, ObjectId } = require('mongodb');
+const StorageAdapter = require('./storage-adapter');
+
+// Handles are case-insensitive on X, the collation lets lookups by handle use the index
+const HANDLE_COLLATION = { locale: 'en', strength: 2 };
+
+// Shared storage in MongoDB, used when data sharing is on. Tweets are one document per tweet_id
+// with their metrics history pushed onto it. session_ids lists every session that saw the tweet,
+// session_id the last one.
+class MongoStorageAdapter extends StorageAdapter {
+    constructor(options) {
+        super();
+        this.uri = options.uri;
+        this.dbName = options.dbName;
+        this.clientOptions = options.options || {};
+        this.collections = {
+            PROFILES: 'twitter_profiles',
+            TWEETS: 'tweets',
+            SESSIONS: 'scraping_sessions',
+            FOLLOWS: 'follows',
+            AUTO_SCRAPING_PROFILES: 'auto_scraping_profiles',
+            SCRAPE_CURSORS: 'scrape_cursors',
+            PROFILE_SNAPSHOTS: 'profile_snapshots',
+            ...options.collections
+        };
+        this.client = null;
+        this.db = null;
+        this.isConnected = false;
+    }
+
+    async initialize() {
+        if (this.isConnected) {
+            return true;
+        }
+
+        // The URI normally holds the username and password, so only the hosts are logged
+        console.log('Connecting to MongoDB...', MongoStorageAdapter.getHosts(this.uri));
+        this.client = new MongoClient(this.uri, this.clientOptions);
+        await this.client.connect();
+        this.db = this.client.db(this.dbName);
+        this.isConnected = true;
+
+        // Create missing collections
+        const existing = (await this.db.listCollections().toArray()).map(c => c.name);
+        for (const name of Object.values(this.collections)) {
+            if (!existing.includes(name)) {
+                console.log(`Creating missing collection: ${name}`);
+                await this.db.createCollection(name);
+            }
+        }
+
+        await this.collection('PROFILE_SNAPSHOTS').createIndex({ handle_key: 1, captured_at: 1 });
+        for (const field of ['entities.hashtags', 'entities.mentions', 'entities.cashtags', 'entities.urls.domain']) {
+            await this.collection('TWEETS').createIndex({ [field]: 1 });
+        }
+        // Tweets saved before session_ids was kept were only seen by their own session
+        await this.collection('TWEETS').updateMany({ session_ids: { $exists: false } }, [{ $set: { session_ids: ['$session_id'] } }]);
+        await this.collection('TWEETS').createIndex({ session_ids: 1 });
+        await this.collection('TWEETS').createIndex({ user_handle: 1, timestamp: -1 }, { collation: HANDLE_COLLATION });
+
+        return true;
+    }
+
+    // Reconnect when the connection was dropped since the last call
+    async ensureConnection() {
+        if (this.isConnected) {
+            try {
+                await this.db.command({ ping: 1 });
+                return true;
+            } catch (error) {
+                console.log('MongoDB connection test failed, reconnecting...', error.message);
+                this.isConnected = false;
+            }
+        }
+        return await this.initialize();
+    }
+
+    async close() {
+        if (this.client) {
+            await this.client.close();
+            this.client = null;
+            this.db = null;
+            this.isConnected = false;
+        }
+    }
+
+    collection(key) {
+        return this.db.collection(this.collections[key]);
+    }
+
+    // Sessions
+
+    async createSession(session) {
+        const now = new Date();
+        const doc = {
+            scrape_type: session.scrape_type || 'twitter',
+            target: session.target ?? null,
+            source: session.source || 'app',
+            account: session.account || 'default',
+            encrypted: !!session.encrypted,
+            status: session.status || 'in_progress',
+            started_at: StorageAdapter.toDate(session.started_at) || now,
+            created_at: now,
+            updated_at: now
+        };
+        if (session.session_id) {
+            doc._id = MongoStorageAdapter.toObjectId(session.session_id);
+        }
+
+        const result = await this.collection('SESSIONS').insertOne(doc);
+        return result.insertedId.toString();
+    }
+
+    async updateSession(sessionId, fields) {
+        const update = { updated_at: new Date() };
+        for (const field of ['status', 'tweets_found', 'source', 'encrypted', 'relation', 'resumed_at', 'completed_at']) {
+            if (fields[field] !== undefined) {
+                update[field] = field.endsWith('_at') ? StorageAdapter.toDate(fields[field]) : fields[field];
+            }
+        }
+
+        const result = await this.collection('SESSIONS').updateOne(
+            { _id: MongoStorageAdapter.toObjectId(sessionId) },
+            { $set: update }
+        );
+        return result.matchedCount > 0;
+    }
+
+    async getSession(sessionId) {
+        const session = await this.collection('SESSIONS').findOne({ _id: MongoStorageAdapter.toObjectId(sessionId) });
+        if (!session) {
+            return null;
+        }
+
+        const profile = session.target
+            ? await this.collection('PROFILES').findOne({ handle: session.target }, { collation: HANDLE_COLLATION })
+            : null;
+        return MongoStorageAdapter.toSessionView(session, profile);
+    }
+
+    async listSessions(source = 'app') {
+        const sessions = await this.collection('SESSIONS')
+            .aggregate([
+                { $match: source ? { source } : {} },
+                { $sort: { started_at: -1 } },
+                {
+                    $lookup: {
+                        from: this.collections.TWEETS,
+                        let: { session_id: '$_id' },
+                        pipeline: [
+                            { $match: { $expr: { $in: ['$$session_id', '$session_ids'] } } },
+                            // Sort by creation time to maintain scraping order
+                            { $sort: { created_at: 1, _id: 1 } }
+                        ],
+                        as: 'tweets'
+                    }
+                },
+                {
+                    $lookup: {
+                        from: this.collections.PROFILES,
+                        localField: 'target',
+                        foreignField: 'handle',
+                        as: 'profile'
+                    }
+                }
+            ]).toArray();
+
+        return sessions.map(session => ({
+            ...MongoStorageAdapter.toSessionView(session, session.profile[0]),
+            tweets: session.tweets.map(tweet => MongoStorageAdapter.toTweetView(tweet, session._id))
+        }));
+    }
+
+    async deleteSession(sessionId) {
+        const id = MongoStorageAdapter.toObjectId(sessionId);
+        const result = await this.collection('SESSIONS').deleteOne({ _id: id });
+        // Tweets other sessions saw too stay with those sessions
+        await this.collection('TWEETS').updateMany({ session_ids: id }, [
+            { $set: { session_ids: { $filter: { input: '$session_ids', cond: { $ne: ['$$this', id] } } } } },
+            { $set: { session_id: { $arrayElemAt: ['$session_ids', -1] } } }
+        ]);
+        await this.collection('TWEETS').deleteMany({ session_ids: { $size: 0 } });
+        await this.collection('FOLLOWS').deleteMany({ session_id: id });
+        return result.deletedCount > 0;
+    }
+
+    async deleteAllSessions() {
+        await this.collection('SESSIONS').deleteMany({});
+        await this.collection('TWEETS').deleteMany({});
+        await this.collection('FOLLOWS').deleteMany({});
+    }
+
+    // Tweets
+
+    async saveTweets(records, sessionId) {
+        if (records.length === 0) {
+            return;
+        }
+
+        const now = new Date();
+        const id = MongoStorageAdapter.toObjectId(sessionId);
+        await this.collection('TWEETS').bulkWrite(records.map(record => {
+            const history = (record.metrics_history || []).map(snapshot => ({ ...snapshot, captured_at: new Date(snapshot.captured_at) }));
+            return {
+                updateOne: {
+                    filter: { tweet_id: record.tweet_id },
+                    update: {
+                        $set: {
+                            tweet_id: record.tweet_id,
+                            session_id: id,
+                            user_handle: record.user?.handle,
+                            user_name: record.user?.name || '',
+                            content: record.content || '',
+                            timestamp: StorageAdapter.toDate(record.timestamp) || now,
+                            url: record.url,
+                            metrics: record.metrics,
+                            metrics_updated_at: history.length > 0 ? history[history.length - 1].captured_at : now,
+                            media: record.media || [],
+                            ...StorageAdapter.getRelationshipFields(record),
+                            entities: StorageAdapter.getEntities(record),
+                            ...StorageAdapter.getAttachmentFields(record),
+                            lang: record.lang || null,
+                            updated_at: now
+                        },
+                        $push: { metrics_history: { $each: history } },
+                        $addToSet: { session_ids: id },
+                        $setOnInsert: { created_at: now }
+                    },
+                    upsert: true
+                }
+            };
+        }));
+
+        await this.updateSessionTweetCount(id);
+    }
+
+    async updateSessionTweetCount(id) {
+        const tweetCount = await this.collection('TWEETS').countDocuments({ session_ids: id });
+        await this.collection('SESSIONS').updateOne(
+            { _id: id },
+            {
+                $set: {
+                    tweets_found: tweetCount,
+                    status: tweetCount > 0 ? 'completed' : 'incomplete',
+                    updated_at: new Date()
+                }
+            }
+        );
+        console.log(`Updated session ${id} with tweet count: ${tweetCount}`);
+    }
+
+    async getSessionTweets(sessionId) {
+        const id = MongoStorageAdapter.toObjectId(sessionId);
+        if (!await this.collection('SESSIONS').findOne({ _id: id }, { projection: { _id: 1 } })) {
+            return null;
+        }
+        return (await this.collection('TWEETS').find({ session_ids: id }).sort({ created_at: 1, _id: 1 }).toArray())
+            .map(tweet => MongoStorageAdapter.toTweetView(tweet, id));
+    }
+
+    async listTweets(options = {}) {
+        const source = options.source === undefined ? 'app' : options.source;
+        const sessionIds = source ? await this.collection('SESSIONS').distinct('_id', { source }) : null;
+        const tweets = await this.collection('TWEETS')
+            .find(sessionIds ? { session_ids: { $in: sessionIds } } : {})
+            .sort({ timestamp: -1, _id: 1 })
+            .limit(options.limit || 0)
+            .toArray();
+        const keep = sessionIds ? new Set(sessionIds.map(String)) : null;
+        return tweets.map(tweet => MongoStorageAdapter.toUniqueTweetView(tweet, keep));
+    }
+
+    // A MongoDB filter, sort and limit as built by the chat query generator
+    async findTweets(query = {}, sort = { timestamp: -1 }, limit = 100) {
+        return (await this.collection('TWEETS').find(query).sort(sort).limit(limit).toArray())
+            .map(tweet => MongoStorageAdapter.toUniqueTweetView(tweet));
+    }
+
+    async findTweetsByEntity(type, value, limit = 100) {
+        const field = type === 'domains' ? 'entities.urls.domain' : `entities.${type}`;
+        return (await this.collection('TWEETS')
+            .find({ [field]: value })
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .toArray())
+            .map(tweet => MongoStorageAdapter.toTweetView(tweet));
+    }
+
+    async findTweetsByHandle(handle, options = {}) {
+        const query = { user_handle: String(handle).replace(/^@/, '') };
+        if (options.since || options.until) {
+            query.timestamp = {};
+            if (options.since) query.timestamp.$gte = new Date(options.since);
+            if (options.until) query.timestamp.$lte = new Date(options.until);
+        }
+        return (await this.collection('TWEETS')
+            .find(query)
+            .collation(HANDLE_COLLATION)
+            .sort({ timestamp: -1 })
+            .limit(options.limit || 100)
+            .toArray())
+            .map(tweet => MongoStorageAdapter.toTweetView(tweet));
+    }
+
+    async getMetricSnapshots(tweetId) {
+        const tweet = await this.collection('TWEETS').findOne({ tweet_id: tweetId }, { projection: { metrics_history: 1 } });
+        return (tweet?.metrics_history || []).map(snapshot => ({
+            captured_at: new Date(snapshot.captured_at).toISOString(),
+            session_id: snapshot.session_id,
+            metrics: snapshot.metrics
+        }));
+    }
+
+    async clearTweets() {
+        const result = await this.collection('TWEETS').deleteMany({});
+        return result.deletedCount;
+    }
+
+    // Profiles and follow users
+
+    async saveProfile(profile, sessionId) {
+        const now = new Date();
+        const { _id, created_at, ...fields } = profile;
+        await this.collection('PROFILES').updateOne(
+            { handle: profile.handle },
+            {
+                $set: {
+                    ...fields,
+                    updated_at: now,
+                    last_scraped_at: now,
+                    session_id: MongoStorageAdapter.toObjectId(sessionId)
+                },
+                $setOnInsert: { created_at: now }
+            },
+            { upsert: true, collation: HANDLE_COLLATION }
+        );
+        return await this.getProfile(profile.handle);
+    }
+
+    async getProfile(handle) {
+        const profile = await this.collection('PROFILES')
+            .findOne({ handle: String(handle).replace(/^@/, '') }, { collation: HANDLE_COLLATION });
+        return profile ? StorageAdapter.toProfileView(profile, profile.session_id) : null;
+    }
+
+    // One document per edge, so re-scraping a list updates it instead of duplicating it
+    async saveFollowUsers(users, sessionId, relation, target) {
+        const now = new Date();
+        const id = MongoStorageAdapter.toObjectId(sessionId);
+        if (users.length > 0) {
+            await this.collection('FOLLOWS').bulkWrite(users.map(user => ({
+                updateOne: {
+                    filter: { target_handle: target, relation, handle: user.handle },
+                    update: {
+                        $set: { ...user, target_handle: target, relation, session_id: id, updated_at: now },
+                        $setOnInsert: { created_at: now }
+                    },
+                    upsert: true
+                }
+            })));
+        }
+        await this.updateSession(sessionId, { relation });
+        return await this.collection('FOLLOWS').countDocuments({ session_id: id });
+    }
+
+    async getFollowUsers(sessionId) {
+        const id = MongoStorageAdapter.toObjectId(sessionId);
+        if (!await this.collection('SESSIONS').findOne({ _id: id }, { projection: { _id: 1 } })) {
+            return null;
+        }
+        return (await this.collection('FOLLOWS').find({ session_id: id }).sort({ created_at: 1, _id: 1 }).toArray())
+            .map(({ _id, target_handle, relation, session_id, created_at, updated_at, ...user }) => ({ ...user, saved_at: updated_at }));
+    }
+
+    // Scrape cursors and profile snapshots
+
+    async getScrapeCursor(key) {
+        return await this.collection('SCRAPE_CURSORS').findOne({ key }, { projection: { _id: 0 } });
+    }
+
+    async saveScrapeCursor(cursor) {
+        await this.collection('SCRAPE_CURSORS').updateOne({ key: cursor.key }, { $set: cursor }, { upsert: true });
+    }
+
+    async addProfileSnapshot(snapshot) {
+        await this.collection('PROFILE_SNAPSHOTS').insertOne({ ...snapshot });
+    }
+
+    async getProfileSnapshots(handleKey, options = {}) {
+        const query = { handle_key: handleKey };
+        if (options.since || options.until) {
+            query.captured_at = {};
+            if (options.since) query.captured_at.$gte = options.since;
+            if (options.until) query.captured_at.$lte = options.until;
+        }
+        return await this.collection('PROFILE_SNAPSHOTS')
+            .find(query, { projection: { _id: 0 } })
+            .sort({ captured_at: 1 })
+            .toArray();
+    }
+
+    // Auto-scraping targets
+
+    async saveAutoScrapingProfile(profile) {
+        const now = new Date();
+        await this.collection('AUTO_SCRAPING_PROFILES').updateOne(
+            { type: profile.type, target: profile.target },
+            {
+                $set: { ...profile, account: profile.account || null, updated_at: now, last_scraped_at: null, is_active: true },
+                $setOnInsert: { created_at: now }
+            },
+            { upsert: true }
+        );
+        return profile.target;
+    }
+
+    async getAutoScrapingProfiles() {
+        return (await this.collection('AUTO_SCRAPING_PROFILES').find({ is_active: true }).sort({ created_at: 1, _id: 1 }).toArray())
+            .map(profile => StorageAdapter.toAutoTargetView(profile));
+    }
+
+    async updateAutoScrapingProfileLastScraped(type, target) {
+        await this.collection('AUTO_SCRAPING_PROFILES').updateOne({ type, target }, { $set: { last_scraped_at: new Date() } });
+    }
+
+    async deleteAutoScrapingProfile(type, target) {
+        await this.collection('AUTO_SCRAPING_PROFILES').deleteOne({ type, target });
+    }
+
+    async getCounts() {
+        return {
+            sessions: await this.collection('SESSIONS').countDocuments(),
+            tweets: await this.collection('TWEETS').countDocuments(),
+            profiles: await this.collection('PROFILES').countDocuments()
+        };
+    }
+
+    // Every tweet once with the session that saved it last
+    async exportTweets(options = {}) {
+        if (options.dedupe === false) {
+            return await super.exportTweets(options);
+        }
+
+        const tweets = await this.collection('TWEETS')
+            .aggregate([
+                {
+                    $lookup: {
+                        from: this.collections.SESSIONS,
+                        localField: 'session_id',
+                        foreignField: '_id',
+                        as: 'session'
+                    }
+                },
+                { $sort: { timestamp: -1 } }
+            ]).toArray();
+
+        return tweets.map(tweet => StorageAdapter.toExportTweet(MongoStorageAdapter.toUniqueTweetView(tweet), tweet.session[0] ? {
+            id: tweet.session[0]._id.toString(),
+            type: tweet.session[0].scrape_type,
+            target: tweet.session[0].target,
+            started_at: tweet.session[0].started_at
+        } : null));
+    }
+
+    // sessionId is the session the tweet is read for, the last one that saw it by default
+    static toTweetView(doc, sessionId = doc.session_id) {
+        return {
+            _id: doc.tweet_id,
+            tweet_id: doc.tweet_id,
+            session_id: sessionId ? String(sessionId) : null,
+            user_handle: doc.user_handle || 'unknown',
+            user_name: doc.user_name || '',
+            content: doc.content || '',
+            timestamp: StorageAdapter.toDate(doc.timestamp),
+            url: doc.url,
+            metrics: doc.metrics,
+            media: doc.media || [],
+            ...StorageAdapter.getRelationshipFields(doc),
+            entities: StorageAdapter.getEntities(doc),
+            ...StorageAdapter.getAttachmentFields(doc),
+            lang: doc.lang || null,
+            created_at: StorageAdapter.toDate(doc.created_at),
+            updated_at: StorageAdapter.toDate(doc.updated_at)
+        };
+    }
+
+    // The listTweets view, keepSessionIds limits session_ids to the sessions of one source
+    static toUniqueTweetView(doc, keepSessionIds = null) {
+        const sessionIds = (doc.session_ids || [doc.session_id])
+            .map(String)
+            .filter(id => !keepSessionIds || keepSessionIds.has(id));
+        return {
+            ...MongoStorageAdapter.toTweetView(doc, sessionIds[sessionIds.length - 1]),
+            session_ids: sessionIds
+        };
+    }
+
+    static toSessionView(session, profile) {
+        return {
+            ...StorageAdapter.toSessionView({ ...session, session_id: session._id.toString() }),
+            profile: profile ? StorageAdapter.toProfileView(profile, profile.session_id) : null
+        };
+    }
+
+    // Sessions created while sharing have ObjectIds, ones mirrored from local storage keep their string id
+    static toObjectId(id) {
+        return ObjectId.isValid(id) && new ObjectId(id).toString() === String(id) ? new ObjectId(id) : String(id);
+    }
+
+    // The host list of a connection string, without the scheme, credentials, database and options
+    static getHosts(uri) {
+        return String(uri || '').replace(/^[^:]+:\/\/(?:[^@/]*@)?/, '').split(/[/?]/)[0];
+    }
+}
+
+module.exports = MongoStorageAdapter;
@@ -0,0 +1,155 @@
+const PROXY_SCHEMES = ['http', 'https', 'socks4', 'socks5'];
+
+// Page fetched through a new context to check that the proxy and settings actually reach X
+const CONNECTIVITY_CHECK_URL = 'https://x.com/robots.txt';
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+
+const REDACTED_PASSWORD = '********';
+
+// Per-account network and fingerprint settings: proxy, user agent, locale, timezone and viewport
+class NetworkProfile {
+    // Validate settings coming from the UI or API and drop empty fields
+    static normalize(settings = {}) {
+        const network = {};
+
+        if (settings.proxy && settings.proxy.server) {
+            network.proxy = NetworkProfile.normalizeProxy(settings.proxy);
+        }
+
+        if (settings.userAgent && settings.userAgent.trim()) {
+            network.userAgent = settings.userAgent.trim();
+        }
+
+        if (settings.locale) {
+            try {
+                network.locale = Intl.getCanonicalLocales(settings.locale)[0];
+            } catch (error) {
+                throw new Error(`Invalid locale "${settings.locale}"`);
+            }
+        }
+
+        if (settings.timezoneId) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: settings.timezoneId });
+                network.timezoneId = settings.timezoneId;
+            } catch (error) {
+                throw new Error(`Invalid timezone "${settings.timezoneId}", expected an IANA name such as Europe/Berlin`);
+            }
+        }
+
+        if (settings.viewport && (settings.viewport.width || settings.viewport.height)) {
+            const width = parseInt(settings.viewport.width);
+            const height = parseInt(settings.viewport.height);
+            if (!(width >= 320 && width <= 3840) || !(height >= 320 && height <= 2160)) {
+                throw new Error('Viewport must be between 320x320 and 3840x2160');
+            }
+            network.viewport = { width, height };
+        }
+
+        return network;
+    }
+
+    static normalizeProxy(proxy) {
+        const server = proxy.server.includes('://') ? proxy.server.trim() : `http://${proxy.server.trim()}`;
+
+        let url;
+        try {
+            url = new URL(server);
+        } catch (error) {
+            throw new Error(`Invalid proxy server "${proxy.server}"`);
+        }
+
+        const scheme = url.protocol.replace(':', '');
+        if (!PROXY_SCHEMES.includes(scheme)) {
+            throw new Error(`Unsupported proxy scheme "${scheme}", expected one of: ${PROXY_SCHEMES.join(', ')}`);
+        }
+        if (!url.port) {
+            throw new Error('Proxy server must include a port, e.g. http://proxy.example.com:8080');
+        }
+
+        // Chromium cannot authenticate against SOCKS proxies, only HTTP(S) ones
+        if (scheme.startsWith('socks') && (proxy.username || proxy.password)) {
+            throw new Error('SOCKS proxies with a username and password are not supported by Chromium, use an HTTP proxy or an unauthenticated SOCKS proxy');
+        }
+
+        const normalized = { server: `${scheme}://${url.hostname}:${url.port}` };
+        if (proxy.username) {
+            normalized.username = proxy.username;
+            normalized.password = proxy.password || '';
+        }
+        if (proxy.bypass) {
+            normalized.bypass = proxy.bypass;
+        }
+        return normalized;
+    }
+
+    // Options for browser.newContext(), storage state is added by the caller
+    static toContextOptions(network = {}) {
+        const options = {
+            viewport: network.viewport || DEFAULT_VIEWPORT
+        };
+        if (network.proxy) {
+            options.proxy = network.proxy;
+        }
+        if (network.userAgent) {
+            options.userAgent = network.userAgent;
+        }
+        if (network.locale) {
+            options.locale = network.locale;
+        }
+        if (network.timezoneId) {
+            options.timezoneId = network.timezoneId;
+        }
+        return options;
+    }
+
+    // Never hand the proxy password back to the renderer or the API
+    static redact(network = {}) {
+        if (!network.proxy?.password) {
+            return network;
+        }
+        return { ...network, proxy: { ...network.proxy, password: REDACTED_PASSWORD } };
+    }
+
+    // Open a throwaway context with these settings and fetch a page from X through it
+    static async checkConnectivity(browser, network = {}) {
+        const startedAt = Date.now();
+        const context = await browser.newContext(NetworkProfile.toContextOptions(network));
+        try {
+            const page = await context.newPage();
+            const response = await page.goto(CONNECTIVITY_CHECK_URL, { timeout: 20000 });
+            const applied = await page.evaluate(() => ({
+                userAgent: navigator.userAgent,
+                locale: navigator.language,
+                timezoneId: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                viewport: { width: window.innerWidth, height: window.innerHeight }
+            }));
+
+            const status = response ? response.status() : null;
+            return {
+                success: status !== null && status < 400,
+                status,
+                latencyMs: Date.now() - startedAt,
+                proxy: network.proxy?.server || null,
+                applied,
+                error: status !== null && status < 400 ? null : `X responded with status ${status}`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                status: null,
+                latencyMs: Date.now() - startedAt,
+                proxy: network.proxy?.server || null,
+                applied: null,
+                error: error.message
+            };
+        } finally {
+            await context.close();
+        }
+    }
+}
+
+NetworkProfile.REDACTED_PASSWORD = REDACTED_PASSWORD;
+
+module.exports = NetworkProfile;
@@ -20,7 +20,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getStoredTweets: () => ipcRenderer.invoke('get-stored-tweets'),
     clearStoredTweets: () => ipcRenderer.invoke('clear-stored-tweets'),
     downloadTweetsBySession: (sessionId) => ipcRenderer.invoke('download-tweets-by-session', sessionId),
-    deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+    deleteSession: (sessionId, source) => ipcRenderer.invoke('delete-session', sessionId, source),
 
     // Auto-scraping
     startAutoScraping: (params) => ipcRenderer.invoke('start-auto-scraping', params),
@@ -0,0 +1,96 @@
+// Per-account request budget and throttle backoff. One instance lives on the scraper, so manual
+// scrapes, auto-scraping and API delegation all draw from the same budget for an account.
+class RateLimiter {
+    constructor(options = {}) {
+        this.requestsPerWindow = options.requestsPerWindow || 300;
+        this.windowMs = options.windowMs || 15 * 60 * 1000;
+        this.backoffBaseMs = options.backoffBaseMs || 30000;
+        this.backoffMaxMs = options.backoffMaxMs || 15 * 60 * 1000;
+        this.accounts = new Map();
+    }
+
+    getState(account) {
+        if (!this.accounts.has(account)) {
+            this.accounts.set(account, { requests: [], backoffLevel: 0, pausedUntil: 0 });
+        }
+        return this.accounts.get(account);
+    }
+
+    // Wait until the account is out of backoff and has budget left, then count one request.
+    // Returns false if the job was cancelled while waiting.
+    async acquire(account, job = null) {
+        const state = this.getState(account);
+
+        while (true) {
+            if (job?.cancelled) {
+                return false;
+            }
+
+            const now = Date.now();
+            state.requests = state.requests.filter(timestamp => now - timestamp < this.windowMs);
+
+            let waitMs = 0;
+            if (state.pausedUntil > now) {
+                waitMs = state.pausedUntil - now;
+            } else if (state.requests.length >= this.requestsPerWindow) {
+                waitMs = state.requests[0] + this.windowMs - now;
+                console.log(`Request budget for account ${account} used up (${this.requestsPerWindow} per ${Math.round(this.windowMs / 60000)} min), waiting ${Math.ceil(waitMs / 1000)}s`);
+            }
+
+            if (waitMs <= 0) {
+                state.requests.push(now);
+                return true;
+            }
+
+            // Sleep in short steps so a cancelled job does not wait out the whole pause
+            await RateLimiter.sleep(Math.min(waitMs, 1000));
+        }
+    }
+
+    // Called when X throttles the account. Returns how long the account is paused for.
+    reportThrottle(account, resetAt = null) {
+        const state = this.getState(account);
+        state.backoffLevel++;
+
+        let delay = Math.min(this.backoffBaseMs * 2 ** (state.backoffLevel - 1), this.backoffMaxMs);
+        // Add up to 20% jitter so parallel scrapes do not retry in lockstep
+        delay = Math.round(delay * (1 + Math.random() * 0.2));
+
+        // X tells us when its rate limit window resets, never retry before that
+        if (resetAt && resetAt > Date.now()) {
+            delay = Math.max(delay, Math.min(resetAt - Date.now(), this.backoffMaxMs));
+        }
+
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + delay);
+        console.log(`Account ${account} throttled (backoff level ${state.backoffLevel}), pausing for ${Math.ceil(delay / 1000)}s`);
+        return delay;
+    }
+
+    reportSuccess(account) {
+        const state = this.getState(account);
+        if (state.backoffLevel > 0) {
+            console.log(`Account ${account} is no longer throttled, resetting backoff`);
+        }
+        state.backoffLevel = 0;
+    }
+
+    getStatus(account) {
+        const state = this.getState(account);
+        const now = Date.now();
+        const used = state.requests.filter(timestamp => now - timestamp < this.windowMs).length;
+        return {
+            account,
+            used,
+            limit: this.requestsPerWindow,
+            windowMs: this.windowMs,
+            backoffLevel: state.backoffLevel,
+            pausedUntil: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null
+        };
+    }
+
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = RateLimiter;
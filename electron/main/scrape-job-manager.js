@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+// How long finished jobs stay listed so the renderer can pick up their final state
+const FINISHED_JOB_TTL = 5 * 60 * 1000;
+
+class ScrapeJobManager extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+    }
+
+    // Run task(job) as a tracked job. The scraper reads job.cancelled and calls job.reportProgress()
+    async run(type, params, task) {
+        const job = {
+            id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            params,
+            status: 'running',
+            cancelled: false,
+            progress: null,
+            error: null,
+            started_at: new Date().toISOString(),
+            finished_at: null,
+            reportProgress: (progress) => {
+                job.progress = progress;
+                this.emit('progress', this.toJSON(job));
+            }
+        };
+
+        this.jobs.set(job.id, job);
+        this.emit('progress', this.toJSON(job));
+
+        try {
+            const result = await task(job);
+            job.status = job.cancelled ? 'cancelled' : 'completed';
+            return { ...result, jobId: job.id };
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            throw error;
+        } finally {
+            job.finished_at = new Date().toISOString();
+            this.emit('progress', this.toJSON(job));
+            setTimeout(() => this.jobs.delete(job.id), FINISHED_JOB_TTL);
+        }
+    }
+
+    // Cancellation is cooperative: the running scrape stops at its next scroll and saves what it has
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new Error(`Scrape job ${jobId} not found`);
+        }
+        if (job.status !== 'running') {
+            return false;
+        }
+
+        job.cancelled = true;
+        job.status = 'cancelling';
+        this.emit('progress', this.toJSON(job));
+        return true;
+    }
+
+    list() {
+        return Array.from(this.jobs.values()).map(job => this.toJSON(job));
+    }
+
+    toJSON(job) {
+        const { reportProgress, ...data } = job;
+        return data;
+    }
+}
+
+module.exports = ScrapeJobManager;
@@ -4,6 +4,16 @@ const fs = require('fs/promises');
 const { app } = require('electron');
 const TweetDatabase = require('./database');
 const TempStorage = require('./temp-storage');
+const GraphQLCapture = require('./graphql-capture');
+const MediaDownloader = require('./media-downloader');
+const SearchQuery = require('./search-query');
+const CheckpointStore = require('./checkpoint-store');
+const AccountManager = require('./account-manager');
+const NetworkProfile = require('./network-profile');
+const RateLimiter = require('./rate-limiter');
+const SelectorProfile = require('./selector-profile');
+const TweetEntities = require('./tweet-entities');
+const config = require('./config');
 const { ObjectId } = require('mongodb');
 
 class TwitterScraper {
@@ -14,15 +24,29 @@ class TwitterScraper {
         this.isLoggedIn = false;
         this.db = new TweetDatabase();
         this.tempStorage = new TempStorage();
+        this.graphqlCapture = new GraphQLCapture();
+        this.mediaDownloader = new MediaDownloader();
+        this.checkpointStore = new CheckpointStore(this.db.localDataDir);
+        this.rateLimiter = new RateLimiter(config.rateLimit);
+        this.selectorProfile = new SelectorProfile(config.scraper.selectorsFile);
+        this.extractionMode = config.scraper.extractionMode;
         
         // Use Electron's app data directory
         this.appDir = path.join(app.getPath('userData'), 'twitter-scraper-data');
         this.sessionFile = path.join(this.appDir, 'twitter_session.json');
         this.userDataDir = path.join(this.appDir, 'chrome_user_data');
+
+        // Each named account keeps its own storage state, sessionFile always points at the active one
+        this.accountManager = new AccountManager(this.appDir, this.sessionFile);
+        this.activeAccount = AccountManager.DEFAULT_ACCOUNT;
+        this.accountStatus = {};
+        this.pageQueue = Promise.resolve();
         
         // Initialize directories and database when constructed
         this.initializeDirectories();
-        this.db.initialize();
+        this.db.initialize().catch(error => {
+            console.error('Error initializing database:', error);
+        });
         this.tempStorage.initialize();
         
         // Check authentication state on startup
@@ -148,14 +172,7 @@ class TwitterScraper {
             console.log('Launching browser with options:', JSON.stringify(launchOptions, null, 2));
             this.browser = await chromium.launch(launchOptions);
 
-            // Create new context with storage state if available
-            const storageState = await this.loadStorageState();
-            this.context = await this.browser.newContext({
-                viewport: { width: 1280, height: 800 },
-                storageState
-            });
-
-            this.page = await this.context.newPage();
+            await this.createContext();
             console.log('Browser initialized successfully');
             return true;
         } catch (error) {
@@ -165,94 +182,278 @@ class TwitterScraper {
         }
     }
 
-    async startAuth() {
-        try {
-            console.log('Starting authentication process...');
-            
-            // Initialize browser if not already initialized
-            if (!await this.initializeBrowser()) {
-                const error = new Error('Failed to initialize browser');
-                error.browserInitFailed = true;
-                throw error;
+    // Create a new context with the active account's storage state if available and its network settings
+    async createContext() {
+        const storageState = await this.loadStorageState();
+        const account = await this.accountManager.get(this.activeAccount);
+        const contextOptions = NetworkProfile.toContextOptions(account?.network);
+        if (contextOptions.proxy) {
+            console.log(`Using proxy ${contextOptions.proxy.server} for account ${this.activeAccount}`);
+        }
+
+        this.context = await this.browser.newContext({
+            ...contextOptions,
+            storageState
+        });
+
+        this.page = await this.context.newPage();
+        this.graphqlCapture.attach(this.page);
+    }
+
+    async closeContext() {
+        if (this.page) {
+            this.graphqlCapture.detach();
+            await this.page.close();
+            this.page = null;
+        }
+
+        if (this.context) {
+            await this.context.close();
+            this.context = null;
+        }
+    }
+
+    // Scrapes, logins and account changes all drive the one shared page, and switching accounts closes
+    // it, so they run one at a time. The app, the API and the auto-scraper queue up behind each other.
+    runExclusive(task) {
+        const run = this.pageQueue.catch(() => {}).then(task);
+        this.pageQueue = run;
+        return run;
+    }
+
+    // Switch the browser to another named account. The outgoing account's cookies are saved first
+    // and the incoming account gets a fresh context loaded from its own stored session.
+    async useAccount(name) {
+        if (!name || name === this.activeAccount) {
+            return;
+        }
+
+        const account = await this.accountManager.get(name);
+        if (!account) {
+            throw new Error(`Unknown account: ${name}`);
+        }
+
+        console.log(`Switching account: ${this.activeAccount} -> ${name}`);
+        if (this.context && this.isLoggedIn) {
+            await this.saveSession();
+        }
+        this.accountStatus[this.activeAccount] = this.isLoggedIn;
+
+        await this.closeContext();
+        this.activeAccount = name;
+        this.sessionFile = this.accountManager.getSessionFile(name);
+        this.isLoggedIn = false;
+
+        if (!await this.accountManager.hasSession(name)) {
+            console.log(`Account ${name} has no stored session, it needs to log in first`);
+            if (this.browser) {
+                await this.createContext();
             }
+            this.accountStatus[name] = false;
+            return;
+        }
 
-            // Log browser details to help with debugging
-            console.log('Browser info:', {
-                browser: this.browser ? 'Initialized' : 'Not initialized',
-                context: this.context ? 'Initialized' : 'Not initialized',
-                page: this.page ? 'Initialized' : 'Not initialized'
-            });
+        if (this.browser) {
+            await this.createContext();
+        } else if (!await this.initializeBrowser()) {
+            throw new Error('Failed to initialize browser');
+        }
+
+        await this.page.goto('https://x.com/home');
+        this.isLoggedIn = await this.checkAuthenticationState();
+        this.accountStatus[name] = this.isLoggedIn;
+        console.log(`Account ${name} is ${this.isLoggedIn ? 'logged in' : 'not logged in'}`);
+    }
+
+    // Whether a scrape as this account can start: the active account must be logged in,
+    // another account needs a stored session that has not been seen failing
+    async canScrapeAs(name) {
+        if (!name || name === this.activeAccount) {
+            return this.isLoggedIn;
+        }
+        if (this.accountStatus[name] === false) {
+            return false;
+        }
+        return await this.accountManager.hasSession(name);
+    }
+
+    async getAccounts() {
+        const accounts = await this.accountManager.list();
+        return await Promise.all(accounts.map(async account => ({
+            ...account,
+            network: NetworkProfile.redact(account.network),
+            rate_limit: this.rateLimiter.getStatus(account.name),
+            active: account.name === this.activeAccount,
+            has_session: await this.accountManager.hasSession(account.name),
+            // null means the stored session has not been checked since the app started
+            is_logged_in: account.name === this.activeAccount
+                ? this.isLoggedIn
+                : (this.accountStatus[account.name] ?? null)
+        })));
+    }
+
+    async addAccount(name, label) {
+        return await this.accountManager.add(name, label);
+    }
+
+    async removeAccount(name) {
+        return await this.runExclusive(async () => {
+            if (name === this.activeAccount) {
+                await this.useAccount(AccountManager.DEFAULT_ACCOUNT);
+            }
+            await this.accountManager.remove(name);
+            delete this.accountStatus[name];
+        });
+    }
+
+    // Save proxy and fingerprint settings for an account. They are only saved when a connectivity
+    // check through them succeeds, and the active context is rebuilt so they take effect right away.
+    async updateAccountNetwork(name, settings = {}) {
+        return await this.runExclusive(async () => {
+            const account = await this.accountManager.get(name);
+            if (!account) {
+                throw new Error(`Unknown account: ${name}`);
+            }
+
+            // A blank or redacted password means keep the stored one for the same proxy user
+            const storedProxy = account.network?.proxy;
+            const password = settings.proxy?.password;
+            if (settings.proxy && (!password || password === NetworkProfile.REDACTED_PASSWORD)
+                && storedProxy?.password && settings.proxy.username === storedProxy.username) {
+                settings = { ...settings, proxy: { ...settings.proxy, password: storedProxy.password } };
+            }
 
-            await this.page.goto('https://x.com/home');
-            const isStillValid = await this.checkAuthenticationState();
+            const network = NetworkProfile.normalize(settings);
+            const check = await this.checkNetwork(network);
+            if (!check.success) {
+                console.log(`Not saving network settings for ${name}, connectivity check failed: ${check.error}`);
+                return { saved: false, check };
+            }
 
-            if (isStillValid) {
-                console.log('Already logged in, no need to re-authenticate');
-                this.isLoggedIn = true;
-                return true;
+            await this.accountManager.update(name, { network });
+            if (name === this.activeAccount && this.context) {
+                if (this.isLoggedIn) {
+                    await this.saveSession();
+                }
+                await this.closeContext();
+                await this.createContext();
             }
+            return { saved: true, check };
+        });
+    }
+
+    async checkAccountConnectivity(name) {
+        const account = await this.accountManager.get(name);
+        if (!account) {
+            throw new Error(`Unknown account: ${name}`);
+        }
+        return await this.checkNetwork(account.network);
+    }
 
-            // Try to verify existing session first
+    async checkNetwork(network = {}) {
+        if (!await this.initializeBrowser()) {
+            throw new Error('Failed to initialize browser');
+        }
+
+        console.log(`Checking connectivity${network.proxy ? ` through ${network.proxy.server}` : ''}...`);
+        const result = await NetworkProfile.checkConnectivity(this.browser, network);
+        console.log('Connectivity check result:', {
+            success: result.success,
+            status: result.status,
+            latencyMs: result.latencyMs,
+            error: result.error
+        });
+        return result;
+    }
+
+    async startAuth(account = null) {
+        return await this.runExclusive(async () => {
             try {
-                console.log('Attempting to verify existing session...');
-                await this.page.goto('https://x.com/home', { 
-                    waitUntil: 'networkidle',
-                    timeout: 30000 
+                console.log('Starting authentication process...');
+                await this.useAccount(account);
+            
+                // Initialize browser if not already initialized
+                if (!await this.initializeBrowser()) {
+                    const error = new Error('Failed to initialize browser');
+                    error.browserInitFailed = true;
+                    throw error;
+                }
+
+                // Log browser details to help with debugging
+                console.log('Browser info:', {
+                    browser: this.browser ? 'Initialized' : 'Not initialized',
+                    context: this.context ? 'Initialized' : 'Not initialized',
+                    page: this.page ? 'Initialized' : 'Not initialized'
                 });
+
+                await this.page.goto('https://x.com/home');
+                const isStillValid = await this.checkAuthenticationState();
+
+                if (isStillValid) {
+                    console.log('Already logged in, no need to re-authenticate');
+                    this.isLoggedIn = true;
+                    return true;
+                }
+
+                // Try to verify existing session first
+                try {
+                    console.log('Attempting to verify existing session...');
+                    await this.page.goto('https://x.com/home', { 
+                        waitUntil: 'networkidle',
+                        timeout: 30000 
+                    });
                 
-                // Check if we're redirected to login page
-                const currentUrl = await this.page.url();
-                if (!currentUrl.includes('/login') && !currentUrl.includes('/i/flow/login')) {
-                    // If we're still on home page, check for authenticated elements
-                    const isAuthenticated = await this.checkAuthenticationState();
-                    if (isAuthenticated) {
-                        console.log('Successfully restored previous session');
-                        this.isLoggedIn = true;
-                        return true;
+                    // Check if we're redirected to login page
+                    const currentUrl = await this.page.url();
+                    if (!currentUrl.includes('/login') && !currentUrl.includes('/i/flow/login')) {
+                        // If we're still on home page, check for authenticated elements
+                        const isAuthenticated = await this.checkAuthenticationState();
+                        if (isAuthenticated) {
+                            console.log('Successfully restored previous session');
+                            this.isLoggedIn = true;
+                            return true;
+                        }
                     }
+                } catch (error) {
+                    console.log('Session verification failed:', error.message);
+                    // Don't throw here, continue with login flow
                 }
-            } catch (error) {
-                console.log('Session verification failed:', error.message);
-                // Don't throw here, continue with login flow
-            }
 
-            // If we get here, we need to do a fresh login
-            console.log('Proceeding with new login flow...');
-            await this.page.goto('https://x.com/i/flow/login', { waitUntil: 'networkidle' });
-            const loginSuccess = await this.waitForLogin();
+                // If we get here, we need to do a fresh login
+                console.log('Proceeding with new login flow...');
+                await this.page.goto('https://x.com/i/flow/login', { waitUntil: 'networkidle' });
+                const loginSuccess = await this.waitForLogin();
             
-            if (loginSuccess) {
-                console.log('Login successful, saving session...');
-                await this.saveSession();
-                this.isLoggedIn = true;
-            } else {
-                console.log('Login failed');
-                await this.cleanup();
-            }
+                if (loginSuccess) {
+                    console.log('Login successful, saving session...');
+                    await this.saveSession();
+                    this.isLoggedIn = true;
+                    this.accountStatus[this.activeAccount] = true;
+                    await this.accountManager.update(this.activeAccount, { last_login_at: new Date().toISOString() });
+                } else {
+                    console.log('Login failed');
+                    await this.cleanup();
+                }
             
-            return loginSuccess;
-        } catch (error) {
-            console.error('Authentication error:', error);
+                return loginSuccess;
+            } catch (error) {
+                console.error('Authentication error:', error);
             
-            // Add browser initialization info to help troubleshoot
-            if (error.browserInitFailed) {
-                console.error('CRITICAL: Browser initialization failed. Please check browser installation.');
-            }
+                // Add browser initialization info to help troubleshoot
+                if (error.browserInitFailed) {
+                    console.error('CRITICAL: Browser initialization failed. Please check browser installation.');
+                }
             
-            await this.cleanup();
-            return false;
-        }
+                await this.cleanup();
+                return false;
+            }
+        });
     }
 
     async checkAuthenticationState() {
         try {
             // Wait for any of these elements that indicate we're logged in
-            const authenticatedElements = [
-                '[data-testid="primaryColumn"]',
-                '[data-testid="tweetButtonInline"]',
-                '[data-testid="AppTabBar"]',
-                '[data-testid="SideNav_AccountSwitcher_Button"]'
-            ];
+            const authenticatedElements = (await this.getSelectors()).auth.loggedIn;
 
             const elementPromises = authenticatedElements.map(selector =>
                 this.page.waitForSelector(selector, { timeout: 5000 })
@@ -372,6 +573,7 @@ class TwitterScraper {
             const storage = await this.context.storageState();
             
             // Save the session state
+            await fs.mkdir(path.dirname(this.sessionFile), { recursive: true });
             await fs.writeFile(this.sessionFile, JSON.stringify(storage, null, 2));
             console.log('Session saved successfully to:', this.sessionFile);
             return true;
@@ -381,414 +583,890 @@ class TwitterScraper {
         }
     }
 
-    async scrapeProfile(username, limit = 10, source = 'app') {
-        if (!this.isLoggedIn) {
-            throw new Error('Not logged in to Twitter');
-        }
+    async scrapeProfile(username, limit = 10, source = 'app', options = {}) {
+        return await this.runExclusive(async () => {
+            await this.useAccount(options.account);
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
+            }
 
-        let sessionId;
-        try {
-            console.log('\n=== Starting Profile Scrape ===');
-            console.log('Username:', username);
+            let sessionId;
+            try {
+                console.log('\n=== Starting Profile Scrape ===');
+                console.log('Username:', username);
             
-            // Start a scraping session
-            sessionId = await this.db.startScrapingSession('profile', username,source);
-            console.log('Session ID:', sessionId);
+                // Start a scraping session
+                sessionId = await this.openScrapingSession('profile', username, source, options);
+                console.log('Session ID:', sessionId);
 
-            await this.page.goto(`https://x.com/${username}`);
+                this.graphqlCapture.reset();
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    return await this.cancelBeforeStart(sessionId, source, { tweetsFound: 0, failed: 0, tweets: [] });
+                }
+                await this.page.goto(`https://x.com/${username}`);
             
-            // Wait for profile information to load
-            await this.page.waitForSelector('div[data-testid="primaryColumn"]');
-
-            // Extract profile information
-            const profile = await this.extractProfileInfo();
-            console.log('Extracted profile:', JSON.stringify(profile, null, 2));
-
-            // Extract tweets
-            console.log('\n=== Extracting Tweets ===');
-            const tweets = await this.extractTweets(limit);
-            console.log(`Extracted ${tweets.length} tweets`);
-
-            // Save profile information
-            console.log('\n=== Saving Profile Information ===');
-            await this.db.saveProfile({
-                handle: username,
-                name: profile.name,
-                bio: profile.bio,
-                followers_count: parseInt(profile.followers) || 0,
-                following_count: parseInt(profile.following) || 0,
-                tweets_count: parseInt(profile.tweets) || 0
-            }, sessionId,source);
-
-            // Save tweets with tracking
-            console.log('\n=== Saving Tweets ===');
-            const results = {
-                total: tweets.length,
-                success: 0,
-                failed: 0,
-                savedTweets: []
-            };
+                // Wait for profile information to load
+                await this.page.waitForSelector((await this.getSelectors()).timeline.column);
+
+                // Extract profile information
+                const profile = await this.extractProfileInfo();
+                console.log('Extracted profile:', JSON.stringify(profile, null, 2));
+
+                // Extract tweets
+                console.log('\n=== Extracting Tweets ===');
+                const knownTweetId = await this.getKnownTweetId('profile', username, options);
+                const checkpoint = this.createCheckpoint(sessionId, source, 'profile', username, limit, options);
+                const tweets = await this.extractTweets(limit, 500, { knownTweetId, checkpoint, job: options.job });
+                console.log(`Extracted ${tweets.length} tweets`);
+
+                // Save profile information
+                console.log('\n=== Saving Profile Information ===');
+                const profileRecord = {
+                    ...profile,
+                    handle: username,
+                    // The pinned tweet may not have rendered yet when the header was read
+                    pinned_tweet_id: profile?.pinned_tweet_id || tweets.find(tweet => tweet.is_pinned)?.tweet_id || null
+                };
+                await this.db.saveProfile(profileRecord, sessionId,source);
+                const snapshot = await this.db.addProfileSnapshot(profileRecord, sessionId, this.activeAccount);
 
-            for (const tweet of tweets) {
-                try {
-                    console.log(`\nSaving tweet: ${tweet.url}`);
-                    await this.db.saveTweet(tweet, sessionId,source);
-                    results.success++;
-                    results.savedTweets.push(tweet.url);
-                    console.log('Tweet saved successfully');
-                } catch (error) {
-                    console.error('Failed to save tweet:', error.message);
-                    results.failed++;
+                await this.downloadMedia(tweets, sessionId, source, options);
+
+                // Save tweets with tracking
+                console.log('\n=== Saving Tweets ===');
+                const results = await this.saveScrapedTweets(tweets, sessionId, source);
+
+                // Verify database updates
+                console.log('\n=== Verifying Database Updates ===');
+                const dbTweets = await this.db.getTweetsBySession(sessionId,source);
+                console.log('Database verification results:');
+                console.log('- Expected tweets:', results.success);
+                console.log('- Found tweets:', dbTweets.length);
+
+                // Remember the newest tweet so the next incremental scrape of this target can stop there
+                if (results.success > 0 && !options.job?.cancelled) {
+                    await this.db.updateScrapeCursor('profile', username, tweets, sessionId);
                 }
+
+                // Complete the scraping session
+                console.log('\n=== Completing Profile Scrape ===');
+                const status = await this.finishSession(sessionId, results, source, options, knownTweetId);
+
+                console.log('Profile scrape results:', {
+                    total: results.total,
+                    saved: results.success,
+                    failed: results.failed,
+                    status
+                });
+
+                return {
+                    sessionId,
+                    tweetsFound: results.success,
+                    knownTweetId,
+                    failed: results.failed,
+                    shared: results.shared,
+                    status,
+                    profile: profileRecord,
+                    snapshot,
+                    tweets: dbTweets
+                };
+            } catch (error) {
+                console.error('\n=== Profile Scrape Failed ===');
+                console.error('Error:', error.message);
+                if (sessionId) {
+                    await this.db.completeScrapingSession(sessionId, 0, 'failed',source);
+                    console.log('Session marked as failed');
+                }
+                throw error;
             }
+        });
+    }
 
-            // Verify database updates
-            console.log('\n=== Verifying Database Updates ===');
-            const dbTweets = await this.db.getTweetsBySession(sessionId,source);
-            console.log('Database verification results:');
-            console.log('- Expected tweets:', results.success);
-            console.log('- Found tweets:', dbTweets.length);
+    async scrapeTweets(query, limit = 10, source = 'app', options = {}) {
+        return await this.runExclusive(async () => {
+            await this.useAccount(options.account);
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
+            }
 
-            // Complete the scraping session
-            console.log('\n=== Completing Profile Scrape ===');
-            const isSuccessful = results.success > 0;
+            // query is either a raw search string or a structured search spec
+            const search = SearchQuery.normalize(query);
+
+            let sessionId;
+            try {
+                console.log('\n=== Starting Search Scrape ===');
+                console.log('Query:', search.query);
+                console.log('Tab:', search.tab);
             
-            if (isSuccessful) {
-                console.log('Scraping completed successfully, cleaning up temp file');
-                await this.tempStorage.deleteTempData(sessionId);
-                await this.db.completeScrapingSession(sessionId, results.success, 'completed',source);
-            } else {
-                console.log('Scraping had issues, keeping temp file for recovery');
-                await this.db.completeScrapingSession(sessionId, results.success, 'incomplete',source);
+                // Start a scraping session
+                sessionId = await this.openScrapingSession('search', search.query, source, options);
+                console.log('Session ID:', sessionId);
+            
+                this.graphqlCapture.reset();
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    return await this.cancelBeforeStart(sessionId, source, { target: search.query, tweetsFound: 0, failed: 0, tweets: [] });
+                }
+                await this.page.goto(SearchQuery.toUrl(search.query, search.tab));
+            
+                // Extract tweets
+                console.log('\n=== Extracting Tweets ===');
+                // Only the Latest tab is newest first, Top and Media would stop at the first older tweet they rank high
+                const isChronological = search.tab === 'latest';
+                if (options.incremental && !isChronological) {
+                    console.log(`Incremental mode only applies to the latest tab, scraping the ${search.tab} tab in full`);
+                }
+                const knownTweetId = isChronological ? await this.getKnownTweetId('search', search.query, options) : null;
+                const checkpoint = this.createCheckpoint(sessionId, source, 'search', search.query, limit, options, query);
+                const tweets = await this.extractTweets(limit, 500, { knownTweetId, checkpoint, job: options.job });
+                console.log(`Extracted ${tweets.length} tweets`);
+
+                // Save to temporary storage first
+                console.log('\n=== Saving to Temporary Storage ===');
+                const tempFilePath = await this.tempStorage.saveTempData(sessionId, {
+                    type: 'search',
+                    target: search.query,
+                    tweets
+                });
+                console.log('Temporary file saved at:', tempFilePath);
+
+                await this.downloadMedia(tweets, sessionId, source, options);
+
+                // Save tweets with tracking
+                console.log('\n=== Saving Tweets ===');
+                const results = await this.saveScrapedTweets(tweets, sessionId, source);
+
+                // Verify database update and cleanup temp file
+                console.log('\n=== Verifying Database Update ===');
+                const dbTweets = await this.db.getTweetsBySession(sessionId,source);
+                console.log('Database verification results:');
+                console.log('- Expected tweets:', results.success);
+                console.log('- Found tweets:', dbTweets.length);
+
+                // Remember the newest tweet so the next incremental scrape of this target can stop there
+                if (isChronological && results.success > 0 && !options.job?.cancelled) {
+                    await this.db.updateScrapeCursor('search', search.query, tweets, sessionId);
+                }
+
+                // Complete the scraping session
+                console.log('\n=== Completing Search Scrape ===');
+                const status = await this.finishSession(sessionId, results, source, options, knownTweetId);
+
+                console.log('Search scrape results:', {
+                    total: results.total,
+                    saved: results.success,
+                    failed: results.failed,
+                    status
+                });
+
+                return {
+                    sessionId,
+                    target: search.query,
+                    tweetsFound: results.success,
+                    knownTweetId,
+                    failed: results.failed,
+                    shared: results.shared,
+                    status,
+                    tweets: dbTweets
+                };
+            } catch (error) {
+                console.error('\n=== Search Scrape Failed ===');
+                console.error('Error:', error.message);
+                if (sessionId) {
+                    await this.db.completeScrapingSession(sessionId, 0, 'failed',source);
+                    console.log('Session marked as failed');
+                }
+                throw error;
+            }
+        });
+    }
+
+    async scrapeHomeTimeline(targetTweetCount = 100, source = 'app', options = {}) {
+        return await this.runExclusive(async () => {
+            await this.useAccount(options.account);
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
             }
 
-            console.log('Profile scrape results:', {
-                total: results.total,
-                saved: results.success,
-                failed: results.failed,
-                status: isSuccessful ? 'completed' : 'incomplete'
-            });
+            let sessionId;
+            try {
+                console.log('\n=== Starting Home Timeline Scrape ===');
+            
+                // Start a scraping session
+                sessionId = await this.openScrapingSession('home', 'timeline', source, options);
+                console.log('Session ID:', sessionId);
 
-            return {
-                sessionId,
-                tweetsFound: results.success,
-                failed: results.failed,
-                status: isSuccessful ? 'completed' : 'incomplete',
-                tweets: dbTweets
-            };
-        } catch (error) {
-            console.error('\n=== Profile Scrape Failed ===');
-            console.error('Error:', error.message);
-            if (sessionId) {
-                await this.db.completeScrapingSession(sessionId, 0, 'failed',source);
-                console.log('Session marked as failed');
+                this.graphqlCapture.reset();
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    return await this.cancelBeforeStart(sessionId, source, { tweetsFound: 0, failed: 0, tweets: [] });
+                }
+                await this.page.goto('https://x.com/home');
+                console.log('Navigated to home timeline');
+
+                // Extract tweets using the comprehensive extraction method
+                console.log('\n=== Extracting Tweets ===');
+                const checkpoint = this.createCheckpoint(sessionId, source, 'home', 'timeline', targetTweetCount, options);
+                const tweets = await this.extractTweets(targetTweetCount, 500, { checkpoint, job: options.job });
+                console.log(`Extracted ${tweets.length} unique tweets`);
+
+                // Save to temporary storage
+                console.log('\n=== Saving to Temporary Storage ===');
+                const tempFilePath = await this.tempStorage.saveTempData(sessionId, {
+                    type: 'home',
+                    target: 'timeline',
+                    tweets
+                });
+                console.log('Temporary file saved at:', tempFilePath);
+
+                await this.downloadMedia(tweets, sessionId, source, options);
+
+                // Save tweets with tracking
+                console.log('\n=== Saving Tweets ===');
+                const results = await this.saveScrapedTweets(tweets, sessionId, source);
+
+                // Verify database updates
+                console.log('\n=== Verifying Database Updates ===');
+                const dbTweets = await this.db.getTweetsBySession(sessionId,source);
+                console.log('Database verification results:');
+                console.log('- Expected tweets:', results.success);
+                console.log('- Found tweets:', dbTweets.length);
+
+                // Complete the scraping session
+                console.log('\n=== Completing Home Timeline Scrape ===');
+                const status = await this.finishSession(sessionId, results, source, options);
+
+                console.log('Home timeline scrape results:', {
+                    total: results.total,
+                    saved: results.success,
+                    failed: results.failed,
+                    status
+                });
+
+                return {
+                    sessionId,
+                    tweetsFound: results.success,
+                    failed: results.failed,
+                    shared: results.shared,
+                    status,
+                    tweets: dbTweets
+                };
+            } catch (error) {
+                console.error('\n=== Home Timeline Scrape Failed ===');
+                console.error('Error:', error.message);
+                if (sessionId) {
+                    await this.db.completeScrapingSession(sessionId, 0, 'failed',source);
+                    console.log('Session marked as failed');
+                }
+                throw error;
             }
-            throw error;
+        });
+    }
+
+    async scrapeBookmarks(limit = 100, source = 'app', options = {}) {
+        // Bookmarks are private, so the target is the account whose bookmarks were read, which is
+        // only known once the timeline scrape has switched to it
+        return await this.scrapeTweetTimeline({
+            type: 'bookmarks',
+            target: null,
+            url: 'https://x.com/i/bookmarks',
+            label: 'Bookmarks'
+        }, limit, source, options);
+    }
+
+    async scrapeLikes(username, limit = 100, source = 'app', options = {}) {
+        const handle = String(username || '').trim().replace(/^@/, '');
+        if (!handle) {
+            throw new Error('A username is required to scrape likes');
         }
+
+        return await this.scrapeTweetTimeline({
+            type: 'likes',
+            target: handle,
+            url: `https://x.com/${handle}/likes`,
+            label: 'Likes'
+        }, limit, source, options);
+    }
+
+    async scrapeList(list, limit = 100, source = 'app', options = {}) {
+        const listId = this.parseListId(list);
+
+        // A list timeline is newest first, so it can stop at the last scrape like profiles and searches
+        return await this.scrapeTweetTimeline({
+            type: 'list',
+            target: listId,
+            url: `https://x.com/i/lists/${listId}`,
+            label: 'List',
+            incremental: true
+        }, limit, source, options);
     }
 
-    async scrapeTweets(query, limit = 10, source = 'app') {
-        if (!this.isLoggedIn) {
-            throw new Error('Not logged in to Twitter');
+    // Accepts a bare list id or a list URL such as https://x.com/i/lists/123
+    parseListId(list) {
+        const value = String(list || '').trim();
+        const match = value.match(/^(\d+)$/) || value.match(/(?:x|twitter)\.com\/i\/lists\/(\d+)/);
+        if (!match) {
+            throw new Error(`Invalid list URL or ID: ${list}`);
         }
+        return match[1];
+    }
 
-        let sessionId;
-        try {
-            console.log('\n=== Starting Search Scrape ===');
-            console.log('Query:', query);
-            
-            // Start a scraping session
-            sessionId = await this.db.startScrapingSession('search', query,source);
-            console.log('Session ID:', sessionId);
-            
-            await this.page.goto(`https://x.com/search?q=${encodeURIComponent(query)}&f=live`);
-            
-            // Extract tweets
-            console.log('\n=== Extracting Tweets ===');
-            const tweets = await this.extractTweets(limit);
-            console.log(`Extracted ${tweets.length} tweets`);
-
-            // Save to temporary storage first
-            console.log('\n=== Saving to Temporary Storage ===');
-            const tempFilePath = await this.tempStorage.saveTempData(sessionId, {
-                type: 'search',
-                target: query,
-                tweets
-            });
-            console.log('Temporary file saved at:', tempFilePath);
-
-            // Save tweets with tracking
-            console.log('\n=== Saving Tweets ===');
-            const results = {
-                total: tweets.length,
-                success: 0,
-                failed: 0
-            };
+    // Shared by the bookmarks, likes and list modes, which are all plain tweet timelines at a URL.
+    // Likes and bookmarks are ordered by when they were liked or saved, not by tweet id, so only
+    // timelines marked incremental use the scrape cursor. A timeline without a target belongs to the
+    // account it is read with.
+    async scrapeTweetTimeline(timeline, limit = 100, source = 'app', options = {}) {
+        return await this.runExclusive(async () => {
+            await this.useAccount(options.account);
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
+            }
 
-            for (const tweet of tweets) {
-                try {
-                    console.log(`\nSaving tweet: ${tweet.url}`);
-                    await this.db.saveTweet(tweet, sessionId, source);
-                    results.success++;
-                    console.log('Tweet saved successfully');
-                } catch (error) {
-                    console.error('Failed to save tweet:', error.message);
-                    results.failed++;
+            const { type, url, label } = timeline;
+            const target = timeline.target ?? this.activeAccount;
+
+            let sessionId;
+            try {
+                console.log(`\n=== Starting ${label} Scrape ===`);
+                console.log('Target:', target);
+
+                // Start a scraping session
+                sessionId = await this.openScrapingSession(type, target, source, options);
+                console.log('Session ID:', sessionId);
+
+                this.graphqlCapture.reset();
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    return await this.cancelBeforeStart(sessionId, source, { target, tweetsFound: 0, failed: 0, tweets: [] });
+                }
+                await this.page.goto(url);
+                console.log('Navigated to', url);
+
+                // Extract tweets
+                console.log('\n=== Extracting Tweets ===');
+                const knownTweetId = timeline.incremental ? await this.getKnownTweetId(type, target, options) : null;
+                const checkpoint = this.createCheckpoint(sessionId, source, type, target, limit, options);
+                const tweets = await this.extractTweets(limit, 500, { knownTweetId, checkpoint, job: options.job });
+                console.log(`Extracted ${tweets.length} tweets`);
+
+                // Save to temporary storage first
+                console.log('\n=== Saving to Temporary Storage ===');
+                const tempFilePath = await this.tempStorage.saveTempData(sessionId, {
+                    type,
+                    target,
+                    tweets
+                });
+                console.log('Temporary file saved at:', tempFilePath);
+
+                await this.downloadMedia(tweets, sessionId, source, options);
+
+                // Save tweets with tracking
+                console.log('\n=== Saving Tweets ===');
+                const results = await this.saveScrapedTweets(tweets, sessionId, source);
+
+                // Verify database updates
+                console.log('\n=== Verifying Database Updates ===');
+                const dbTweets = await this.db.getTweetsBySession(sessionId, source);
+                console.log('Database verification results:');
+                console.log('- Expected tweets:', results.success);
+                console.log('- Found tweets:', dbTweets.length);
+
+                // Remember the newest tweet so the next incremental scrape of this target can stop there
+                if (timeline.incremental && results.success > 0 && !options.job?.cancelled) {
+                    await this.db.updateScrapeCursor(type, target, tweets, sessionId);
+                }
+
+                // Complete the scraping session
+                console.log(`\n=== Completing ${label} Scrape ===`);
+                const status = await this.finishSession(sessionId, results, source, options, knownTweetId);
+
+                console.log(`${label} scrape results:`, {
+                    total: results.total,
+                    saved: results.success,
+                    failed: results.failed,
+                    status
+                });
+
+                return {
+                    sessionId,
+                    target,
+                    tweetsFound: results.success,
+                    knownTweetId,
+                    failed: results.failed,
+                    shared: results.shared,
+                    status,
+                    tweets: dbTweets
+                };
+            } catch (error) {
+                console.error(`\n=== ${label} Scrape Failed ===`);
+                console.error('Error:', error.message);
+                if (sessionId) {
+                    await this.db.completeScrapingSession(sessionId, 0, 'failed', source);
+                    console.log('Session marked as failed');
                 }
+                throw error;
+            }
+        });
+    }
+
+    async scrapeThread(tweetUrl, limit = 50, source = 'app', options = {}) {
+        return await this.runExclusive(async () => {
+            await this.useAccount(options.account);
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
             }
 
-            // Verify database update and cleanup temp file
-            console.log('\n=== Verifying Database Update ===');
-            const dbTweets = await this.db.getTweetsBySession(sessionId,source);
-            console.log('Database verification results:');
-            console.log('- Expected tweets:', results.success);
-            console.log('- Found tweets:', dbTweets.length);
+            const { handle, tweetId } = this.parseTweetUrl(tweetUrl);
 
-            // Complete the scraping session
-            console.log('\n=== Completing Search Scrape ===');
-            const isSuccessful = results.success > 0;
-            
-            if (isSuccessful) {
-                console.log('Scraping completed successfully, cleaning up temp file');
-                await this.tempStorage.deleteTempData(sessionId);
-                await this.db.completeScrapingSession(sessionId, results.success, 'completed',source);
-            } else {
-                console.log('Scraping had issues, keeping temp file for recovery');
-                await this.db.completeScrapingSession(sessionId, results.success, 'incomplete',source);
+            let sessionId;
+            try {
+                console.log('\n=== Starting Thread Scrape ===');
+                console.log('Tweet:', tweetUrl);
+
+                // Start a scraping session
+                sessionId = await this.openScrapingSession('thread', tweetUrl, source, options);
+                console.log('Session ID:', sessionId);
+
+                this.graphqlCapture.reset();
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    return await this.cancelBeforeStart(sessionId, source, { rootTweetId: tweetId, tweetsFound: 0, failed: 0, tweets: [] });
+                }
+                await this.page.goto(`https://x.com/${handle}/status/${tweetId}`);
+                await this.page.waitForSelector((await this.getSelectors()).tweet.article);
+
+                // Extract the conversation, expanding collapsed reply branches as we scroll
+                console.log('\n=== Extracting Thread ===');
+                const extracted = await this.extractTweets(limit, 50, {
+                    beforeCollect: () => this.expandThreadReplies(),
+                    checkpoint: this.createCheckpoint(sessionId, source, 'thread', tweetUrl, limit, options),
+                    job: options.job
+                });
+                const tweets = this.buildThreadTree(extracted, tweetId);
+                console.log(`Extracted ${tweets.length} thread tweets`);
+
+                // Save to temporary storage first
+                console.log('\n=== Saving to Temporary Storage ===');
+                const tempFilePath = await this.tempStorage.saveTempData(sessionId, {
+                    type: 'thread',
+                    target: tweetUrl,
+                    tweets
+                });
+                console.log('Temporary file saved at:', tempFilePath);
+
+                await this.downloadMedia(tweets, sessionId, source, options);
+
+                // Save tweets with tracking
+                console.log('\n=== Saving Tweets ===');
+                const results = await this.saveScrapedTweets(tweets, sessionId, source);
+
+                // Verify database updates
+                console.log('\n=== Verifying Database Updates ===');
+                const dbTweets = await this.db.getTweetsBySession(sessionId, source);
+                console.log('Database verification results:');
+                console.log('- Expected tweets:', results.success);
+                console.log('- Found tweets:', dbTweets.length);
+
+                // Complete the scraping session
+                console.log('\n=== Completing Thread Scrape ===');
+                const status = await this.finishSession(sessionId, results, source, options);
+
+                console.log('Thread scrape results:', {
+                    total: results.total,
+                    saved: results.success,
+                    failed: results.failed,
+                    status
+                });
+
+                return {
+                    sessionId,
+                    rootTweetId: tweets.find(tweet => tweet.thread.parent_id === null)?.tweet_id || tweetId,
+                    tweetsFound: results.success,
+                    failed: results.failed,
+                    shared: results.shared,
+                    status,
+                    tweets: dbTweets
+                };
+            } catch (error) {
+                console.error('\n=== Thread Scrape Failed ===');
+                console.error('Error:', error.message);
+                if (sessionId) {
+                    await this.db.completeScrapingSession(sessionId, 0, 'failed', source);
+                    console.log('Session marked as failed');
+                }
+                throw error;
             }
+        });
+    }
 
-            console.log('Search scrape results:', {
-                total: results.total,
-                saved: results.success,
-                failed: results.failed,
-                status: isSuccessful ? 'completed' : 'incomplete'
-            });
+    parseTweetUrl(tweetUrl) {
+        const match = String(tweetUrl || '').match(/(?:x|twitter)\.com\/([A-Za-z0-9_]+)\/status(?:es)?\/(\d+)/);
+        if (!match) {
+            throw new Error(`Invalid tweet URL: ${tweetUrl}`);
+        }
+        return { handle: match[1], tweetId: match[2] };
+    }
 
-            return {
-                sessionId,
-                tweetsFound: results.success,
-                failed: results.failed,
-                status: isSuccessful ? 'completed' : 'incomplete',
-                tweets: dbTweets
-            };
-        } catch (error) {
-            console.error('\n=== Search Scrape Failed ===');
-            console.error('Error:', error.message);
-            if (sessionId) {
-                await this.db.completeScrapingSession(sessionId, 0, 'failed',source);
-                console.log('Session marked as failed');
+    // Click the "Show replies" style buttons X renders in place of collapsed reply branches
+    async expandThreadReplies() {
+        try {
+            const { timeline } = await this.getSelectors();
+            const buttons = await this.page.$$(`${timeline.cell} button, ${timeline.cell} div[role="button"]`);
+            for (const button of buttons) {
+                const text = (await button.textContent() || '').trim();
+                if (/^Show( more)? replies$/i.test(text)) {
+                    console.log(`Expanding thread: ${text}`);
+                    await button.click();
+                    await this.page.waitForTimeout(1000);
+                }
             }
-            throw error;
+        } catch (error) {
+            console.log('Could not expand thread replies:', error.message);
         }
     }
 
-    async scrapeHomeTimeline(targetTweetCount = 100, source = 'app') {
-        if (!this.isLoggedIn) {
-            throw new Error('Not logged in to Twitter');
+    // Annotate each tweet with its place in the conversation so the reply tree can be rebuilt
+    buildThreadTree(tweets, focalTweetId) {
+        const byId = new Map(tweets.map(tweet => [tweet.tweet_id, tweet]));
+
+        // The conversation root is the highest ancestor of the requested tweet we actually collected
+        let root = byId.get(focalTweetId);
+        while (root && root.in_reply_to_tweet_id && byId.has(root.in_reply_to_tweet_id)) {
+            root = byId.get(root.in_reply_to_tweet_id);
         }
+        const rootId = root ? root.tweet_id : focalTweetId;
+        const rootHandle = root?.user?.handle?.toLowerCase() || '';
 
-        let sessionId;
-        try {
-            console.log('\n=== Starting Home Timeline Scrape ===');
-            
-            // Start a scraping session
-            sessionId = await this.db.startScrapingSession('home', 'timeline',source);
-            console.log('Session ID:', sessionId);
-
-            await this.page.goto('https://x.com/home');
-            console.log('Navigated to home timeline');
-
-            // Extract tweets using the comprehensive extraction method
-            console.log('\n=== Extracting Tweets ===');
-            const tweets = await this.extractTweets(targetTweetCount);
-            console.log(`Extracted ${tweets.length} unique tweets`);
-
-            // Save to temporary storage
-            console.log('\n=== Saving to Temporary Storage ===');
-            const tempFilePath = await this.tempStorage.saveTempData(sessionId, {
-                type: 'home',
-                target: 'timeline',
-                tweets
-            });
-            console.log('Temporary file saved at:', tempFilePath);
-
-            // Save tweets with tracking
-            console.log('\n=== Saving Tweets ===');
-            const results = {
-                total: tweets.length,
-                success: 0,
-                failed: 0
-            };
+        const getDepth = (tweet, seen = new Set()) => {
+            if (tweet.tweet_id === rootId || !byId.has(tweet.in_reply_to_tweet_id) || seen.has(tweet.tweet_id)) {
+                return 0;
+            }
+            seen.add(tweet.tweet_id);
+            return getDepth(byId.get(tweet.in_reply_to_tweet_id), seen) + 1;
+        };
+
+        // A self-thread reply is one whose whole chain back to the root is written by the root author
+        const isSelfThread = (tweet) => {
+            let current = tweet;
+            const seen = new Set();
+            while (current && !seen.has(current.tweet_id)) {
+                if (current.user?.handle?.toLowerCase() !== rootHandle) {
+                    return false;
+                }
+                if (current.tweet_id === rootId) {
+                    return true;
+                }
+                seen.add(current.tweet_id);
+                current = byId.get(current.in_reply_to_tweet_id);
+            }
+            return false;
+        };
+
+        return tweets.map(tweet => ({
+            ...tweet,
+            thread: {
+                root_id: rootId,
+                parent_id: tweet.tweet_id === rootId ? null : (tweet.in_reply_to_tweet_id || null),
+                depth: getDepth(tweet),
+                is_self_thread: isSelfThread(tweet)
+            }
+        }));
+    }
 
-            for (const tweet of tweets) {
-                try {
-                    console.log(`\nSaving tweet: ${tweet.url}`);
-                    await this.db.saveTweet(tweet, sessionId,source);
-                    results.success++;
-                    console.log('Tweet saved successfully');
-                } catch (error) {
-                    console.error('Failed to save tweet:', error.message);
-                    results.failed++;
+    async scrapeFollowers(username, limit = 100, source = 'app', options = {}) {
+        return await this.scrapeUserList(username, 'followers', limit, source, options);
+    }
+
+    async scrapeFollowing(username, limit = 100, source = 'app', options = {}) {
+        return await this.scrapeUserList(username, 'following', limit, source, options);
+    }
+
+    async scrapeUserList(username, relation, limit = 100, source = 'app', options = {}) {
+        return await this.runExclusive(async () => {
+            await this.useAccount(options.account);
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
+            }
+
+            let sessionId;
+            try {
+                console.log(`\n=== Starting ${relation} Scrape ===`);
+                console.log('Username:', username);
+
+                // Start a scraping session
+                sessionId = await this.openScrapingSession(relation, username, source, options);
+                console.log('Session ID:', sessionId);
+
+                this.graphqlCapture.reset();
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    return await this.cancelBeforeStart(sessionId, source, { relation, usersFound: 0, users: [] });
+                }
+                await this.page.goto(`https://x.com/${username}/${relation}`);
+                await this.page.waitForSelector((await this.getSelectors()).timeline.column);
+
+                // Extract users
+                console.log('\n=== Extracting Users ===');
+                const users = await this.extractUsers(limit, 200, options.job);
+                console.log(`Extracted ${users.length} users`);
+
+                // Save users
+                console.log('\n=== Saving Users ===');
+                const savedCount = await this.db.saveFollowUsers(users, sessionId, relation, username, source);
+
+                // Complete the scraping session
+                console.log(`\n=== Completing ${relation} Scrape ===`);
+                const isSuccessful = savedCount > 0;
+                const status = options.job?.cancelled ? 'cancelled' : (isSuccessful ? 'completed' : 'incomplete');
+                await this.db.completeScrapingSession(sessionId, savedCount, status, source);
+
+                console.log(`${relation} scrape results:`, {
+                    total: users.length,
+                    saved: savedCount,
+                    status
+                });
+
+                return {
+                    sessionId,
+                    relation,
+                    usersFound: savedCount,
+                    status,
+                    users: await this.db.getUsersBySession(sessionId, source)
+                };
+            } catch (error) {
+                console.error(`\n=== ${relation} Scrape Failed ===`);
+                console.error('Error:', error.message);
+                if (sessionId) {
+                    await this.db.completeScrapingSession(sessionId, 0, 'failed', source);
+                    console.log('Session marked as failed');
                 }
+                throw error;
             }
+        });
+    }
 
-            // Verify database updates
-            console.log('\n=== Verifying Database Updates ===');
-            const dbTweets = await this.db.getTweetsBySession(sessionId,source);
-            console.log('Database verification results:');
-            console.log('- Expected tweets:', results.success);
-            console.log('- Found tweets:', dbTweets.length);
+    async getSelectors() {
+        return (await this.selectorProfile.get()).selectors;
+    }
 
-            // Complete the scraping session
-            console.log('\n=== Completing Home Timeline Scrape ===');
-            const isSuccessful = results.success > 0;
-            
-            if (isSuccessful) {
-                console.log('Scraping completed successfully, cleaning up temp file');
-                await this.tempStorage.deleteTempData(sessionId);
-                await this.db.completeScrapingSession(sessionId, results.success, 'completed',source);
-            } else {
-                console.log('Scraping had issues, keeping temp file for recovery');
-                await this.db.completeScrapingSession(sessionId, results.success, 'incomplete',source);
+    // Run the selector profile against a live profile page and report selectors that match nothing
+    // and extracted fields that came back empty
+    async checkSelectorHealth(username = 'X') {
+        return await this.runExclusive(async () => {
+            if (!this.isLoggedIn) {
+                throw new Error('Not logged in to Twitter');
             }
 
-            console.log('Home timeline scrape results:', {
-                total: results.total,
-                saved: results.success,
-                failed: results.failed,
-                status: isSuccessful ? 'completed' : 'incomplete'
-            });
+            const profile = await this.selectorProfile.get();
+            console.log(`\n=== Selector health check (profile v${profile.version}, ${profile.source}) on @${username} ===`);
 
-            return {
-                sessionId,
-                tweetsFound: results.success,
-                failed: results.failed,
-                status: isSuccessful ? 'completed' : 'incomplete',
-                tweets: dbTweets
+            await this.rateLimiter.acquire(this.activeAccount);
+            await this.page.goto(`https://x.com/${username}`);
+            await this.page.waitForSelector(profile.selectors.tweet.article, { timeout: 15000 })
+                .catch(() => console.log('No tweets rendered within 15s, checking the page as it is'));
+
+            const flat = SelectorProfile.flatten(profile.selectors);
+            const matchCounts = await this.page.evaluate((flatSelectors) => {
+                const counts = {};
+                for (const [key, selector] of Object.entries(flatSelectors)) {
+                    try {
+                        counts[key] = document.querySelectorAll(selector).length;
+                    } catch (error) {
+                        // Invalid CSS in an override
+                        counts[key] = -1;
+                    }
+                }
+                return counts;
+            }, flat);
+
+            const selectorResults = Object.entries(flat).map(([key, selector]) => ({
+                key,
+                selector,
+                matches: matchCounts[key],
+                optional: SelectorProfile.isOptional(key),
+                overridden: profile.overrides.includes(key),
+                ok: matchCounts[key] > 0 || (matchCounts[key] === 0 && SelectorProfile.isOptional(key))
+            }));
+
+            // Run the real DOM extractors and count the records each field is empty in
+            const tweets = await this.extractTweetsFromDom().catch(() => []);
+            const profileInfo = await this.extractProfileInfo() || {};
+            const tweetFields = {
+                'tweet.user.name': tweet => tweet.user?.name,
+                'tweet.user.handle': tweet => tweet.user?.handle,
+                'tweet.timestamp': tweet => tweet.timestamp,
+                'tweet.content': tweet => tweet.content,
+                'tweet.url': tweet => tweet.url
             };
-        } catch (error) {
-            console.error('\n=== Home Timeline Scrape Failed ===');
-            console.error('Error:', error.message);
-            if (sessionId) {
-                await this.db.completeScrapingSession(sessionId, 0, 'failed',source);
-                console.log('Session marked as failed');
+            const emptyFields = [];
+            if (tweets.length === 0) {
+                emptyFields.push({ field: 'tweet', empty: 0, total: 0, note: 'no tweets extracted' });
             }
-            throw error;
-        }
+            for (const [field, getValue] of Object.entries(tweetFields)) {
+                const empty = tweets.filter(tweet => !getValue(tweet)).length;
+                // Media-only tweets have no text, so content is only flagged when every tweet lacks it
+                if (empty > 0 && (field !== 'tweet.content' || empty === tweets.length)) {
+                    emptyFields.push({ field, empty, total: tweets.length });
+                }
+            }
+            for (const field of ['name', 'followers_count', 'following_count', 'tweets_count', 'joined_at', 'avatar_url']) {
+                if (!profileInfo[field]) {
+                    emptyFields.push({ field: `profile.${field}`, empty: 1, total: 1 });
+                }
+            }
+
+            const report = {
+                version: profile.version,
+                source: profile.source,
+                overrides: profile.overrides,
+                overrideFile: config.scraper.selectorsFile,
+                url: this.page.url(),
+                checked_at: new Date().toISOString(),
+                tweetsChecked: tweets.length,
+                selectors: selectorResults,
+                emptyFields,
+                healthy: selectorResults.every(result => result.ok) && emptyFields.length === 0
+            };
+
+            console.log(`Selector health: ${report.healthy ? 'OK' : 'problems found'}`);
+            selectorResults.filter(result => !result.ok).forEach(result => {
+                console.log(`  ${result.key} (${result.selector}) matched ${result.matches === -1 ? 'invalid selector' : 'nothing'}`);
+            });
+            emptyFields.forEach(field => console.log(`  ${field.field} empty in ${field.empty}/${field.total}`));
+            return report;
+        });
     }
 
     async extractProfileInfo() {
         try {
-            return await this.page.evaluate(() => {
-                const getTextContent = (selector) => {
-                    const element = document.querySelector(selector);
+            const selectors = await this.getSelectors();
+            const info = await this.page.evaluate(({ profile, tweet }) => {
+                const getTextContent = (selector, root = document) => {
+                    const element = root.querySelector(selector);
                     return element ? element.textContent.trim() : '';
                 };
-
-                // Get follower and following counts
-                const statsElements = document.querySelectorAll('a[href*="/following"], a[href*="/followers"], a[href*="/verified_followers"]');
-                const stats = {};
-                statsElements.forEach(element => {
-                    const text = element.textContent.trim();
-                    if (element.href.includes('/following')) {
-                        stats.following = text;
-                    } else if (element.href.includes('/followers') || element.href.includes('/verified_followers')) {
-                        stats.followers = text;
-                    }
-                });
-
-                // Get tweet count
-                const tweetsElement = document.querySelector('div[aria-label*="tweets"]');
-                const tweetsCount = tweetsElement ? tweetsElement.getAttribute('aria-label').match(/\d+/)[0] : '0';
+                // "1.2K Followers" -> "1.2K", the label is stripped before parseMetric sees it
+                const getCount = (text) => (text.match(/[\d.,]+\s*[KMB]?/i)?.[0] || '').replace(/\s/g, '');
+
+                const header = document.querySelector(profile.header);
+                const handle = window.location.pathname.split('/')[1] || '';
+
+                // The post count sits under the name in the top bar, older layouts put it in an aria-label
+                const tweetCount = Array.from(document.querySelectorAll(profile.tweetCount))
+                    .map(element => `${element.getAttribute('aria-label') || ''} ${element.textContent}`)
+                    .map(text => text.match(/([\d.,]+\s*[KMB]?)\s+(?:posts|tweets)/i)?.[1])
+                    .find(Boolean) || '';
+
+                // Affiliated accounts show the organisation's badge as a linked image next to the name
+                const affiliationImage = Array.from(header?.querySelectorAll(profile.affiliation) || [])
+                    .find(img => img.closest('a')?.getAttribute('href')?.split('/')[1] !== handle);
+                const affiliation = affiliationImage ? {
+                    name: affiliationImage.alt || affiliationImage.closest('a').getAttribute('aria-label') || '',
+                    handle: affiliationImage.closest('a').getAttribute('href').split('/')[1] || '',
+                    badge_url: affiliationImage.src
+                } : null;
+
+                const website = document.querySelector(profile.website);
+                const avatar = document.querySelector(profile.avatar);
+                const banner = document.querySelector(profile.banner);
+
+                const pinnedTweet = Array.from(document.querySelectorAll(tweet.article))
+                    .find(article => /^pinned$/i.test(getTextContent(tweet.socialContext, article)));
+                const pinnedLink = pinnedTweet?.querySelector(tweet.permalinkTime)?.closest('a') ||
+                    pinnedTweet?.querySelector(tweet.permalink);
 
                 return {
-                    name: getTextContent('div[data-testid="primaryColumn"] h2[aria-level="1"]'),
-                    handle: window.location.pathname.slice(1),
-                    bio: getTextContent('div[data-testid="UserDescription"]'),
-                    followers: stats.followers || '0',
-                    following: stats.following || '0',
-                    tweets: tweetsCount
+                    name: getTextContent(profile.name),
+                    handle,
+                    bio: getTextContent(profile.bio),
+                    location: getTextContent(profile.location),
+                    website: website ? website.textContent.trim() : '',
+                    website_url: website ? website.href : '',
+                    join_date: getTextContent(profile.joinDate),
+                    verified: !!header?.querySelector(profile.verified),
+                    affiliation,
+                    avatar_url: avatar ? avatar.src : '',
+                    banner_url: banner ? banner.src : '',
+                    pinned_tweet_id: pinnedLink?.href.match(/\/status\/(\d+)/)?.[1] || null,
+                    followers: getCount(getTextContent(profile.followers)),
+                    following: getCount(getTextContent(profile.following)),
+                    tweets: tweetCount
                 };
-            });
+            }, selectors);
+
+            return {
+                name: info.name,
+                handle: info.handle,
+                bio: info.bio,
+                location: info.location || null,
+                website: info.website || null,
+                website_url: info.website_url || null,
+                joined_at: TwitterScraper.parseJoinDate(info.join_date),
+                verified: info.verified,
+                affiliation: info.affiliation,
+                // Ask for the full size images instead of the thumbnails the header renders
+                avatar_url: info.avatar_url ? info.avatar_url.replace(/_(normal|bigger|mini|x96|200x200)(\.\w+)$/, '_400x400$2') : null,
+                banner_url: info.banner_url ? info.banner_url.replace(/\/\d+x\d+$/, '/1500x500') : null,
+                pinned_tweet_id: info.pinned_tweet_id,
+                followers_count: this.db.parseMetric(info.followers),
+                following_count: this.db.parseMetric(info.following),
+                tweets_count: this.db.parseMetric(info.tweets)
+            };
         } catch (error) {
             console.error('Error extracting profile info:', error);
             return null;
         }
     }
 
-    async extractTweets(targetCount, maxScrollAttempts = 500) {
+    // "Joined March 2010" -> "2010-03-01T00:00:00.000Z", X only shows the month
+    static parseJoinDate(text) {
+        const match = (text || '').match(/([A-Za-z]+)\s+(\d{4})/);
+        if (!match) {
+            return null;
+        }
+        const month = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+            'september', 'october', 'november', 'december'].indexOf(match[1].toLowerCase());
+        return month === -1 ? null : new Date(Date.UTC(parseInt(match[2]), month, 1)).toISOString();
+    }
+
+    async extractTweets(targetCount, maxScrollAttempts = 500, options = {}) {
+        const checkpoint = options.checkpoint || null;
+        // A resumed scrape starts with the tweets its checkpoint already collected
+        const uniqueTweets = new Map((checkpoint?.tweets || []).map(tweet => [tweet.tweet_id, tweet]));
+        let scrollAttempts = checkpoint?.scroll?.scrollAttempts || 0;
+
         try {
-            const uniqueTweets = new Map();
-            let scrollAttempts = 0;
             let lastHeight = 0;
             let noNewTweetsCount = 0;
+            let stalledScrolls = 0;
+            let throttleRetries = 0;
+            let uncheckpointedCount = 0;
+            const startedAt = Date.now();
+            const startCount = uniqueTweets.size;
 
             console.log(`Attempting to extract ${targetCount} unique tweets...`);
 
+            if (uniqueTweets.size > 0) {
+                console.log(`Resuming from checkpoint with ${uniqueTweets.size} tweets already collected`);
+                await this.restoreScrollPosition(checkpoint.scroll?.scrollY || 0);
+            }
+
             while (uniqueTweets.size < targetCount && scrollAttempts < maxScrollAttempts) {
-                // Extract tweets from current view
-                const newTweets = await this.page.evaluate(() => {
-                    return Array.from(document.querySelectorAll('article[data-testid="tweet"]')).map(tweet => {
-                        // Extract user information
-                        const userElement = tweet.querySelector('div[data-testid="User-Name"]');
-                        const user = userElement ? {
-                            name: userElement.querySelector('span')?.textContent || '',
-                            handle: userElement.querySelector('a')?.href.split('/').pop() || ''
-                        } : null;
-
-                        // Extract tweet URL and ID first - we need these for uniqueness check
-                        const linkElement = tweet.querySelector('a[role="link"][href*="/status/"]');
-                        const tweetUrl = linkElement ? linkElement.href : '';
-                        const tweetId = tweetUrl ? tweetUrl.split('/').pop() : null;
-
-                        if (!tweetId) return null; // Skip invalid tweets
-
-                        // Extract timestamp
-                        const timeElement = tweet.querySelector('time');
-                        const timestamp = timeElement ? timeElement.getAttribute('datetime') : '';
-
-                        // Extract tweet content
-                        const contentElement = tweet.querySelector('div[data-testid="tweetText"]');
-                        const content = contentElement ? contentElement.textContent : '';
-
-                        // Extract metrics
-                        const metrics = {};
-                        const metricMappings = {
-                            'reply': 'replies',
-                            'retweet': 'retweets',
-                            'like': 'likes',
-                            'analytics': 'views'
-                        };
-                        
-                        Object.entries(metricMappings).forEach(([testId, metricName]) => {
-                            const element = tweet.querySelector(`[data-testid="${testId}"]`);
-                            const rawValue = element ? element.textContent.trim() : '0';
-                            let value = rawValue.toLowerCase();
-                            if (value.endsWith('k')) {
-                                value = parseFloat(value.slice(0, -1)) * 1000;
-                            } else if (value.endsWith('m')) {
-                                value = parseFloat(value.slice(0, -1)) * 1000000;
-                            } else {
-                                value = parseInt(value.replace(/[^0-9]/g, '')) || 0;
-                            }
-                            metrics[metricName] = value;
-                        });
+                if (!await this.rateLimiter.acquire(this.activeAccount, options.job)) {
+                    console.log('Scrape job cancelled while waiting for the request budget');
+                    break;
+                }
 
-                        return {
-                            tweet_id: tweetId,
-                            user,
-                            timestamp,
-                            content,
-                            metrics,
-                            url: tweetUrl,
-                            saved_at: new Date().toISOString()
-                        };
-                    }).filter(tweet => tweet !== null); // Remove invalid tweets
-                });
+                if (options.beforeCollect) {
+                    await options.beforeCollect();
+                }
+
+                // Extract tweets from current view
+                const newTweets = await this.collectVisibleTweets();
 
                 // Track new unique tweets
                 let newUniqueCount = 0;
+                let reachedKnownTweets = false;
                 for (const tweet of newTweets) {
+                    if (options.knownTweetId && this.isKnownTweet(tweet, options.knownTweetId)) {
+                        reachedKnownTweets = true;
+                        continue;
+                    }
                     if (!uniqueTweets.has(tweet.tweet_id)) {
                         uniqueTweets.set(tweet.tweet_id, tweet);
                         newUniqueCount++;
@@ -796,6 +1474,48 @@ class TwitterScraper {
                     }
                 }
 
+                uncheckpointedCount += newUniqueCount;
+                if (checkpoint && uncheckpointedCount >= config.scraper.checkpointEvery) {
+                    await this.saveCheckpoint(checkpoint, uniqueTweets, scrollAttempts);
+                    uncheckpointedCount = 0;
+                }
+
+                if (options.job) {
+                    options.job.reportProgress(this.getExtractionProgress(uniqueTweets.size, targetCount, scrollAttempts + 1, maxScrollAttempts, startedAt, startCount));
+                    if (options.job.cancelled) {
+                        console.log('Scrape job cancelled, stopping extraction with the tweets collected so far');
+                        break;
+                    }
+                }
+
+                // Incremental scrapes stop as soon as the timeline reaches tweets from an earlier session
+                if (reachedKnownTweets) {
+                    console.log(`Reached already-known tweets (newest known: ${options.knownTweetId}), stopping`);
+                    break;
+                }
+
+                // An empty scroll can mean throttling, an error banner or the real end of the timeline
+                let pageState = null;
+                if (newUniqueCount > 0) {
+                    this.graphqlCapture.takeThrottle();
+                    this.rateLimiter.reportSuccess(this.activeAccount);
+                    throttleRetries = 0;
+                } else {
+                    pageState = await this.detectTimelineState();
+                    if (pageState.throttle) {
+                        throttleRetries++;
+                        if (throttleRetries > config.rateLimit.maxRetries) {
+                            console.log(`Still throttled after ${config.rateLimit.maxRetries} retries, stopping with the tweets collected so far`);
+                            break;
+                        }
+                        if (!await this.handleThrottle(pageState, throttleRetries, options.job)) {
+                            break;
+                        }
+                        // Retries do not count as scroll attempts
+                        continue;
+                    }
+                }
+
                 // Check if we found any new tweets
                 if (newUniqueCount === 0) {
                     noNewTweetsCount++;
@@ -832,12 +1552,20 @@ class TwitterScraper {
                         noNewTweetsCount++;
                         console.log('No new content loaded after scroll');
                     }
+
+                    // Nothing new, the page stopped growing and X is not loading more: end of timeline
+                    stalledScrolls = newUniqueCount === 0 && currentHeight === lastHeight && !pageState?.loading ? stalledScrolls + 1 : 0;
                     
                     lastHeight = currentHeight;
                 }
 
                 scrollAttempts++;
                 console.log(`Scroll attempt ${scrollAttempts}/${maxScrollAttempts}. Current unique tweets: ${uniqueTweets.size}/${targetCount}`);
+
+                if (stalledScrolls >= config.scraper.endOfTimelineScrolls) {
+                    console.log(`Reached the end of the timeline after ${stalledScrolls} scrolls without new content`);
+                    break;
+                }
             }
 
             // Convert Map to Array and slice to target count
@@ -847,10 +1575,675 @@ class TwitterScraper {
             return tweets;
         } catch (error) {
             console.error('Error extracting tweets:', error);
+            // Keep what was collected so the session can be resumed
+            if (checkpoint) {
+                await this.saveCheckpoint(checkpoint, uniqueTweets, scrollAttempts);
+            }
+            throw error;
+        }
+    }
+
+    // Look for signs that X is throttling the session: a 429 or rate limit error on a GraphQL
+    // response, a rate limit or "Something went wrong" message, and a Retry button in the timeline
+    async detectTimelineState() {
+        const captured = this.graphqlCapture.takeThrottle();
+        const pageState = await this.page.evaluate(({ timeline }) => {
+            const column = document.querySelector(timeline.column) || document.body;
+            // Tweets may quote these phrases, so only look at text outside tweet articles
+            const messages = Array.from(column.querySelectorAll('span'))
+                .filter(span => !span.closest('article'))
+                .map(span => span.textContent.trim());
+            const retryButton = Array.from(column.querySelectorAll('button, [role="button"]'))
+                .find(button => !button.closest('article') && /^(retry|try again)$/i.test(button.textContent.trim()));
+
+            return {
+                rateLimited: messages.some(text => /rate limit|too many requests/i.test(text)),
+                error: messages.some(text => /something went wrong|try reloading/i.test(text)),
+                hasRetry: !!retryButton,
+                loading: !!column.querySelector(timeline.progress)
+            };
+        }, await this.getSelectors()).catch(() => ({ rateLimited: false, error: false, hasRetry: false, loading: false }));
+
+        let throttle = null;
+        if (captured || pageState.rateLimited) {
+            throttle = { reason: 'rate_limited', resetAt: captured?.resetAt || null };
+        } else if (pageState.error || pageState.hasRetry) {
+            throttle = { reason: 'error', resetAt: null };
+        }
+        return { ...pageState, throttle };
+    }
+
+    // Back off for the account, then click X's retry control if it shows one.
+    // Returns false if the job was cancelled while waiting.
+    async handleThrottle(pageState, attempt, job = null) {
+        const delay = this.rateLimiter.reportThrottle(this.activeAccount, pageState.throttle.resetAt);
+        console.log(`X is throttling the session (${pageState.throttle.reason}), retry ${attempt}/${config.rateLimit.maxRetries} in ${Math.ceil(delay / 1000)}s`);
+        if (job) {
+            job.reportProgress({
+                ...job.progress,
+                throttled: true,
+                reason: pageState.throttle.reason,
+                retryInSeconds: Math.ceil(delay / 1000)
+            });
+        }
+
+        if (!await this.rateLimiter.acquire(this.activeAccount, job)) {
+            return false;
+        }
+
+        if (pageState.hasRetry) {
+            const clicked = await this.page.evaluate(({ timeline }) => {
+                const column = document.querySelector(timeline.column) || document.body;
+                const retryButton = Array.from(column.querySelectorAll('button, [role="button"]'))
+                    .find(button => !button.closest('article') && /^(retry|try again)$/i.test(button.textContent.trim()));
+                if (retryButton) {
+                    retryButton.click();
+                }
+                return !!retryButton;
+            }, await this.getSelectors()).catch(() => false);
+            console.log(clicked ? 'Clicked the Retry button' : 'Retry button disappeared before it could be clicked');
+            await this.page.waitForTimeout(2000);
+        }
+        return true;
+    }
+
+    // ETA is extrapolated from the collection rate of this run so far
+    getExtractionProgress(found, target, scrollAttempt, maxScrollAttempts, startedAt, startCount) {
+        const elapsedSeconds = (Date.now() - startedAt) / 1000;
+        const rate = (found - startCount) / elapsedSeconds;
+        return {
+            found,
+            target,
+            scrollAttempt,
+            maxScrollAttempts,
+            elapsedSeconds: Math.round(elapsedSeconds),
+            etaSeconds: rate > 0 ? Math.round((target - found) / rate) : null
+        };
+    }
+
+    // Start a new session, or reopen the session of the checkpoint being resumed
+    async openScrapingSession(type, target, source, options = {}) {
+        if (options.resumeCheckpoint) {
+            return await this.db.reopenScrapingSession(options.resumeCheckpoint.session_id, source);
+        }
+        return await this.db.startScrapingSession(type, target, source, null, this.activeAccount);
+    }
+
+    // input is what the caller passed as the target when it differs from the stored target, e.g. a search spec
+    createCheckpoint(sessionId, source, type, target, limit, options = {}, input = target) {
+        if (options.resumeCheckpoint) {
+            return options.resumeCheckpoint;
+        }
+
+        return {
+            session_id: sessionId,
+            source,
+            type,
+            target,
+            input,
+            limit,
+            options: {
+                account: this.activeAccount,
+                downloadMedia: options.downloadMedia,
+                incremental: options.incremental
+            },
+            tweets: [],
+            scroll: null,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    // Save the tweets of a scrape in one batch, a failed write fails them all
+    async saveScrapedTweets(tweets, sessionId, source) {
+        const results = {
+            total: tweets.length,
+            success: 0,
+            failed: 0,
+            shared: null,
+            savedTweets: []
+        };
+
+        // success and failed count local storage, which always gets the tweets. MongoDB is reported in
+        // shared so tweets that were saved locally don't count as failed when sharing them did.
+        try {
+            const saved = await this.db.saveTweetsToStores(tweets, sessionId, source);
+            if (!saved.local.error) {
+                results.success = saved.local.saved;
+                results.savedTweets = saved.tweets.map(tweet => tweet.url);
+            }
+            if (saved.shared) {
+                results.shared = {
+                    success: saved.shared.saved,
+                    failed: results.total - saved.shared.saved,
+                    error: saved.shared.error ? saved.shared.error.message : null
+                };
+            }
+        } catch (error) {
+            console.error('Failed to save tweets:', error.message);
+        }
+        results.failed = results.total - results.success;
+        console.log(`Saved ${results.success} of ${results.total} tweets`);
+        if (results.shared) {
+            console.log(`Shared ${results.shared.success} of ${results.total} tweets to MongoDB`);
+        }
+        return results;
+    }
+
+    async saveCheckpoint(checkpoint, uniqueTweets, scrollAttempts) {
+        try {
+            // The page may already be gone when checkpointing after a crash
+            const scrollY = await this.page.evaluate('window.pageYOffset').catch(() => checkpoint.scroll?.scrollY || 0);
+            checkpoint.tweets = Array.from(uniqueTweets.values());
+            checkpoint.scroll = { scrollY, scrollAttempts };
+            await this.checkpointStore.save(checkpoint.session_id, checkpoint);
+            console.log(`Checkpoint saved: ${checkpoint.tweets.length} tweets, scroll position ${scrollY}`);
+        } catch (error) {
+            console.error('Failed to save checkpoint:', error.message);
+        }
+    }
+
+    // Scroll quickly back to where the interrupted scrape was, the timeline only loads as it is scrolled
+    async restoreScrollPosition(scrollY) {
+        let lastHeight = 0;
+        for (let attempt = 0; attempt < 200; attempt++) {
+            const position = await this.page.evaluate('window.pageYOffset');
+            const height = await this.page.evaluate('document.documentElement.scrollHeight');
+            if (position >= scrollY || (height === lastHeight && attempt > 0)) {
+                break;
+            }
+            lastHeight = height;
+            await this.page.evaluate(() => window.scrollBy(0, 2000));
+            await this.page.waitForTimeout(700);
+        }
+        console.log('Restored scroll position for resumed scrape');
+    }
+
+    async resumeSession(sessionId, options = {}) {
+        const checkpoint = await this.checkpointStore.load(sessionId);
+        if (!checkpoint) {
+            throw new Error(`No checkpoint found for session ${sessionId}`);
+        }
+
+        console.log(`\n=== Resuming ${checkpoint.type} session ${sessionId} with ${checkpoint.tweets.length} tweets ===`);
+        const resumeOptions = { ...checkpoint.options, ...options, resumeCheckpoint: checkpoint };
+
+        switch (checkpoint.type) {
+            case 'profile':
+                return await this.scrapeProfile(checkpoint.target, checkpoint.limit, checkpoint.source, resumeOptions);
+            case 'search':
+                return await this.scrapeTweets(checkpoint.input, checkpoint.limit, checkpoint.source, resumeOptions);
+            case 'home':
+                return await this.scrapeHomeTimeline(checkpoint.limit, checkpoint.source, resumeOptions);
+            case 'thread':
+                return await this.scrapeThread(checkpoint.target, checkpoint.limit, checkpoint.source, resumeOptions);
+            case 'bookmarks':
+                return await this.scrapeBookmarks(checkpoint.limit, checkpoint.source, resumeOptions);
+            case 'likes':
+                return await this.scrapeLikes(checkpoint.target, checkpoint.limit, checkpoint.source, resumeOptions);
+            case 'list':
+                return await this.scrapeList(checkpoint.target, checkpoint.limit, checkpoint.source, resumeOptions);
+            default:
+                throw new Error(`Sessions of type ${checkpoint.type} cannot be resumed`);
+        }
+    }
+
+    // Close the session of a finished scrape and return its status. A cancelled or successful scrape
+    // drops its temp data and checkpoint, an incomplete one keeps them for recovery. An incremental
+    // scrape (knownTweetId set) that found nothing new still completed normally.
+    async finishSession(sessionId, results, source, options = {}, knownTweetId = null) {
+        const isSuccessful = results.success > 0 || (!!knownTweetId && results.failed === 0);
+        const status = options.job?.cancelled ? 'cancelled' : (isSuccessful ? 'completed' : 'incomplete');
+
+        if (status === 'cancelled') {
+            console.log('Scrape was cancelled, keeping the partial results');
+            await this.tempStorage.deleteTempData(sessionId);
+            await this.checkpointStore.remove(sessionId);
+        } else if (isSuccessful) {
+            console.log('Scraping completed successfully, cleaning up temp file');
+            await this.tempStorage.deleteTempData(sessionId);
+            await this.checkpointStore.remove(sessionId);
+        } else {
+            console.log('Scraping had issues, keeping temp file for recovery');
+        }
+        await this.db.completeScrapingSession(sessionId, results.success, status, source);
+        return status;
+    }
+
+    // The job was cancelled while waiting for request budget, so nothing was opened or scraped.
+    // A resumed session keeps its checkpoint so it can be resumed again.
+    async cancelBeforeStart(sessionId, source, result) {
+        console.log('Scrape was cancelled before it started');
+        await this.db.completeScrapingSession(sessionId, 0, 'cancelled', source);
+        return { sessionId, ...result, status: 'cancelled' };
+    }
+
+    // Pinned tweets and retweets show old ids at the top of a timeline, so they never count as known
+    isKnownTweet(tweet, knownTweetId) {
+        if (tweet.is_pinned || tweet.is_retweet || !/^\d+$/.test(tweet.tweet_id || '')) {
+            return false;
+        }
+        return BigInt(tweet.tweet_id) <= BigInt(knownTweetId);
+    }
+
+    // Look up where the last scrape of this target stopped when incremental mode is on
+    async getKnownTweetId(type, target, options = {}) {
+        if (!options.incremental) {
+            return null;
+        }
+
+        const cursor = await this.db.getScrapeCursor(type, target);
+        if (cursor) {
+            console.log(`Incremental mode: collecting tweets newer than ${cursor.newest_tweet_id} (${cursor.newest_timestamp})`);
+            return cursor.newest_tweet_id;
+        }
+        console.log('Incremental mode: no earlier scrape of this target, collecting from the top');
+        return null;
+    }
+
+    // Download tweet media next to the session file when enabled for this scrape or in the config
+    async downloadMedia(tweets, sessionId, source, options = {}) {
+        const enabled = options.downloadMedia ?? config.scraper.downloadMedia;
+        if (!enabled) {
+            return;
+        }
+
+        console.log('\n=== Downloading Media ===');
+        const mediaDir = this.db.getSessionMediaDir(sessionId, source);
+        for (const tweet of tweets) {
+            await this.mediaDownloader.downloadTweetMedia(tweet, mediaDir);
+        }
+    }
+
+    // Prefer tweets captured from GraphQL responses, reading the DOM when none were captured
+    async collectVisibleTweets() {
+        if (this.extractionMode === 'graphql') {
+            const captured = this.graphqlCapture.drain();
+            if (this.graphqlCapture.hasCapturedTweets()) {
+                return captured;
+            }
+            console.log('No tweets captured from GraphQL responses yet, falling back to DOM extraction');
+        }
+
+        return await this.extractTweetsFromDom();
+    }
+
+    async extractTweetsFromDom() {
+        const tweets = await this.page.evaluate(({ tweet: selectors }) => {
+            const getHandleFromUrl = (url) => {
+                try {
+                    return new URL(url, window.location.origin).pathname.split('/')[1] || '';
+                } catch (error) {
+                    return '';
+                }
+            };
+
+            const tweets = Array.from(document.querySelectorAll(selectors.article)).map(tweet => {
+                // A quoted tweet renders as a nested link card with its own User-Name block
+                const quoteElement = Array.from(tweet.querySelectorAll(selectors.quoteCard))
+                    .find(element => element.querySelector(selectors.userName)) || null;
+                const ownElements = (selector) => Array.from(tweet.querySelectorAll(selector))
+                    .filter(element => !quoteElement || !quoteElement.contains(element));
+                const ownElement = (selector) => ownElements(selector)[0] || null;
+
+                // Extract tweet URL and ID first - the permalink is the link wrapping the tweet's own timestamp
+                const linkElement = ownElement(selectors.permalinkTime)?.closest('a') ||
+                    ownElement(selectors.permalink);
+                const tweetUrl = linkElement ? linkElement.href : '';
+                const tweetId = tweetUrl.match(/\/status\/(\d+)/)?.[1] || null;
+
+                if (!tweetId) return null; // Skip invalid tweets
+
+                // Extract user information, the handle comes from the permalink so it is always the author
+                const userElement = ownElement(selectors.userName);
+                const user = userElement ? {
+                    name: userElement.querySelector('span')?.textContent || '',
+                    handle: getHandleFromUrl(tweetUrl)
+                } : null;
+
+                // Extract timestamp
+                const timeElement = linkElement.querySelector('time') || ownElement('time');
+                const timestamp = timeElement ? timeElement.getAttribute('datetime') : '';
+
+                // Extract tweet content
+                const contentElement = ownElement(selectors.text);
+                const content = contentElement ? contentElement.textContent : '';
+
+                // Retweets carry a "reposted" social context linking to the retweeter
+                const socialContext = tweet.querySelector(selectors.socialContext);
+                const socialLink = socialContext?.closest('a');
+                const isRetweet = !!socialLink && /reposted|retweeted/i.test(socialContext.textContent);
+                const isPinned = !!socialContext && /^pinned$/i.test(socialContext.textContent.trim());
+
+                // Replies show a "Replying to @handle" line above the text
+                const replyContext = ownElements('div')
+                    .filter(element => element.textContent.trim().startsWith('Replying to'))
+                    .pop();
+                const replyLink = replyContext?.querySelector('a[href^="/"]');
+
+                // The quote card has no permalink, so only its author, time and text are available
+                let quotedTweet = null;
+                if (quoteElement) {
+                    const quoteUserElement = quoteElement.querySelector(selectors.userName);
+                    const quoteHandle = Array.from(quoteUserElement.querySelectorAll('span'))
+                        .map(span => span.textContent.trim())
+                        .find(text => text.startsWith('@'));
+                    quotedTweet = {
+                        tweet_id: null,
+                        user: {
+                            name: quoteUserElement.querySelector('span')?.textContent || '',
+                            handle: quoteHandle ? quoteHandle.slice(1) : ''
+                        },
+                        timestamp: quoteElement.querySelector('time')?.getAttribute('datetime') || '',
+                        content: quoteElement.querySelector(selectors.text)?.textContent || '',
+                        url: null
+                    };
+                }
+
+                // Hashtags, cashtags, mentions and links render as anchors inside the tweet text
+                const entities = { hashtags: [], mentions: [], cashtags: [], urls: [] };
+                (contentElement ? Array.from(contentElement.querySelectorAll('a[href]')) : []).forEach(link => {
+                    const href = link.getAttribute('href');
+                    const text = link.textContent.trim();
+                    if (href.startsWith('/hashtag/')) {
+                        entities.hashtags.push(text);
+                    } else if (href.startsWith('/search?') && text.startsWith('$')) {
+                        entities.cashtags.push(text);
+                    } else if (href.startsWith('/') && text.startsWith('@')) {
+                        entities.mentions.push(text);
+                    } else if (/^https?:\/\//.test(href)) {
+                        // The link text holds the expanded URL, partly hidden and cut short with an ellipsis
+                        const expanded = text.replace(/…$/, '');
+                        entities.urls.push({
+                            url: href,
+                            expanded_url: /^https?:\/\//.test(expanded) ? expanded : href
+                        });
+                    }
+                });
+
+                // Polls only show each option's share of the votes, exact counts come from GraphQL
+                const pollElement = ownElement(selectors.poll);
+                let poll = null;
+                if (pollElement) {
+                    const footer = pollElement.textContent;
+                    poll = {
+                        options: Array.from(pollElement.querySelectorAll(selectors.pollOption)).map(option => {
+                            const text = option.textContent.trim();
+                            const percentage = text.match(/([\d.]+)%$/);
+                            return {
+                                label: percentage ? text.slice(0, percentage.index).trim() : text,
+                                votes: null,
+                                percentage: percentage ? parseFloat(percentage[1]) : null
+                            };
+                        }),
+                        total_votes: footer.match(/([\d.,]+[KM]?)\s+votes?/i)?.[1] || null,
+                        state: /final results/i.test(footer) ? 'closed' : 'open',
+                        ends_at: null,
+                        duration_minutes: null
+                    };
+                }
+
+                // Link preview cards, a poll renders inside the same card wrapper
+                const cardElement = pollElement ? null : ownElement(selectors.card);
+                let card = null;
+                if (cardElement) {
+                    const cardLink = cardElement.querySelector('a[href]');
+                    const texts = [...new Set(Array.from(cardElement.querySelector(selectors.cardDetail)?.querySelectorAll('span') || [])
+                        .map(span => span.textContent.trim().replace(/^From /, ''))
+                        .filter(Boolean))];
+                    const domain = texts.find(text => /^[\w-]+(\.[\w-]+)+$/.test(text)) || null;
+                    const [title = null, description = null] = texts.filter(text => text !== domain);
+                    card = {
+                        type: 'link',
+                        title,
+                        description,
+                        domain,
+                        url: cardLink ? cardLink.href : null,
+                        expanded_url: null,
+                        image_url: cardElement.querySelector('img')?.src || null
+                    };
+                }
+
+                // Community Notes shown under a tweet are the ones currently rated helpful
+                const noteElement = ownElement(selectors.communityNote);
+                let communityNote = null;
+                if (noteElement) {
+                    const noteLink = noteElement.querySelector('a[href*="/birdwatch/"]');
+                    communityNote = {
+                        note_id: noteLink?.href.match(/\/n\/(\d+)/)?.[1] || null,
+                        text: noteElement.innerText.split('\n')
+                            .map(line => line.trim())
+                            .filter(line => line && !/^(readers added context|do you find this helpful|rate it|context is written by)/i.test(line))
+                            .join('\n'),
+                        status: 'currently_rated_helpful',
+                        url: noteLink ? noteLink.href : null
+                    };
+                }
+
+                // Extract media
+                const media = [];
+                ownElements(selectors.photo).forEach(img => {
+                    media.push({
+                        type: 'photo',
+                        url: img.src.replace(/name=[a-z0-9]+/i, 'name=orig'),
+                        preview_url: img.src,
+                        alt_text: img.alt && img.alt !== 'Image' ? img.alt : null,
+                        width: img.naturalWidth || null,
+                        height: img.naturalHeight || null,
+                        duration_ms: null
+                    });
+                });
+                ownElements(selectors.video).forEach(video => {
+                    const source = video.querySelector('source');
+                    const isGif = !!video.closest(selectors.gif) || (video.src || '').includes('/tweet_video/');
+                    media.push({
+                        type: isGif ? 'gif' : 'video',
+                        url: source?.src || video.src || null,
+                        preview_url: video.poster || null,
+                        alt_text: video.getAttribute('aria-label') || null,
+                        width: video.videoWidth || null,
+                        height: video.videoHeight || null,
+                        duration_ms: video.duration ? Math.round(video.duration * 1000) : null
+                    });
+                });
+
+                // Extract metrics
+                const metrics = {};
+                ['replies', 'retweets', 'likes', 'views'].forEach(metricName => {
+                    const element = tweet.querySelector(selectors[metricName]);
+                    const rawValue = element ? element.textContent.trim() : '0';
+                    let value = rawValue.toLowerCase();
+                    if (value.endsWith('k')) {
+                        value = parseFloat(value.slice(0, -1)) * 1000;
+                    } else if (value.endsWith('m')) {
+                        value = parseFloat(value.slice(0, -1)) * 1000000;
+                    } else if (value.endsWith('b')) {
+                        value = parseFloat(value.slice(0, -1)) * 1000000000;
+                    } else {
+                        value = parseInt(value.replace(/[^0-9]/g, '')) || 0;
+                    }
+                    metrics[metricName] = value;
+                });
+
+                return {
+                    tweet_id: tweetId,
+                    user,
+                    timestamp,
+                    content,
+                    metrics,
+                    media,
+                    entities,
+                    poll,
+                    card,
+                    community_note: communityNote,
+                    is_retweet: isRetweet,
+                    is_pinned: isPinned,
+                    retweeted_by: isRetweet ? getHandleFromUrl(socialLink.href) : null,
+                    quoted_tweet: quotedTweet,
+                    in_reply_to_tweet_id: null,
+                    in_reply_to_handle: replyLink ? getHandleFromUrl(replyLink.href) : null,
+                    lang: contentElement ? contentElement.getAttribute('lang') : null,
+                    url: tweetUrl,
+                    saved_at: new Date().toISOString()
+                };
+            }).filter(tweet => tweet !== null); // Remove invalid tweets
+
+            // The DOM has no parent ids, but a conversation page renders the ancestors of the focal
+            // tweet above it as one chain and its replies below it. A reply continues the branch right
+            // above it when it answers that tweet's author or the author replies to themselves, any
+            // other reply answers the focal tweet.
+            const [, focalHandle, , focalId] = window.location.pathname.split('/');
+            if (/^\d+$/.test(focalId || '')) {
+                const focalIndex = tweets.findIndex(tweet => tweet.tweet_id === focalId);
+                tweets.forEach((tweet, index) => {
+                    const previous = index > 0 ? tweets[index - 1] : null;
+                    let parent = null;
+                    if (focalIndex !== -1 && index <= focalIndex) {
+                        parent = previous;
+                    } else {
+                        const previousHandle = previous?.tweet_id !== focalId ? (previous?.user?.handle || '').toLowerCase() : '';
+                        const repliedTo = (tweet.in_reply_to_handle || tweet.user?.handle || '').toLowerCase();
+                        parent = previousHandle && previousHandle === repliedTo
+                            ? previous
+                            : { tweet_id: focalId, user: { handle: focalHandle } };
+                    }
+                    if (parent && parent.tweet_id !== tweet.tweet_id) {
+                        tweet.in_reply_to_tweet_id = parent.tweet_id;
+                        tweet.in_reply_to_handle = tweet.in_reply_to_handle || parent.user?.handle || null;
+                    }
+                });
+            }
+            return tweets;
+        }, await this.getSelectors());
+
+        return tweets.map(tweet => {
+            const entities = TweetEntities.normalize(tweet.entities);
+            return {
+                ...tweet,
+                entities,
+                poll: tweet.poll ? { ...tweet.poll, total_votes: tweet.poll.total_votes ? this.db.parseMetric(tweet.poll.total_votes) : null } : null,
+                // The card links to the same t.co URL as the tweet text, which carries the expanded URL
+                card: tweet.card ? { ...tweet.card, expanded_url: entities.urls.find(url => url.url === tweet.card.url)?.expanded_url || null } : null
+            };
+        });
+    }
+
+    async extractUsers(targetCount, maxScrollAttempts = 200, job = null) {
+        try {
+            const uniqueUsers = new Map();
+            let scrollAttempts = 0;
+            let noNewUsersCount = 0;
+            let throttleRetries = 0;
+
+            console.log(`Attempting to extract ${targetCount} users...`);
+
+            // Stop early once the list stops growing, short lists end long before the attempt limit
+            while (uniqueUsers.size < targetCount && scrollAttempts < maxScrollAttempts && noNewUsersCount < 5) {
+                if (!await this.rateLimiter.acquire(this.activeAccount, job)) {
+                    break;
+                }
+
+                const newUsers = await this.collectVisibleUsers();
+
+                let newUniqueCount = 0;
+                for (const user of newUsers) {
+                    if (!uniqueUsers.has(user.handle)) {
+                        uniqueUsers.set(user.handle, user);
+                        newUniqueCount++;
+                    }
+                }
+
+                if (newUniqueCount > 0) {
+                    this.graphqlCapture.takeThrottle();
+                    this.rateLimiter.reportSuccess(this.activeAccount);
+                    throttleRetries = 0;
+                } else {
+                    const pageState = await this.detectTimelineState();
+                    if (pageState.throttle && throttleRetries < config.rateLimit.maxRetries) {
+                        throttleRetries++;
+                        if (!await this.handleThrottle(pageState, throttleRetries, job)) {
+                            break;
+                        }
+                        continue;
+                    }
+                }
+
+                noNewUsersCount = newUniqueCount === 0 ? noNewUsersCount + 1 : 0;
+
+                if (job) {
+                    job.reportProgress({ found: uniqueUsers.size, target: targetCount, scrollAttempt: scrollAttempts + 1, maxScrollAttempts });
+                    if (job.cancelled) {
+                        console.log('Scrape job cancelled, stopping user extraction');
+                        break;
+                    }
+                }
+
+                if (uniqueUsers.size < targetCount) {
+                    const scrollAmount = Math.floor(Math.random() * 500) + 300;
+                    await this.page.evaluate((amount) => {
+                        window.scrollBy({
+                            top: amount,
+                            behavior: 'smooth'
+                        });
+                    }, scrollAmount);
+
+                    const delay = Math.floor(Math.random() * 2000) + 1500;
+                    await this.page.waitForTimeout(delay);
+                }
+
+                scrollAttempts++;
+                console.log(`Scroll attempt ${scrollAttempts}/${maxScrollAttempts}. Current users: ${uniqueUsers.size}/${targetCount}`);
+            }
+
+            const users = Array.from(uniqueUsers.values()).slice(0, targetCount);
+            console.log(`User extraction complete. Found ${users.length} users out of ${targetCount} requested`);
+            return users;
+        } catch (error) {
+            console.error('Error extracting users:', error);
             throw error;
         }
     }
 
+    async collectVisibleUsers() {
+        if (this.extractionMode === 'graphql') {
+            const captured = this.graphqlCapture.drainUsers();
+            if (this.graphqlCapture.hasCapturedUsers()) {
+                return captured;
+            }
+            console.log('No users captured from GraphQL responses yet, falling back to DOM extraction');
+        }
+
+        return await this.extractUsersFromDom();
+    }
+
+    async extractUsersFromDom() {
+        return await this.page.evaluate(({ userCell: selectors }) => {
+            return Array.from(document.querySelectorAll(selectors.cell)).map(cell => {
+                const profileLink = cell.querySelector(selectors.link);
+                const handle = profileLink ? profileLink.getAttribute('href').split('/')[1] : '';
+                if (!handle) return null;
+
+                const userNameElement = cell.querySelector(selectors.userName) || profileLink;
+                const name = userNameElement.querySelector('span')?.textContent || '';
+
+                // The bio is the only auto-direction text block outside the name and the follow button,
+                // the cell itself may be rendered as a button
+                const bioElement = Array.from(cell.querySelectorAll('div[dir="auto"]'))
+                    .filter(element => !userNameElement.contains(element) && [null, cell].includes(element.closest('button')))
+                    .pop();
+
+                return {
+                    user_id: null,
+                    handle,
+                    name,
+                    bio: bioElement ? bioElement.textContent.trim() : '',
+                    verified: !!cell.querySelector(selectors.verified),
+                    followers_count: null,
+                    following_count: null
+                };
+            }).filter(Boolean);
+        }, await this.getSelectors());
+    }
+
     async cleanup(isLogout = false) {
         try {
             console.log('Cleaning up browser resources...');
@@ -865,15 +2258,7 @@ class TwitterScraper {
                 }
             }
             
-            if (this.page) {
-                await this.page.close();
-                this.page = null;
-            }
-            
-            if (this.context) {
-                await this.context.close();
-                this.context = null;
-            }
+            await this.closeContext();
             
             if (this.browser) {
                 await this.browser.close();
@@ -891,6 +2276,7 @@ class TwitterScraper {
                     }
                 }
                 this.isLoggedIn = false;
+                this.accountStatus[this.activeAccount] = false;
             }
 
             console.log('Cleanup completed successfully');
@@ -938,7 +2324,7 @@ class TwitterScraper {
             console.log(`Total tweets to save: ${tweets.length}`);
             
             // Start a new scraping session
-            const sessionId = await this.db.startScrapingSession(type, target, source, publicKey);
+            const sessionId = await this.db.startScrapingSession(type, target, source, publicKey, this.activeAccount);
             console.log(`Created scraping session with ID: ${sessionId}`);
 
             // If this is a profile scrape, save the profile information first
@@ -957,33 +2343,19 @@ class TwitterScraper {
                 await this.db.saveProfile(profile);
             }
 
-            // Save each tweet
-            console.log('Starting to save individual tweets...');
-            let savedCount = 0;
-            let errorCount = 0;
-            
-            for (let i = 0; i < tweets.length; i++) {
-                const tweet = tweets[i];
-                try {
-                    console.log(`\nProcessing tweet ${i + 1}/${tweets.length}`);
-                    console.log(`URL: ${tweet.url}`);
-                    
-                    // For API requests with encryption, add encryption metadata
-                    if (source === 'api' && publicKey) {
-                        tweet.metadata = tweet.metadata || {};
-                        tweet.metadata.encrypted = true;
-                        tweet.metadata.encryptionDate = new Date().toISOString();
-                    }
-                    
-                    await this.db.saveTweet(tweet, sessionId,source);
-                    savedCount++;
-                    console.log(`Successfully saved tweet ${i + 1}`);
-                } catch (error) {
-                    errorCount++;
-                    console.error(`Failed to save tweet ${i + 1}:`, error.message);
+            // For API requests with encryption, add encryption metadata
+            if (source === 'api' && publicKey) {
+                for (const tweet of tweets) {
+                    tweet.metadata = tweet.metadata || {};
+                    tweet.metadata.encrypted = true;
+                    tweet.metadata.encryptionDate = new Date().toISOString();
                 }
             }
 
+            const results = await this.saveScrapedTweets(tweets, sessionId, source);
+            const savedCount = results.success;
+            const errorCount = results.failed;
+
             // Complete the scraping session
             const status = savedCount > 0 ? 'completed' : 'failed';
             console.log('\n=== Completing Storage Process ===');
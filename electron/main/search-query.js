@@ -0,0 +1,127 @@
+// X search tabs and the value of the f= URL parameter for each
+const SEARCH_TABS = {
+    latest: 'live',
+    top: 'top',
+    media: 'media'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SearchQuery {
+    // Accept either a raw X search string or a structured spec and return the compiled query and tab
+    static normalize(search) {
+        if (typeof search === 'string') {
+            const query = search.trim();
+            if (!query) {
+                throw new Error('Search query is empty');
+            }
+            return { query, tab: 'latest' };
+        }
+
+        if (!search || typeof search !== 'object') {
+            throw new Error('Search must be a query string or a search spec object');
+        }
+
+        const tab = search.tab || 'latest';
+        if (!SEARCH_TABS[tab]) {
+            throw new Error(`Unknown search tab "${tab}", expected one of: ${Object.keys(SEARCH_TABS).join(', ')}`);
+        }
+
+        return { query: SearchQuery.build(search), tab };
+    }
+
+    static build(spec) {
+        const parts = [];
+
+        if (spec.all_words) {
+            parts.push(...SearchQuery.toList(spec.all_words));
+        }
+        if (spec.exact_phrase) {
+            parts.push(`"${String(spec.exact_phrase).replace(/"/g, '')}"`);
+        }
+        if (spec.any_words) {
+            const words = SearchQuery.toList(spec.any_words);
+            parts.push(words.length > 1 ? `(${words.join(' OR ')})` : words[0]);
+        }
+        if (spec.none_words) {
+            parts.push(...SearchQuery.toList(spec.none_words).map(word => `-${word}`));
+        }
+        if (spec.hashtags) {
+            parts.push(...SearchQuery.toList(spec.hashtags).map(tag => `#${tag.replace(/^#/, '')}`));
+        }
+
+        // Several accounts in one field are OR'ed, like the advanced search form does
+        const accountOperator = (operator, value) => {
+            const handles = SearchQuery.toList(value).map(handle => `${operator}${handle.replace(/^@/, '')}`);
+            return handles.length > 1 ? `(${handles.join(' OR ')})` : handles[0];
+        };
+        if (spec.from) {
+            parts.push(accountOperator('from:', spec.from));
+        }
+        if (spec.to) {
+            parts.push(accountOperator('to:', spec.to));
+        }
+        if (spec.mentions) {
+            parts.push(accountOperator('@', spec.mentions));
+        }
+
+        for (const field of ['min_replies', 'min_likes', 'min_retweets']) {
+            if (spec[field] === undefined || spec[field] === null || spec[field] === '') {
+                continue;
+            }
+            const value = parseInt(spec[field]);
+            if (isNaN(value) || value < 0) {
+                throw new Error(`${field} must be a non-negative number`);
+            }
+            // X calls likes "faves" in its search operators
+            const operator = field === 'min_likes' ? 'min_faves' : field;
+            parts.push(`${operator}:${value}`);
+        }
+
+        if (spec.lang) {
+            parts.push(`lang:${spec.lang}`);
+        }
+
+        for (const field of ['since', 'until']) {
+            if (!spec[field]) {
+                continue;
+            }
+            if (!DATE_PATTERN.test(spec[field]) || isNaN(new Date(spec[field]).getTime())) {
+                throw new Error(`${field} must be a date in YYYY-MM-DD format`);
+            }
+            parts.push(`${field}:${spec[field]}`);
+        }
+
+        if (spec.filters) {
+            parts.push(...SearchQuery.toList(spec.filters).map(filter => `filter:${filter}`));
+        }
+        if (spec.exclude_filters) {
+            parts.push(...SearchQuery.toList(spec.exclude_filters).map(filter => `-filter:${filter}`));
+        }
+
+        // Operator keys such as "filter:media" or "-filter:replies" are passed through when set to true
+        for (const [key, value] of Object.entries(spec)) {
+            if (/^-?filter:\w+$/.test(key) && value === true) {
+                parts.push(key);
+            }
+        }
+
+        if (parts.length === 0) {
+            throw new Error('Search spec does not contain any search terms');
+        }
+
+        return parts.join(' ');
+    }
+
+    static toUrl(query, tab = 'latest') {
+        return `https://x.com/search?q=${encodeURIComponent(query)}&src=typed_query&f=${SEARCH_TABS[tab]}`;
+    }
+
+    // Fields accept an array or a comma/space separated string
+    static toList(value) {
+        const list = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+        return list.map(item => String(item).trim()).filter(Boolean);
+    }
+}
+
+module.exports = SearchQuery;
@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+
+// Bump the version whenever a default selector changes, so overrides written against an
+// older profile can be flagged
+const DEFAULT_PROFILE = {
+    version: 3,
+    selectors: {
+        timeline: {
+            column: 'div[data-testid="primaryColumn"]',
+            cell: 'div[data-testid="cellInnerDiv"]',
+            progress: '[role="progressbar"]'
+        },
+        tweet: {
+            article: 'article[data-testid="tweet"]',
+            userName: 'div[data-testid="User-Name"]',
+            quoteCard: 'div[role="link"]',
+            permalinkTime: 'a[href*="/status/"] time',
+            permalink: 'a[role="link"][href*="/status/"]',
+            text: 'div[data-testid="tweetText"]',
+            socialContext: 'span[data-testid="socialContext"]',
+            photo: 'div[data-testid="tweetPhoto"] img',
+            video: 'div[data-testid="videoPlayer"] video',
+            gif: 'div[data-testid="tweetGif"]',
+            replies: '[data-testid="reply"]',
+            retweets: '[data-testid="retweet"]',
+            likes: '[data-testid="like"]',
+            views: '[data-testid="analytics"]',
+            poll: 'div[data-testid="cardPoll"]',
+            pollOption: '[role="radio"], [role="listitem"]',
+            card: 'div[data-testid="card.wrapper"]',
+            cardDetail: '[data-testid="card.layoutSmall.detail"], [data-testid="card.layoutLarge.detail"]',
+            communityNote: 'div[data-testid="birdwatch-pivot"]'
+        },
+        profile: {
+            name: 'div[data-testid="primaryColumn"] h2[aria-level="1"]',
+            header: 'div[data-testid="UserName"]',
+            verified: 'svg[data-testid="icon-verified"]',
+            affiliation: 'a[href^="/"] img',
+            bio: 'div[data-testid="UserDescription"]',
+            location: 'span[data-testid="UserLocation"]',
+            website: 'a[data-testid="UserUrl"]',
+            joinDate: 'span[data-testid="UserJoinDate"]',
+            avatar: 'div[data-testid^="UserAvatar-Container"] img',
+            banner: 'a[href$="/header_photo"] img',
+            following: 'a[href*="/following"]',
+            followers: 'a[href*="/followers"], a[href*="/verified_followers"]',
+            tweetCount: 'div[data-testid="primaryColumn"] h2[aria-level="1"] ~ div, div[aria-label*="posts"], div[aria-label*="tweets"]'
+        },
+        userCell: {
+            cell: '[data-testid="UserCell"]',
+            link: 'a[href^="/"][role="link"]',
+            userName: 'div[data-testid="User-Name"]',
+            verified: 'svg[data-testid="icon-verified"]'
+        },
+        auth: {
+            loggedIn: [
+                '[data-testid="primaryColumn"]',
+                '[data-testid="tweetButtonInline"]',
+                '[data-testid="AppTabBar"]',
+                '[data-testid="SideNav_AccountSwitcher_Button"]'
+            ]
+        }
+    }
+};
+
+// Selectors that legitimately match nothing on an ordinary profile page
+const OPTIONAL_SELECTORS = [
+    'timeline.progress',
+    'tweet.quoteCard',
+    'tweet.socialContext',
+    'tweet.photo',
+    'tweet.video',
+    'tweet.gif',
+    'tweet.poll',
+    'tweet.pollOption',
+    'tweet.card',
+    'tweet.cardDetail',
+    'tweet.communityNote',
+    'profile.verified',
+    'profile.affiliation',
+    'profile.bio',
+    'profile.location',
+    'profile.website',
+    'profile.banner'
+];
+
+// The selectors the scraper runs in the page. Users can override any of them in a JSON file,
+// { "base_version": 1, "selectors": { "tweet": { "text": "..." } } }, which is re-read whenever
+// it changes so a fix for an X UI change does not need a new build.
+class SelectorProfile {
+    constructor(overrideFile) {
+        this.overrideFile = overrideFile;
+        this.cached = null;
+        this.cachedMtime = null;
+    }
+
+    async get() {
+        let mtime = null;
+        try {
+            mtime = (await fs.stat(this.overrideFile)).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading selector overrides:', error);
+            }
+        }
+
+        if (this.cached && this.cachedMtime === mtime) {
+            return this.cached;
+        }
+
+        this.cached = await this.load(mtime !== null);
+        this.cachedMtime = mtime;
+        return this.cached;
+    }
+
+    async load(hasOverrides) {
+        const profile = {
+            version: DEFAULT_PROFILE.version,
+            source: 'default',
+            overrides: [],
+            selectors: JSON.parse(JSON.stringify(DEFAULT_PROFILE.selectors))
+        };
+        if (!hasOverrides) {
+            return profile;
+        }
+
+        try {
+            const overrides = JSON.parse(await fs.readFile(this.overrideFile, 'utf8'));
+            if (overrides.base_version && overrides.base_version < DEFAULT_PROFILE.version) {
+                console.warn(`Selector overrides were written for profile version ${overrides.base_version}, the built-in profile is version ${DEFAULT_PROFILE.version}`);
+            }
+
+            for (const [section, values] of Object.entries(overrides.selectors || {})) {
+                if (!profile.selectors[section]) {
+                    console.warn(`Ignoring unknown selector section "${section}"`);
+                    continue;
+                }
+                for (const [key, selector] of Object.entries(values)) {
+                    if (!(key in profile.selectors[section])) {
+                        console.warn(`Ignoring unknown selector "${section}.${key}"`);
+                        continue;
+                    }
+                    profile.selectors[section][key] = selector;
+                    profile.overrides.push(`${section}.${key}`);
+                }
+            }
+
+            profile.source = 'override';
+            profile.base_version = overrides.base_version || null;
+            console.log(`Loaded ${profile.overrides.length} selector overrides from ${this.overrideFile}`);
+        } catch (error) {
+            // A broken override file must not stop scraping, fall back to the defaults
+            console.error(`Invalid selector override file ${this.overrideFile}, using defaults:`, error.message);
+        }
+        return profile;
+    }
+
+    // { 'tweet.text': 'div[...]', ... } for the sections a health check runs on a profile page
+    static flatten(selectors, sections = ['timeline', 'tweet', 'profile']) {
+        const flat = {};
+        for (const section of sections) {
+            for (const [key, selector] of Object.entries(selectors[section] || {})) {
+                flat[`${section}.${key}`] = Array.isArray(selector) ? selector.join(', ') : selector;
+            }
+        }
+        return flat;
+    }
+
+    static isOptional(key) {
+        return OPTIONAL_SELECTORS.includes(key);
+    }
+}
+
+SelectorProfile.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
+module.exports = SelectorProfile;
@@ -0,0 +1,819 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const StorageAdapter = require('./storage-adapter');
+const JsonStorageAdapter = require('./json-storage-adapter');
+const TweetEntities = require('./tweet-entities');
+const TweetSearch = require('./tweet-search');
+
+const SCHEMA_VERSION = 2;
+
+// Local storage in one SQLite file. Tweets, follow users and profiles keep the exact records the
+// session JSON files held in a data column, the columns next to it only exist to be indexed. A tweet
+// is one row however many sessions saw it, tweet_sessions links it to those sessions.
+// The metric snapshot log, scrape cursors and profile snapshots stay in the side files of the
+// JSON adapter, which this one extends for them.
+class SqliteStorageAdapter extends JsonStorageAdapter {
+    constructor(options) {
+        super(options);
+        this.dbPath = options.dbPath || path.join(this.dataDir, 'scrapenet.db');
+        this.db = new Database(this.dbPath);
+        // The app shares one connection, WAL still lets the debug and test scripts read while it writes
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.createSchema();
+        console.log('Opened SQLite store:', this.dbPath);
+    }
+
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `);
+        const version = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('schema_version');
+        const upgradeFrom = version ? parseInt(version.value) : SCHEMA_VERSION;
+        if (upgradeFrom < 2) {
+            this.renameSightingTables();
+        }
+
+        this.db.exec(`
+
+            CREATE TABLE IF NOT EXISTS sessions (
+                session_id TEXT PRIMARY KEY,
+                source TEXT NOT NULL DEFAULT 'app',
+                scrape_type TEXT NOT NULL DEFAULT 'twitter',
+                target TEXT,
+                account TEXT,
+                encrypted INTEGER NOT NULL DEFAULT 0,
+                status TEXT,
+                relation TEXT,
+                tweets_found INTEGER,
+                profile TEXT,
+                started_at TEXT,
+                resumed_at TEXT,
+                completed_at TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_sessions_source_started ON sessions (source, started_at);
+            CREATE INDEX IF NOT EXISTS idx_sessions_type_target ON sessions (scrape_type, target);
+
+            -- The latest record of each tweet. session_id is the session that saved it last, created_at
+            -- when it was first saved.
+            CREATE TABLE IF NOT EXISTS tweets (
+                tweet_id TEXT PRIMARY KEY,
+                session_id TEXT,
+                user_handle TEXT COLLATE NOCASE,
+                timestamp TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_tweets_handle_timestamp ON tweets (user_handle, timestamp);
+            CREATE INDEX IF NOT EXISTS idx_tweets_timestamp ON tweets (timestamp);
+
+            -- Every session that saw a tweet, in the order they saved it
+            CREATE TABLE IF NOT EXISTS tweet_sessions (
+                tweet_id TEXT NOT NULL,
+                session_id TEXT NOT NULL,
+                saved_at TEXT NOT NULL,
+                PRIMARY KEY (tweet_id, session_id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_tweet_sessions_session ON tweet_sessions (session_id, saved_at);
+
+            CREATE TABLE IF NOT EXISTS tweet_entities (
+                type TEXT NOT NULL,
+                value TEXT NOT NULL,
+                tweet_id TEXT NOT NULL,
+                PRIMARY KEY (type, value, tweet_id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_tweet_entities_tweet ON tweet_entities (tweet_id);
+
+            -- One row per tweet however many sessions saw it, tokenized like TweetSearch.tokenize
+            CREATE VIRTUAL TABLE IF NOT EXISTS tweet_search USING fts5(
+                tweet_id UNINDEXED,
+                timestamp UNINDEXED,
+                content,
+                author,
+                entities,
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+
+            CREATE TABLE IF NOT EXISTS follow_users (
+                session_id TEXT NOT NULL,
+                handle TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (session_id, handle)
+            );
+
+            CREATE TABLE IF NOT EXISTS profiles (
+                handle_key TEXT PRIMARY KEY,
+                handle TEXT NOT NULL,
+                session_id TEXT,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS auto_scraping_profiles (
+                type TEXT NOT NULL,
+                target_key TEXT NOT NULL,
+                target TEXT NOT NULL,
+                account TEXT,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                last_scraped_at TEXT,
+                PRIMARY KEY (type, target_key)
+            );
+        `);
+
+        if (upgradeFrom < 2) {
+            this.mergeSightingTables();
+        }
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+            .run('schema_version', String(SCHEMA_VERSION));
+    }
+
+    // Version 1 kept a row per sighting, with the whole tweet in each. Its tables are moved aside
+    // before the new ones are created and merged into them after.
+    renameSightingTables() {
+        const hasTable = name => !!this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+        if (!hasTable('tweets')) {
+            return;
+        }
+        this.db.exec(`
+            DROP INDEX IF EXISTS idx_tweets_tweet_id;
+            DROP INDEX IF EXISTS idx_tweets_handle_timestamp;
+            DROP INDEX IF EXISTS idx_tweets_timestamp;
+            DROP INDEX IF EXISTS idx_tweet_entities_tweet;
+            ALTER TABLE tweets RENAME TO tweet_sightings_v1;
+            DROP TABLE IF EXISTS tweet_entities;
+        `);
+    }
+
+    mergeSightingTables() {
+        if (!this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'tweet_sightings_v1'").get()) {
+            return;
+        }
+
+        const merged = this.db.transaction(() => {
+            const rows = this.db.prepare('SELECT session_id, data FROM tweet_sightings_v1 ORDER BY saved_at, rowid').all();
+            for (const row of rows) {
+                this.writeTweet(JSON.parse(row.data), row.session_id, { search: false });
+            }
+            this.db.exec('DROP TABLE tweet_sightings_v1');
+            // The search rows were written from the first sighting, rebuild them from the merged tweets
+            this.db.prepare('DELETE FROM meta WHERE key = ?').run('search_indexed');
+            return rows.length;
+        })();
+        console.log(`Merged ${merged} stored tweet sightings into one row per tweet`);
+    }
+
+    // Session files written before the SQLite store are imported once
+    async initialize() {
+        await this.removeStaleFiles();
+        this.indexTweetSearch();
+        this.importJsonFiles();
+        return true;
+    }
+
+    async close() {
+        if (this.db.open) {
+            this.db.close();
+        }
+    }
+
+    // Sessions
+
+    async createSession(session) {
+        const sessionId = session.session_id || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const now = new Date().toISOString();
+        this.writeSession({
+            session_id: sessionId,
+            scrape_type: session.scrape_type,
+            target: session.target,
+            account: session.account,
+            encrypted: session.encrypted,
+            status: session.status || 'in_progress',
+            started_at: StorageAdapter.toDate(session.started_at)?.toISOString() || now,
+            created_at: now,
+            updated_at: now
+        }, session.source || 'app');
+        return String(sessionId);
+    }
+
+    async updateSession(sessionId, fields) {
+        const values = {};
+        for (const [field, value] of Object.entries(fields)) {
+            values[field] = value instanceof Date ? value.toISOString() : value;
+        }
+        return this.writeSessionFields(sessionId, values);
+    }
+
+    async getSession(sessionId) {
+        const row = this.db.prepare('SELECT * FROM sessions WHERE session_id = ?').get(String(sessionId));
+        return row ? StorageAdapter.toSessionView(this.toSessionData(row, [], [])) : null;
+    }
+
+    // Sessions of a source, or of all sources when source is null, with their tweets
+    async listSessions(source = 'app') {
+        const where = source ? 'WHERE sessions.source = ?' : '';
+        const params = source ? [source] : [];
+        const rows = this.db.prepare(`SELECT * FROM sessions ${where} ORDER BY started_at DESC`).all(...params);
+        const tweetsBySession = new Map(rows.map(row => [row.session_id, []]));
+
+        const tweets = this.db.prepare(`
+            SELECT tweet_sessions.session_id, tweets.data, tweets.created_at FROM tweet_sessions
+            JOIN tweets ON tweets.tweet_id = tweet_sessions.tweet_id
+            JOIN sessions ON sessions.session_id = tweet_sessions.session_id
+            ${where}
+            ORDER BY tweet_sessions.saved_at, tweet_sessions.rowid
+        `).all(...params);
+        for (const tweet of tweets) {
+            tweetsBySession.get(tweet.session_id)?.push(SqliteStorageAdapter.toTweetView(tweet, tweet.session_id));
+        }
+
+        return rows.map(row => ({
+            ...StorageAdapter.toSessionView(this.toSessionData(row, [], [])),
+            tweets: tweetsBySession.get(row.session_id)
+        }));
+    }
+
+    async deleteSession(sessionId) {
+        const id = String(sessionId);
+        return this.db.transaction(() => {
+            // Tweets other sessions saw too stay with those sessions
+            this.db.prepare('DELETE FROM tweet_sessions WHERE session_id = ?').run(id);
+            this.db.prepare(`
+                UPDATE tweets SET session_id = (
+                    SELECT session_id FROM tweet_sessions WHERE tweet_sessions.tweet_id = tweets.tweet_id
+                    ORDER BY saved_at DESC, rowid DESC LIMIT 1
+                )
+                WHERE session_id = ?
+            `).run(id);
+            this.db.exec(`
+                DELETE FROM tweets WHERE tweet_id NOT IN (SELECT tweet_id FROM tweet_sessions);
+                DELETE FROM tweet_entities WHERE tweet_id NOT IN (SELECT tweet_id FROM tweets);
+                DELETE FROM tweet_search WHERE tweet_id NOT IN (SELECT tweet_id FROM tweets);
+            `);
+            this.db.prepare('DELETE FROM follow_users WHERE session_id = ?').run(id);
+            return this.db.prepare('DELETE FROM sessions WHERE session_id = ?').run(id).changes > 0;
+        })();
+    }
+
+    async deleteAllSessions() {
+        this.db.transaction(() => {
+            this.db.exec(`
+                DELETE FROM tweet_entities; DELETE FROM tweet_search; DELETE FROM tweet_sessions; DELETE FROM tweets;
+                DELETE FROM follow_users; DELETE FROM sessions;
+            `);
+        })();
+    }
+
+    // Tweets
+
+    async saveTweets(records, sessionId, source = 'app') {
+        await this.appendMetricSnapshots(records);
+        this.writeTweets(records, sessionId, source);
+    }
+
+    async getSessionTweets(sessionId) {
+        const id = String(sessionId);
+        if (!this.db.prepare('SELECT 1 FROM sessions WHERE session_id = ?').get(id)) {
+            return null;
+        }
+        return this.db.prepare(`
+            SELECT tweets.data, tweets.created_at FROM tweet_sessions
+            JOIN tweets ON tweets.tweet_id = tweet_sessions.tweet_id
+            WHERE tweet_sessions.session_id = ?
+            ORDER BY tweet_sessions.saved_at, tweet_sessions.rowid
+        `).all(id).map(row => SqliteStorageAdapter.toTweetView(row, id));
+    }
+
+    async listTweets(options = {}) {
+        const source = options.source === undefined ? 'app' : options.source;
+        const params = source ? [source] : [];
+
+        const tweetIds = this.db.prepare(`
+            SELECT tweet_id FROM tweets
+            ${source ? `WHERE tweet_id IN (
+                SELECT tweet_sessions.tweet_id FROM tweet_sessions
+                JOIN sessions ON sessions.session_id = tweet_sessions.session_id
+                WHERE sessions.source = ?
+            )` : ''}
+            ORDER BY timestamp DESC
+            LIMIT ?
+        `).all(...params, options.limit || -1).map(row => row.tweet_id);
+
+        return this.getUniqueTweets(tweetIds, source);
+    }
+
+    // Tweets are read for the session that saved them last
+    async findTweetsByEntity(type, value, limit = 100) {
+        return this.db.prepare(`
+            SELECT tweets.session_id, tweets.data, tweets.created_at FROM tweet_entities
+            JOIN tweets ON tweets.tweet_id = tweet_entities.tweet_id
+            WHERE tweet_entities.type = ? AND tweet_entities.value = ?
+            ORDER BY tweets.timestamp DESC
+            LIMIT ?
+        `).all(type, value, limit).map(row => SqliteStorageAdapter.toTweetView(row, row.session_id));
+    }
+
+    async findTweetsByHandle(handle, options = {}) {
+        const conditions = ['user_handle = ?'];
+        const params = [String(handle).replace(/^@/, '')];
+        if (options.since) {
+            conditions.push('timestamp >= ?');
+            params.push(SqliteStorageAdapter.toIsoString(options.since));
+        }
+        if (options.until) {
+            conditions.push('timestamp <= ?');
+            params.push(SqliteStorageAdapter.toIsoString(options.until));
+        }
+
+        return this.db.prepare(`
+            SELECT session_id, data, created_at FROM tweets
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY timestamp DESC
+            LIMIT ?
+        `).all(...params, options.limit || 100).map(row => SqliteStorageAdapter.toTweetView(row, row.session_id));
+    }
+
+    // FTS5 finds and ranks the tweets, the views are the ones listTweets returns
+    async searchTweets(query, options = {}) {
+        const search = TweetSearch.parse(query);
+        const { since, until, limit, sort } = TweetSearch.normalizeOptions(options);
+        const conditions = ['tweet_search MATCH ?'];
+        const params = [TweetSearch.toFtsQuery(search)];
+        if (since) {
+            conditions.push('timestamp >= ?');
+            params.push(SqliteStorageAdapter.toIsoString(since));
+        }
+        if (until) {
+            conditions.push('timestamp <= ?');
+            params.push(SqliteStorageAdapter.toIsoString(until));
+        }
+
+        // bm25 is lower for better matches, the weights follow the columns and match TweetSearch.score
+        const tweetIds = this.db.prepare(`
+            SELECT tweet_id FROM tweet_search
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${sort === 'relevance' ? 'bm25(tweet_search, 0, 0, 1, 2, 2),' : ''} timestamp DESC
+            LIMIT ?
+        `).all(...params, limit).map(row => row.tweet_id);
+
+        return this.getUniqueTweets(tweetIds, null)
+            .map(tweet => ({ ...tweet, snippet: TweetSearch.snippet(tweet.content, search) }));
+    }
+
+    async clearTweets() {
+        return this.db.transaction(() => {
+            const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM tweets').get();
+            this.db.exec('DELETE FROM tweet_entities; DELETE FROM tweet_search; DELETE FROM tweet_sessions; DELETE FROM tweets;');
+            return count;
+        })();
+    }
+
+    // Profiles and follow users
+
+    async saveProfile(profile, sessionId, source = 'app') {
+        const record = this.writeProfile(profile, sessionId, source);
+        return StorageAdapter.toProfileView(record, sessionId);
+    }
+
+    async getProfile(handle) {
+        const row = this.db.prepare('SELECT session_id, data FROM profiles WHERE handle_key = ?')
+            .get(String(handle).replace(/^@/, '').toLowerCase());
+        return row ? StorageAdapter.toProfileView(JSON.parse(row.data), row.session_id) : null;
+    }
+
+    async saveFollowUsers(users, sessionId, relation, target, source = 'app') {
+        return this.writeFollowUsers(users, sessionId, relation, target, source);
+    }
+
+    async getFollowUsers(sessionId) {
+        const id = String(sessionId);
+        if (!this.db.prepare('SELECT 1 FROM sessions WHERE session_id = ?').get(id)) {
+            return null;
+        }
+        return this.db.prepare('SELECT data FROM follow_users WHERE session_id = ? ORDER BY rowid')
+            .all(id)
+            .map(row => {
+                const user = JSON.parse(row.data);
+                return { ...user, saved_at: StorageAdapter.toDate(user.saved_at) };
+            });
+    }
+
+    // Auto-scraping targets, search spec targets are objects so they are keyed by their JSON
+
+    async saveAutoScrapingProfile(profile) {
+        return this.writeAutoScrapingProfile(profile);
+    }
+
+    async getAutoScrapingProfiles() {
+        return this.db.prepare('SELECT * FROM auto_scraping_profiles WHERE is_active = 1 ORDER BY created_at, rowid')
+            .all()
+            .map(row => StorageAdapter.toAutoTargetView({ ...row, target: JSON.parse(row.target), is_active: !!row.is_active }));
+    }
+
+    async updateAutoScrapingProfileLastScraped(type, target) {
+        this.db.prepare('UPDATE auto_scraping_profiles SET last_scraped_at = ? WHERE type = ? AND target_key = ?')
+            .run(new Date().toISOString(), type, JSON.stringify(target));
+    }
+
+    async deleteAutoScrapingProfile(type, target) {
+        this.db.prepare('DELETE FROM auto_scraping_profiles WHERE type = ? AND target_key = ?').run(type, JSON.stringify(target));
+    }
+
+    async getCounts() {
+        const count = (table, column = '*') => this.db.prepare(`SELECT COUNT(${column}) AS count FROM ${table}`).get().count;
+        return {
+            sessions: count('sessions'),
+            tweets: count('tweets'),
+            profiles: count('profiles')
+        };
+    }
+
+    // The tweets with these ids in the same order, session_ids lists the sessions of source that saw
+    // each one and session_id is the last of them
+    getUniqueTweets(tweetIds, source) {
+        const ids = JSON.stringify(tweetIds);
+        const sessionIds = new Map(tweetIds.map(tweetId => [tweetId, []]));
+        this.db.prepare(`
+            SELECT tweet_sessions.tweet_id, tweet_sessions.session_id FROM tweet_sessions
+            JOIN sessions ON sessions.session_id = tweet_sessions.session_id
+            WHERE tweet_sessions.tweet_id IN (SELECT value FROM json_each(?)) ${source ? 'AND sessions.source = ?' : ''}
+            ORDER BY tweet_sessions.saved_at, tweet_sessions.rowid
+        `).all(ids, ...(source ? [source] : [])).forEach(row => sessionIds.get(row.tweet_id).push(row.session_id));
+
+        const rows = new Map(this.db.prepare('SELECT tweet_id, data, created_at FROM tweets WHERE tweet_id IN (SELECT value FROM json_each(?))')
+            .all(ids)
+            .map(row => [row.tweet_id, row]));
+        return tweetIds.map(tweetId => {
+            const seenBy = sessionIds.get(tweetId);
+            return {
+                ...SqliteStorageAdapter.toTweetView(rows.get(tweetId), seenBy[seenBy.length - 1] || null),
+                session_ids: seenBy
+            };
+        });
+    }
+
+    // Synchronous writes, shared by the adapter methods and the JSON import
+
+    writeSession(session, source = 'app') {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO sessions (session_id, source, scrape_type, target, account, encrypted, status,
+                started_at, created_at, updated_at)
+            VALUES (@session_id, @source, @scrape_type, @target, @account, @encrypted, @status,
+                @started_at, @created_at, @updated_at)
+            ON CONFLICT (session_id) DO UPDATE SET
+                scrape_type = excluded.scrape_type,
+                target = excluded.target,
+                account = excluded.account,
+                encrypted = excluded.encrypted,
+                status = excluded.status,
+                updated_at = excluded.updated_at
+        `).run({
+            session_id: String(session.session_id),
+            source,
+            scrape_type: session.scrape_type || 'twitter',
+            target: session.target ?? null,
+            account: session.account || 'default',
+            encrypted: session.encrypted ? 1 : 0,
+            status: session.status || null,
+            started_at: session.started_at || now,
+            created_at: session.created_at || now,
+            updated_at: session.updated_at || now
+        });
+    }
+
+    // Sessions that only ever received tweets, e.g. ones whose row lives in MongoDB, are created on first write
+    ensureSession(sessionId, source, defaults = {}) {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT OR IGNORE INTO sessions (session_id, source, scrape_type, target, started_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(String(sessionId), source, defaults.scrape_type || 'twitter', defaults.target ?? null, now, now, now);
+    }
+
+    writeSessionFields(sessionId, fields) {
+        const updates = JsonStorageAdapter.SESSION_FIELDS.filter(column => fields[column] !== undefined);
+        const values = updates.map(column => (column === 'encrypted' ? (fields[column] ? 1 : 0) : fields[column]));
+
+        const result = this.db.prepare(`
+            UPDATE sessions SET ${[...updates.map(column => `${column} = ?`), 'updated_at = ?'].join(', ')}
+            WHERE session_id = ?
+        `).run(...values, fields.updated_at || new Date().toISOString(), String(sessionId));
+        return result.changes > 0;
+    }
+
+    // The session the way its JSON file used to look
+    toSessionData(row, tweets, users) {
+        const session = {
+            session_id: row.session_id,
+            scrape_type: row.scrape_type,
+            target: row.target,
+            source: row.source,
+            account: row.account || 'default',
+            encrypted: !!row.encrypted,
+            status: row.status,
+            started_at: row.started_at,
+            created_at: row.created_at,
+            updated_at: row.updated_at,
+            tweets,
+            tweet_count: tweets.length
+        };
+
+        if (row.resumed_at) session.resumed_at = row.resumed_at;
+        if (row.completed_at) session.completed_at = row.completed_at;
+        if (row.tweets_found !== null) session.tweets_found = row.tweets_found;
+        if (row.profile) session.profile = JSON.parse(row.profile);
+        if (row.relation) {
+            session.relation = row.relation;
+            session.users = users;
+            session.user_count = users.length;
+        }
+        return session;
+    }
+
+    // records are the session file tweet records, see saveTweets
+    writeTweets(records, sessionId, source = 'app') {
+        const id = String(sessionId);
+        this.db.transaction(() => {
+            this.ensureSession(id, source);
+            for (const record of records) {
+                this.writeTweet(record, id);
+            }
+            this.db.prepare('UPDATE sessions SET updated_at = ? WHERE session_id = ?').run(new Date().toISOString(), id);
+        })();
+    }
+
+    // Store the record as the tweet's latest, keeping the history of earlier saves, and link it to the
+    // session. options.savedAt is when the session saw it, options.search = false leaves the search
+    // index to indexTweetSearch.
+    writeTweet(record, sessionId, options = {}) {
+        const savedAt = options.savedAt || record.saved_at || new Date().toISOString();
+        const existing = this.db.prepare('SELECT data, created_at FROM tweets WHERE tweet_id = ?').get(record.tweet_id);
+        const tweet = existing
+            ? { ...record, metrics_history: [...(JSON.parse(existing.data).metrics_history || []), ...(record.metrics_history || [])] }
+            : record;
+
+        this.db.prepare(`
+            INSERT INTO tweets (tweet_id, session_id, user_handle, timestamp, created_at, updated_at, data)
+            VALUES (@tweet_id, @session_id, @user_handle, @timestamp, @created_at, @updated_at, @data)
+            ON CONFLICT (tweet_id) DO UPDATE SET
+                session_id = excluded.session_id,
+                user_handle = excluded.user_handle,
+                timestamp = excluded.timestamp,
+                updated_at = excluded.updated_at,
+                data = excluded.data
+        `).run({
+            tweet_id: record.tweet_id,
+            session_id: sessionId,
+            user_handle: record.user?.handle || null,
+            timestamp: SqliteStorageAdapter.toIsoString(record.timestamp),
+            created_at: existing ? existing.created_at : savedAt,
+            updated_at: savedAt,
+            data: JSON.stringify(tweet)
+        });
+        this.db.prepare('INSERT OR IGNORE INTO tweet_sessions (tweet_id, session_id, saved_at) VALUES (?, ?, ?)')
+            .run(record.tweet_id, sessionId, savedAt);
+
+        this.db.prepare('DELETE FROM tweet_entities WHERE tweet_id = ?').run(record.tweet_id);
+        const insertEntity = this.db.prepare('INSERT OR IGNORE INTO tweet_entities (type, value, tweet_id) VALUES (?, ?, ?)');
+        const keys = TweetEntities.getIndexKeys(StorageAdapter.getEntities(record));
+        for (const [type, values] of Object.entries(keys)) {
+            for (const value of values) {
+                insertEntity.run(type, value, record.tweet_id);
+            }
+        }
+
+        if (options.search !== false) {
+            this.db.prepare('DELETE FROM tweet_search WHERE tweet_id = ?').run(record.tweet_id);
+            this.insertSearchRow(tweet, sessionId);
+        }
+    }
+
+    insertSearchRow(record, sessionId) {
+        const document = TweetSearch.getDocument(StorageAdapter.toTweetView(record, sessionId));
+        this.db.prepare('INSERT INTO tweet_search (tweet_id, timestamp, content, author, entities) VALUES (?, ?, ?, ?, ?)')
+            .run(record.tweet_id, SqliteStorageAdapter.toIsoString(record.timestamp), document.content, document.author, document.entities);
+    }
+
+    // Stores created before full-text search get their tweets indexed once. The app and the scraper
+    // can open the store at the same time, the immediate transaction keeps them from both indexing.
+    indexTweetSearch() {
+        const indexed = this.db.transaction(() => {
+            if (this.db.prepare('SELECT value FROM meta WHERE key = ?').get('search_indexed')) {
+                return 0;
+            }
+
+            this.db.exec('DELETE FROM tweet_search');
+            const rows = this.db.prepare('SELECT session_id, data FROM tweets ORDER BY rowid').all();
+            for (const row of rows) {
+                this.insertSearchRow(JSON.parse(row.data), row.session_id);
+            }
+            this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('search_indexed', new Date().toISOString());
+            return rows.length;
+        }).immediate();
+
+        if (indexed > 0) {
+            console.log(`Indexed ${indexed} tweets for search`);
+        }
+        return indexed;
+    }
+
+    // Returns the stored profile record, which keeps the time the handle was first saved
+    writeProfile(profile, sessionId, source = 'app') {
+        const id = String(sessionId);
+        const now = new Date().toISOString();
+        const handleKey = String(profile.handle).toLowerCase();
+
+        return this.db.transaction(() => {
+            const existing = this.db.prepare('SELECT data FROM profiles WHERE handle_key = ?').get(handleKey);
+            const record = {
+                ...profile,
+                created_at: (existing && JSON.parse(existing.data).created_at) || profile.created_at || now,
+                updated_at: now,
+                last_scraped_at: now
+            };
+
+            this.ensureSession(id, source, { scrape_type: 'profile', target: profile.handle });
+            this.db.prepare('UPDATE sessions SET profile = ?, updated_at = ? WHERE session_id = ?')
+                .run(JSON.stringify(record), now, id);
+            this.db.prepare(`
+                INSERT INTO profiles (handle_key, handle, session_id, data, updated_at)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (handle_key) DO UPDATE SET
+                    handle = excluded.handle,
+                    session_id = excluded.session_id,
+                    data = excluded.data,
+                    updated_at = excluded.updated_at
+            `).run(handleKey, profile.handle, id, JSON.stringify(record), now);
+            return record;
+        })();
+    }
+
+    // Returns how many users the session holds after the save
+    writeFollowUsers(users, sessionId, relation, target, source = 'app') {
+        const id = String(sessionId);
+        const now = new Date().toISOString();
+        const insertUser = this.db.prepare('INSERT OR IGNORE INTO follow_users (session_id, handle, data) VALUES (?, ?, ?)');
+
+        return this.db.transaction(() => {
+            this.ensureSession(id, source, { scrape_type: relation, target });
+            for (const user of users) {
+                insertUser.run(id, user.handle, JSON.stringify({ ...user, saved_at: now }));
+            }
+            this.writeSessionFields(id, { relation, updated_at: now });
+            return this.db.prepare('SELECT COUNT(*) AS count FROM follow_users WHERE session_id = ?').get(id).count;
+        })();
+    }
+
+    writeAutoScrapingProfile(profile) {
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO auto_scraping_profiles (type, target_key, target, account, is_active, created_at, updated_at, last_scraped_at)
+            VALUES (@type, @target_key, @target, @account, 1, @now, @now, NULL)
+            ON CONFLICT (type, target_key) DO UPDATE SET
+                account = excluded.account,
+                is_active = 1,
+                updated_at = excluded.updated_at,
+                last_scraped_at = NULL
+        `).run({
+            type: profile.type,
+            target_key: JSON.stringify(profile.target),
+            target: JSON.stringify(profile.target),
+            account: profile.account || null,
+            now
+        });
+        return profile.target;
+    }
+
+    // One-time import of the session JSON files and auto-scraping targets written before the SQLite store.
+    // The files are left where they are, so switching LOCAL_STORAGE back to json still finds them.
+    importJsonFiles() {
+        if (this.db.prepare('SELECT value FROM meta WHERE key = ?').get('json_imported')) {
+            return { sessions: 0, tweets: 0 };
+        }
+
+        const summary = { sessions: 0, tweets: 0 };
+        const files = fs.readdirSync(this.dataDir)
+            .filter(file => /^session(api)?_.+\.json$/.test(file));
+
+        this.db.transaction(() => {
+            for (const file of files) {
+                let sessionData;
+                try {
+                    sessionData = JSON.parse(fs.readFileSync(path.join(this.dataDir, file), 'utf8'));
+                } catch (error) {
+                    console.error(`Skipping unreadable session file ${file}:`, error.message);
+                    continue;
+                }
+                if (!sessionData.session_id) {
+                    continue;
+                }
+
+                const source = file.startsWith('sessionapi_') ? 'api' : 'app';
+                this.writeSession(sessionData, source);
+                this.writeSessionFields(sessionData.session_id, {
+                    tweets_found: sessionData.tweets_found,
+                    relation: sessionData.relation,
+                    resumed_at: sessionData.resumed_at,
+                    completed_at: sessionData.completed_at,
+                    updated_at: sessionData.updated_at
+                });
+                // Session files of earlier versions hold their own copy of each tweet
+                this.writeTweets((sessionData.tweets || []).map(tweet => ({
+                    ...tweet,
+                    entities: tweet.entities || TweetEntities.fromText(tweet.content)
+                })), sessionData.session_id, source);
+                if (sessionData.users) {
+                    this.writeFollowUsers(sessionData.users, sessionData.session_id, sessionData.relation, sessionData.target, source);
+                }
+                if (sessionData.profile?.handle) {
+                    this.writeProfile(sessionData.profile, sessionData.session_id, source);
+                }
+                // The writes above touch updated_at, keep the time the session file last changed
+                this.db.prepare('UPDATE sessions SET updated_at = ? WHERE session_id = ?')
+                    .run(sessionData.updated_at || sessionData.created_at || new Date().toISOString(), String(sessionData.session_id));
+
+                summary.sessions++;
+                summary.tweets += (sessionData.tweets || []).length;
+            }
+            summary.tweets += this.importTweetIndex();
+
+            try {
+                const targets = JSON.parse(fs.readFileSync(path.join(this.dataDir, 'auto_scraping_profiles.json'), 'utf8'));
+                for (const target of targets) {
+                    this.writeAutoScrapingProfile(target);
+                    if (target.last_scraped_at) {
+                        this.db.prepare('UPDATE auto_scraping_profiles SET last_scraped_at = ? WHERE type = ? AND target_key = ?')
+                            .run(target.last_scraped_at, target.type, JSON.stringify(target.target));
+                    }
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Skipping unreadable auto-scraping profiles file:', error.message);
+                }
+            }
+
+            this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('json_imported', new Date().toISOString());
+        })();
+
+        console.log(`Imported ${summary.sessions} session files with ${summary.tweets} tweets into SQLite`);
+        return summary;
+    }
+
+    // tweets.json of the JSON store, each tweet written once with the sessions that saw it
+    importTweetIndex() {
+        let tweetIndex;
+        try {
+            tweetIndex = JSON.parse(fs.readFileSync(this.getSidePath('tweets.json'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Skipping unreadable tweets file:', error.message);
+            }
+            return 0;
+        }
+
+        const hasSession = this.db.prepare('SELECT 1 FROM sessions WHERE session_id = ?');
+        let imported = 0;
+        for (const entry of Object.values(tweetIndex)) {
+            const [first, ...rest] = entry.sessions.filter(seen => hasSession.get(seen.session_id));
+            if (!first) {
+                continue;
+            }
+            this.writeTweet({
+                ...entry.tweet,
+                entities: entry.tweet.entities || TweetEntities.fromText(entry.tweet.content)
+            }, first.session_id, { savedAt: first.saved_at });
+            for (const seen of rest) {
+                this.db.prepare('INSERT OR IGNORE INTO tweet_sessions (tweet_id, session_id, saved_at) VALUES (?, ?, ?)')
+                    .run(entry.tweet.tweet_id, seen.session_id, seen.saved_at);
+            }
+            this.db.prepare('UPDATE tweets SET session_id = ? WHERE tweet_id = ?')
+                .run((rest[rest.length - 1] || first).session_id, entry.tweet.tweet_id);
+            imported++;
+        }
+        return imported;
+    }
+
+    // A tweets row read for a session, with when the tweet was first saved
+    static toTweetView(row, sessionId) {
+        return StorageAdapter.toTweetView(JSON.parse(row.data), sessionId, row.created_at);
+    }
+
+    static toIsoString(value) {
+        if (!value) {
+            return null;
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+module.exports = SqliteStorageAdapter;
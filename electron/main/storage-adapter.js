@@ -0,0 +1,281 @@
+const TweetEntities = require('./tweet-entities');
+
+// The contract every storage backend implements. TweetDatabase writes through the local adapter
+// and, when data sharing is on, the MongoDB one too, and reads from whichever is active. All
+// methods are async and return the same shapes whatever the backend:
+//
+// - tweet records passed to saveTweets are the session file records (user object, metrics_history)
+// - tweets read back are flat views: _id and tweet_id, session_id as a string, user_handle and
+//   user_name, timestamp/created_at/updated_at as Dates, no metrics_history
+// - sessions read back have session_id as a string and their dates as Dates
+// - profiles read back are the scraped fields plus handle, session_id, created_at, updated_at and
+//   last_scraped_at
+//
+// A tweet seen by several sessions (the home timeline, a profile and a search) is stored once, with
+// the sessions that saw it. Session reads list it under each of them, listTweets and exportTweets
+// return it once with session_ids listing those sessions.
+//
+// scripts/test-storage.js runs the same checks against every adapter.
+class StorageAdapter {
+    async initialize() {
+        return true;
+    }
+
+    async close() {}
+
+    // Sessions
+
+    // Returns the session id, session.session_id is kept when given so a session can be mirrored
+    async createSession(session) { this.notImplemented('createSession'); }
+    // fields: status, tweets_found, source, encrypted, relation, resumed_at, completed_at. False when there is no such session
+    async updateSession(sessionId, fields, source = 'app') { this.notImplemented('updateSession'); }
+    async getSession(sessionId, source = 'app') { this.notImplemented('getSession'); }
+    // Sessions with their tweets and profile, newest first
+    async listSessions(source = 'app') { this.notImplemented('listSessions'); }
+    async deleteSession(sessionId, source = 'app') { this.notImplemented('deleteSession'); }
+    // Profiles and auto-scraping targets are not part of a session, so they stay
+    async deleteAllSessions() { this.notImplemented('deleteAllSessions'); }
+
+    // Tweets
+
+    // A tweet already stored takes the fields of the new record and adds its history entry, whichever
+    // session saved it before
+    async saveTweets(records, sessionId, source = 'app') { this.notImplemented('saveTweets'); }
+    // Null when there is no such session
+    async getSessionTweets(sessionId, source = 'app') { this.notImplemented('getSessionTweets'); }
+    // Every tweet once, newest first, as saved by the last session that saw it and with session_ids
+    // listing every session that saw it in the order they did. options: source (null for both), limit
+    async listTweets(options = {}) { this.notImplemented('listTweets'); }
+    async findTweetsByEntity(type, value, limit = 100) { this.notImplemented('findTweetsByEntity'); }
+    // options: since, until, limit. Handles match case-insensitively
+    async findTweetsByHandle(handle, options = {}) { this.notImplemented('findTweetsByHandle'); }
+    // Full-text search of both sources in the TweetSearch query syntax, only the local stores implement
+    // it. Tweets come back once like listTweets, each with a snippet of its content in HTML.
+    // options: since, until, limit (50), sort ('relevance' or 'newest')
+    async searchTweets(query, options = {}) { this.notImplemented('searchTweets'); }
+    // Snapshots of one tweet across sessions as { captured_at (ISO string), session_id, metrics }
+    async getMetricSnapshots(tweetId) { this.notImplemented('getMetricSnapshots'); }
+    // Returns how many tweets were removed, a tweet several sessions saw counts once
+    async clearTweets() { this.notImplemented('clearTweets'); }
+
+    // Profiles and follow users
+
+    async saveProfile(profile, sessionId, source = 'app') { this.notImplemented('saveProfile'); }
+    async getProfile(handle) { this.notImplemented('getProfile'); }
+    // Returns how many users the session holds after the save
+    async saveFollowUsers(users, sessionId, relation, target, source = 'app') { this.notImplemented('saveFollowUsers'); }
+    // Null when there is no such session
+    async getFollowUsers(sessionId, source = 'app') { this.notImplemented('getFollowUsers'); }
+
+    // Scrape cursors and profile snapshots
+
+    async getScrapeCursor(key) { this.notImplemented('getScrapeCursor'); }
+    async saveScrapeCursor(cursor) { this.notImplemented('saveScrapeCursor'); }
+    async addProfileSnapshot(snapshot) { this.notImplemented('addProfileSnapshot'); }
+    // Oldest first, options: since, until as ISO strings
+    async getProfileSnapshots(handleKey, options = {}) { this.notImplemented('getProfileSnapshots'); }
+
+    // Auto-scraping targets, search spec targets are objects so they compare by value
+
+    async saveAutoScrapingProfile(profile) { this.notImplemented('saveAutoScrapingProfile'); }
+    async getAutoScrapingProfiles() { this.notImplemented('getAutoScrapingProfiles'); }
+    async updateAutoScrapingProfileLastScraped(type, target) { this.notImplemented('updateAutoScrapingProfileLastScraped'); }
+    async deleteAutoScrapingProfile(type, target) { this.notImplemented('deleteAutoScrapingProfile'); }
+
+    // Tweets several sessions saw count once
+    async getCounts() { this.notImplemented('getCounts'); }
+
+    // Exports are built from the methods above, adapters only override them when they can do better
+
+    // Every tweet once with the session that saw it last, options.dedupe = false exports every sighting
+    async exportTweets(options = {}) {
+        const sessions = new Map();
+        const tweets = [];
+        for (const source of ['app', 'api']) {
+            for (const session of await this.listSessions(source)) {
+                const info = {
+                    id: session.session_id,
+                    type: session.scrape_type,
+                    target: session.target,
+                    started_at: session.started_at
+                };
+                sessions.set(session.session_id, info);
+                if (options.dedupe === false) {
+                    tweets.push(...session.tweets.map(tweet => StorageAdapter.toExportTweet(tweet, info)));
+                }
+            }
+        }
+
+        if (options.dedupe !== false) {
+            for (const tweet of await this.listTweets({ source: null })) {
+                tweets.push(StorageAdapter.toExportTweet(tweet, sessions.get(tweet.session_id) || null));
+            }
+        }
+        return tweets.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async exportSession(sessionId, source = 'app') {
+        const session = await this.getSession(sessionId, source);
+        if (!session) {
+            return null;
+        }
+
+        const tweets = await this.getSessionTweets(sessionId, source);
+        return {
+            session: {
+                id: session.session_id,
+                type: session.scrape_type,
+                target: session.target,
+                account: session.account,
+                started_at: session.started_at,
+                completed_at: session.completed_at,
+                status: session.status,
+                tweets_found: tweets.length
+            },
+            tweets: tweets
+                .map(tweet => StorageAdapter.toExportTweet(tweet))
+                .sort((a, b) => b.timestamp - a.timestamp)
+        };
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.constructor.name} does not implement ${method}`);
+    }
+
+    // Shared record helpers
+
+    // Retweet, quote, reply and thread links so analysis can tell retweeters apart from authors
+    static getRelationshipFields(tweet) {
+        return {
+            is_retweet: !!tweet.is_retweet,
+            retweeted_by: tweet.retweeted_by || null,
+            quoted_tweet: tweet.quoted_tweet || null,
+            in_reply_to_tweet_id: tweet.in_reply_to_tweet_id || null,
+            in_reply_to_handle: tweet.in_reply_to_handle || null,
+            thread: tweet.thread || null
+        };
+    }
+
+    // Poll, link preview card and Community Note shown with the tweet
+    static getAttachmentFields(tweet) {
+        return {
+            poll: tweet.poll || null,
+            card: tweet.card || null,
+            community_note: tweet.community_note || null
+        };
+    }
+
+    // Tweets saved before entities were extracted get them from their text
+    static getEntities(tweet) {
+        return tweet.entities ? TweetEntities.normalize(tweet.entities) : TweetEntities.fromText(tweet.content);
+    }
+
+    // The tweet view of a stored record, createdAt is when the tweet was first saved
+    static toTweetView(record, sessionId, createdAt = record.saved_at) {
+        const savedAt = StorageAdapter.toDate(record.saved_at);
+        return {
+            _id: record.tweet_id,
+            tweet_id: record.tweet_id,
+            session_id: String(sessionId),
+            user_handle: record.user?.handle || 'unknown',
+            user_name: record.user?.name || '',
+            content: record.content || '',
+            timestamp: StorageAdapter.toDate(record.timestamp),
+            url: record.url,
+            metrics: record.metrics,
+            media: record.media || [],
+            ...StorageAdapter.getRelationshipFields(record),
+            entities: StorageAdapter.getEntities(record),
+            ...StorageAdapter.getAttachmentFields(record),
+            lang: record.lang || null,
+            created_at: StorageAdapter.toDate(createdAt),
+            updated_at: savedAt
+        };
+    }
+
+    // The session view of a session file, without its tweets
+    static toSessionView(sessionData, source = 'app') {
+        const sessionId = String(sessionData.session_id);
+        return {
+            session_id: sessionId,
+            scrape_type: sessionData.scrape_type || 'twitter',
+            target: sessionData.target ?? null,
+            source: sessionData.source || source,
+            account: sessionData.account || 'default',
+            encrypted: !!sessionData.encrypted,
+            status: sessionData.status || null,
+            relation: sessionData.relation || null,
+            tweets_found: sessionData.tweets_found ?? null,
+            started_at: StorageAdapter.toDate(sessionData.started_at || sessionData.created_at),
+            resumed_at: StorageAdapter.toDate(sessionData.resumed_at),
+            completed_at: StorageAdapter.toDate(sessionData.completed_at),
+            created_at: StorageAdapter.toDate(sessionData.created_at),
+            updated_at: StorageAdapter.toDate(sessionData.updated_at),
+            profile: sessionData.profile?.handle ? StorageAdapter.toProfileView(sessionData.profile, sessionId) : null
+        };
+    }
+
+    static toProfileView(profile, sessionId) {
+        const { _id, handle_key, ...fields } = profile;
+        return {
+            ...fields,
+            handle: profile.handle,
+            session_id: sessionId ? String(sessionId) : null,
+            created_at: StorageAdapter.toDate(profile.created_at || profile.updated_at),
+            updated_at: StorageAdapter.toDate(profile.updated_at),
+            last_scraped_at: StorageAdapter.toDate(profile.last_scraped_at)
+        };
+    }
+
+    static toAutoTargetView(profile) {
+        return {
+            type: profile.type,
+            target: profile.target,
+            account: profile.account || null,
+            is_active: profile.is_active !== false,
+            created_at: StorageAdapter.toDate(profile.created_at),
+            updated_at: StorageAdapter.toDate(profile.updated_at),
+            last_scraped_at: StorageAdapter.toDate(profile.last_scraped_at)
+        };
+    }
+
+    static toExportTweet(tweet, session) {
+        const row = {
+            tweet_id: tweet.tweet_id,
+            user_handle: tweet.user_handle,
+            user_name: tweet.user_name,
+            content: tweet.content,
+            timestamp: tweet.timestamp,
+            url: tweet.url,
+            metrics: tweet.metrics,
+            media: tweet.media,
+            ...StorageAdapter.getRelationshipFields(tweet),
+            entities: tweet.entities,
+            ...StorageAdapter.getAttachmentFields(tweet),
+            created_at: tweet.created_at,
+            updated_at: tweet.updated_at
+        };
+        if (session) {
+            row.session = session;
+        }
+        if (tweet.session_ids) {
+            row.session_ids = tweet.session_ids;
+        }
+        return row;
+    }
+
+    static toDate(value) {
+        if (!value) {
+            return null;
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Newest first by tweet time, ties keep their order
+    static byTimestampDesc(a, b) {
+        return (b.timestamp?.getTime() || 0) - (a.timestamp?.getTime() || 0);
+    }
+}
+
+module.exports = StorageAdapter;
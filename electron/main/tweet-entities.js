@@ -0,0 +1,111 @@
+// Structured hashtags, mentions, cashtags and links of a tweet. Hashtags and mentions are stored
+// lowercase and cashtags uppercase, so lookups do not depend on how the author typed them.
+class TweetEntities {
+    static empty() {
+        return { hashtags: [], mentions: [], cashtags: [], urls: [] };
+    }
+
+    // Long tweets carry their own entity set in note_tweet, legacy.entities only covers the truncated text
+    static fromGraphQL(tweet) {
+        const source = tweet.note_tweet?.note_tweet_results?.result?.entity_set || tweet.legacy?.entities || {};
+
+        return TweetEntities.normalize({
+            hashtags: (source.hashtags || []).map(hashtag => hashtag.text),
+            mentions: (source.user_mentions || []).map(mention => mention.screen_name),
+            cashtags: (source.symbols || []).map(symbol => symbol.text),
+            urls: (source.urls || []).map(url => ({
+                url: url.url,
+                expanded_url: url.expanded_url,
+                display_url: url.display_url
+            }))
+        });
+    }
+
+    // Fallback for tweets saved before entities were extracted
+    static fromText(text) {
+        const content = text || '';
+        const matchAll = (pattern) => Array.from(content.matchAll(pattern), match => match[1]);
+
+        return TweetEntities.normalize({
+            hashtags: matchAll(/(?:^|[^\w&/])[#＃](\w*[^\W\d]\w*)/gu),
+            mentions: matchAll(/(?:^|[^\w@])@(\w{1,15})\b/g),
+            cashtags: matchAll(/(?:^|[\s(])\$([A-Za-z]{1,6}(?:[._][A-Za-z]{1,2})?)\b/g),
+            // Trailing punctuation belongs to the sentence, not the link
+            urls: matchAll(/(https?:\/\/[^\s…]+)/g)
+                .map(url => url.replace(/[).,!?;:'"]+$/, ''))
+                .map(url => ({ url, expanded_url: url, display_url: null }))
+        });
+    }
+
+    static normalize(entities) {
+        if (!entities) {
+            return TweetEntities.empty();
+        }
+
+        const unique = (values, transform) => [...new Set((values || [])
+            .filter(Boolean)
+            .map(value => transform(String(value).replace(/^[#＃@$]/, ''))))];
+
+        const urls = new Map();
+        for (const url of entities.urls || []) {
+            const expandedUrl = url?.expanded_url || url?.url;
+            if (!expandedUrl || urls.has(expandedUrl)) {
+                continue;
+            }
+            urls.set(expandedUrl, {
+                url: url.url || expandedUrl,
+                expanded_url: expandedUrl,
+                display_url: url.display_url || expandedUrl.replace(/^https?:\/\/(www\.)?/, ''),
+                domain: TweetEntities.getDomain(expandedUrl)
+            });
+        }
+
+        return {
+            hashtags: unique(entities.hashtags, value => value.toLowerCase()),
+            mentions: unique(entities.mentions, value => value.toLowerCase()),
+            cashtags: unique(entities.cashtags, value => value.toUpperCase()),
+            urls: Array.from(urls.values())
+        };
+    }
+
+    static getDomain(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The lookup keys a tweet is indexed under, { hashtags: ['ai'], ..., domains: ['example.com'] }
+    static getIndexKeys(entities) {
+        return {
+            hashtags: entities.hashtags,
+            mentions: entities.mentions,
+            cashtags: entities.cashtags,
+            domains: [...new Set(entities.urls.map(url => url.domain).filter(Boolean))]
+        };
+    }
+
+    // Turns a user supplied entity type and value into the form it is stored in
+    static normalizeQuery(type, value) {
+        const types = { hashtag: 'hashtags', mention: 'mentions', cashtag: 'cashtags', domain: 'domains' };
+        const indexType = types[type] || type;
+        if (!Object.values(types).includes(indexType)) {
+            throw new Error(`Unknown entity type "${type}", expected hashtag, mention, cashtag or domain`);
+        }
+
+        const bare = String(value || '').trim().replace(/^[#＃@$]/, '');
+        if (!bare) {
+            throw new Error('An entity value is required');
+        }
+        if (indexType === 'cashtags') {
+            return { type: indexType, value: bare.toUpperCase() };
+        }
+        if (indexType === 'domains') {
+            return { type: indexType, value: TweetEntities.getDomain(/^https?:\/\//.test(bare) ? bare : `https://${bare}`) || bare.toLowerCase() };
+        }
+        return { type: indexType, value: bare.toLowerCase() };
+    }
+}
+
+module.exports = TweetEntities;
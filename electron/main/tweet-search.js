@@ -0,0 +1,327 @@
+// Full-text search queries over tweet content, author and entities. A query is words, "quoted
+// phrases" and word* prefixes, all of which must match unless joined with OR, with NOT or a leading
+// - to exclude and parentheses to group. Words are compared lowercase and without diacritics, the
+// way the SQLite FTS5 unicode61 tokenizer compares them, so both local stores find the same tweets.
+const MAX_QUERY_LENGTH = 500;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_CONTEXT = 60;
+
+// A match in an author or entity counts more than one somewhere in the text
+const FIELD_WEIGHTS = { content: 1, author: 2, entities: 2 };
+
+class TweetSearch {
+    // Lowercase words without diacritics, punctuation separates them
+    static tokenize(text) {
+        return Array.from(String(text || '').matchAll(/[\p{L}\p{N}\p{M}]+/gu), match => TweetSearch.normalizeWord(match[0]))
+            .filter(Boolean);
+    }
+
+    static normalizeWord(word) {
+        return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
+    // The query as a tree of { type: 'term', value, prefix }, { type: 'phrase', words, prefix },
+    // { type: 'and' | 'or', children } and { type: 'not', child } nodes
+    static parse(query) {
+        const text = String(query || '').trim();
+        if (!text) {
+            throw new Error('A search query is required');
+        }
+        if (text.length > MAX_QUERY_LENGTH) {
+            throw new Error(`Search queries are limited to ${MAX_QUERY_LENGTH} characters`);
+        }
+
+        const tokens = TweetSearch.lex(text);
+        let position = 0;
+        const peek = () => tokens[position];
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (peek()?.type === 'OR') {
+                position++;
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== ')' && peek().type !== 'OR') {
+                if (peek().type === 'AND') {
+                    position++;
+                    continue;
+                }
+                const negate = peek().type === 'NOT';
+                if (negate) {
+                    position++;
+                }
+                const node = parsePrimary();
+                if (node) {
+                    children.push(negate ? { type: 'not', child: node } : node);
+                }
+            }
+
+            if (!children.length) {
+                throw new Error('The search has no words to look for');
+            }
+            // FTS5 can only exclude from something that matched, so a group of exclusions finds nothing
+            if (children.every(child => child.type === 'not')) {
+                throw new Error('A search cannot only exclude words, add a word to look for');
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token || token.type === ')' || token.type === 'OR' || token.type === 'AND' || token.type === 'NOT') {
+                throw new Error('Expected a word or phrase after NOT');
+            }
+            position++;
+
+            if (token.type === '(') {
+                const node = parseOr();
+                if (peek()?.type !== ')') {
+                    throw new Error('Missing closing parenthesis');
+                }
+                position++;
+                return node;
+            }
+
+            // Words made only of punctuation have nothing to match
+            const words = TweetSearch.tokenize(token.text);
+            if (!words.length) {
+                return null;
+            }
+            return words.length === 1
+                ? { type: 'term', value: words[0], prefix: token.prefix }
+                : { type: 'phrase', words, prefix: token.prefix };
+        };
+
+        const tree = parseOr();
+        if (position < tokens.length) {
+            throw new Error(tokens[position].type === ')' ? 'Unexpected closing parenthesis' : 'Unexpected OR');
+        }
+        return tree;
+    }
+
+    static lex(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char });
+                index++;
+            } else if (char === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+                tokens.push({ type: 'NOT' });
+                index++;
+            } else if (char === '"') {
+                const end = text.indexOf('"', index + 1);
+                if (end === -1) {
+                    throw new Error('Missing closing quote');
+                }
+                const prefix = text[end + 1] === '*';
+                tokens.push({ type: 'word', text: text.slice(index + 1, end), prefix });
+                index = end + (prefix ? 2 : 1);
+            } else {
+                let end = index;
+                while (end < text.length && !/[\s()"]/.test(text[end])) {
+                    end++;
+                }
+                const word = text.slice(index, end);
+                if (word === 'OR' || word === 'AND' || word === 'NOT') {
+                    tokens.push({ type: word });
+                } else {
+                    tokens.push({ type: 'word', text: word.replace(/\*+$/, ''), prefix: /[^*]\*+$/.test(word) });
+                }
+                index = end;
+            }
+        }
+        return tokens;
+    }
+
+    // The searchable text of a tweet view, one string per field
+    static getDocument(tweet) {
+        const entities = tweet.entities || {};
+        return {
+            content: tweet.content || '',
+            author: [tweet.user_handle, tweet.user_name].filter(Boolean).join(' '),
+            entities: [
+                ...(entities.hashtags || []),
+                ...(entities.mentions || []),
+                ...(entities.cashtags || []),
+                ...(entities.urls || []).map(url => url.domain).filter(Boolean)
+            ].join(' ')
+        };
+    }
+
+    static tokenizeDocument(document) {
+        const fields = {};
+        for (const field of Object.keys(FIELD_WEIGHTS)) {
+            fields[field] = TweetSearch.tokenize(document[field]);
+        }
+        return fields;
+    }
+
+    // The query in FTS5 syntax. Every word is quoted, so nothing the user typed is read as an operator.
+    static toFtsQuery(node) {
+        const group = child => `(${TweetSearch.toFtsQuery(child)})`;
+        switch (node.type) {
+            case 'term':
+                return `"${node.value}"${node.prefix ? '*' : ''}`;
+            case 'phrase':
+                return `"${node.words.join(' ')}"${node.prefix ? '*' : ''}`;
+            case 'or':
+                return node.children.map(group).join(' OR ');
+            case 'and': {
+                const included = node.children.filter(child => child.type !== 'not').map(group).join(' AND ');
+                return node.children
+                    .filter(child => child.type === 'not')
+                    .reduce((query, child) => `(${query}) NOT ${group(child.child)}`, included);
+            }
+            default:
+                throw new Error(`Unknown search node ${node.type}`);
+        }
+    }
+
+    // Whether a tokenized document matches, a phrase has to be within one field like in FTS5
+    static matches(node, fields) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase':
+                return Object.values(fields).some(words => TweetSearch.countMatches(node, words) > 0);
+            case 'or':
+                return node.children.some(child => TweetSearch.matches(child, fields));
+            case 'and':
+                return node.children.every(child => (child.type === 'not'
+                    ? !TweetSearch.matches(child.child, fields)
+                    : TweetSearch.matches(child, fields)));
+            default:
+                return false;
+        }
+    }
+
+    // Weighted count of the words and phrases the query looks for, higher is more relevant
+    static score(node, fields) {
+        return TweetSearch.getIncludedNodes(node).reduce((total, leaf) => total + Object.entries(fields)
+            .reduce((sum, [field, words]) => sum + TweetSearch.countMatches(leaf, words) * FIELD_WEIGHTS[field], 0), 0);
+    }
+
+    static countMatches(leaf, words) {
+        return TweetSearch.findMatches(leaf, words).length;
+    }
+
+    // The start of every match of a term or phrase in a list of words
+    static findMatches(leaf, words) {
+        const phrase = leaf.type === 'term' ? [leaf.value] : leaf.words;
+        const starts = [];
+        for (let start = 0; start + phrase.length <= words.length; start++) {
+            const matched = phrase.every((word, offset) => {
+                const isLast = offset === phrase.length - 1;
+                return leaf.prefix && isLast ? words[start + offset].startsWith(word) : words[start + offset] === word;
+            });
+            if (matched) {
+                starts.push(start);
+            }
+        }
+        return starts;
+    }
+
+    // Terms and phrases outside of NOT, the ones a snippet highlights
+    static getIncludedNodes(node) {
+        switch (node.type) {
+            case 'term':
+            case 'phrase':
+                return [node];
+            case 'or':
+            case 'and':
+                return node.children.flatMap(child => TweetSearch.getIncludedNodes(child));
+            default:
+                return [];
+        }
+    }
+
+    // HTML-escaped excerpt of the content around the first match, matches wrapped in <mark>
+    static snippet(content, node) {
+        const text = String(content || '');
+        const words = Array.from(text.matchAll(/[\p{L}\p{N}\p{M}]+/gu), match => ({
+            word: TweetSearch.normalizeWord(match[0]),
+            start: match.index,
+            end: match.index + match[0].length
+        })).filter(word => word.word);
+        const normalized = words.map(word => word.word);
+
+        const ranges = [];
+        for (const leaf of TweetSearch.getIncludedNodes(node)) {
+            const length = leaf.type === 'term' ? 1 : leaf.words.length;
+            for (const start of TweetSearch.findMatches(leaf, normalized)) {
+                ranges.push([words[start].start, words[start + length - 1].end]);
+            }
+        }
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        // Overlapping matches, e.g. a phrase and one of its words, become one mark
+        const marks = [];
+        for (const range of ranges) {
+            const last = marks[marks.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                marks.push([...range]);
+            }
+        }
+
+        let start = 0;
+        if (marks.length && marks[0][0] > SNIPPET_CONTEXT) {
+            // Start at a word boundary before the first match
+            const space = text.indexOf(' ', marks[0][0] - SNIPPET_CONTEXT);
+            start = space !== -1 && space < marks[0][0] ? space + 1 : marks[0][0];
+        }
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            end = Math.max(space > start ? space : end, ...marks.filter(mark => mark[0] < end).map(mark => mark[1]));
+        }
+
+        let html = start > 0 ? '…' : '';
+        let cursor = start;
+        for (const [markStart, markEnd] of marks) {
+            if (markEnd <= start || markStart >= end) {
+                continue;
+            }
+            html += TweetSearch.escapeHtml(text.slice(cursor, markStart));
+            html += `<mark>${TweetSearch.escapeHtml(text.slice(markStart, markEnd))}</mark>`;
+            cursor = markEnd;
+        }
+        html += TweetSearch.escapeHtml(text.slice(cursor, end));
+        return end < text.length ? `${html}…` : html;
+    }
+
+    static escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Newest first when sort is 'newest', otherwise most relevant first and newest among equals
+    static normalizeOptions(options = {}) {
+        const sort = options.sort || 'relevance';
+        if (!['relevance', 'newest'].includes(sort)) {
+            throw new Error(`Unknown sort "${sort}", expected relevance or newest`);
+        }
+        return {
+            since: options.since || null,
+            until: options.until || null,
+            limit: options.limit || 50,
+            sort
+        };
+    }
+}
+
+module.exports = TweetSearch;
@@ -14,12 +14,48 @@ contextBridge.exposeInMainWorld(
 
 contextBridge.exposeInMainWorld('electronAPI', {
     // Authentication
-    startTwitterAuth: () => ipcRenderer.invoke('start-twitter-auth'),
+    startTwitterAuth: (account) => ipcRenderer.invoke('start-twitter-auth', { account }),
+
+    // Accounts
+    getAccounts: () => ipcRenderer.invoke('get-accounts'),
+    addAccount: (params) => ipcRenderer.invoke('add-account', params),
+    removeAccount: (name) => ipcRenderer.invoke('remove-account', name),
+    switchAccount: (name) => ipcRenderer.invoke('switch-account', name),
+    updateAccountNetwork: (params) => ipcRenderer.invoke('update-account-network', params),
+    checkAccountConnectivity: (name) => ipcRenderer.invoke('check-account-connectivity', name),
+
+    // Selectors
+    checkSelectorHealth: (params) => ipcRenderer.invoke('check-selector-health', params),
+    getSelectorProfile: () => ipcRenderer.invoke('get-selector-profile'),
+
+    // Stored data queries
+    getProfileHistory: (params) => ipcRenderer.invoke('get-profile-history', params),
+    getTweetMetricsHistory: (tweetId) => ipcRenderer.invoke('get-tweet-metrics-history', tweetId),
+    getTweetsByEntity: (params) => ipcRenderer.invoke('get-tweets-by-entity', params),
+    getTweetsByHandle: (params) => ipcRenderer.invoke('get-tweets-by-handle', params),
+    searchTweets: (params) => ipcRenderer.invoke('search-tweets', params),
+
     scrapeTweets: (params) => ipcRenderer.invoke('scrape-tweets', params),
     scrapeProfile: (params) => ipcRenderer.invoke('scrape-profile', params),
     scrapeHome: (params) => ipcRenderer.invoke('scrape-home', params),
+    scrapeThread: (params) => ipcRenderer.invoke('scrape-thread', params),
+    scrapeBookmarks: (params) => ipcRenderer.invoke('scrape-bookmarks', params),
+    scrapeLikes: (params) => ipcRenderer.invoke('scrape-likes', params),
+    scrapeList: (params) => ipcRenderer.invoke('scrape-list', params),
+    scrapeFollowers: (params) => ipcRenderer.invoke('scrape-followers', params),
+    scrapeFollowing: (params) => ipcRenderer.invoke('scrape-following', params),
+    resumeSession: (sessionId) => ipcRenderer.invoke('resume-session', sessionId),
+    getResumableSessions: () => ipcRenderer.invoke('get-resumable-sessions'),
+    cancelScrapeJob: (jobId) => ipcRenderer.invoke('cancel-scrape-job', jobId),
+    getScrapeJobs: () => ipcRenderer.invoke('get-scrape-jobs'),
+    onScrapeJobProgress: (callback) => {
+        ipcRenderer.on('scrape-job-progress', (_, job) => callback(job));
+    },
+    removeScrapeJobProgressListener: () => {
+        ipcRenderer.removeAllListeners('scrape-job-progress');
+    },
     getStatus: () => ipcRenderer.invoke('get-status'),
-    getStoredTweets: () => ipcRenderer.invoke('get-stored-tweets'),
+    getStoredTweets: (options) => ipcRenderer.invoke('get-stored-tweets', options),
     clearStoredTweets: () => ipcRenderer.invoke('clear-stored-tweets'),
     clearTwitterSession: () => ipcRenderer.invoke('clear-twitter-session'),
     
@@ -30,9 +66,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getApiLogs: (options) => ipcRenderer.invoke('get-api-logs', options),
     
     // Download functionality
-    downloadAllTweets: () => ipcRenderer.invoke('download-all-tweets'),
+    downloadAllTweets: (options) => ipcRenderer.invoke('download-all-tweets', options),
     downloadTweetsBySession: (sessionId) => ipcRenderer.invoke('download-tweets-by-session', sessionId),
-    deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+    deleteSession: (sessionId, source) => ipcRenderer.invoke('delete-session', sessionId, source),
     
     // Auto-scraping functions
     startAutoScraping: (params) => ipcRenderer.invoke('start-auto-scraping', params),
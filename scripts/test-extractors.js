@@ -0,0 +1,372 @@
+// Offline tests for the tweet and profile extractors. Saved X pages and GraphQL responses from
+// scripts/fixtures are served from a local server and scraped in headless Chromium, so no network
+// or X login is needed.
+//
+// The scraper modules read their config through Electron, so run this with Electron:
+//   npm run test:extractors
+// Headless Chromium must be installed once with: npx playwright install chromium
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const assert = require('assert');
+const { chromium } = require('playwright');
+const { app } = require('electron');
+
+const TwitterScraper = require('../electron/main/scraper');
+const TweetDatabase = require('../electron/main/database');
+const GraphQLCapture = require('../electron/main/graphql-capture');
+const RateLimiter = require('../electron/main/rate-limiter');
+const SelectorProfile = require('../electron/main/selector-profile');
+const TweetEntities = require('../electron/main/tweet-entities');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Page routes mimic x.com paths, GraphQL routes answer with the saved response for the operation
+const ROUTES = {
+    '/home': 'home.html',
+    '/fixtureuser': 'profile.html',
+    '/search': 'search.html',
+    '/alice/status/1790000000000000401': 'conversation.html'
+};
+const GRAPHQL_FIXTURES = {
+    UserTweets: 'user-tweets.json',
+    SearchTimeline: 'search-timeline.json'
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+    try {
+        assert.deepStrictEqual(actual, expected);
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`  ✗ ${name}`);
+        console.log(`      expected: ${JSON.stringify(expected)}`);
+        console.log(`      actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+function startFixtureServer() {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const operation = pathname.match(/^\/i\/api\/graphql\/[^/]+\/([A-Za-z]+)$/)?.[1];
+        const file = operation ? GRAPHQL_FIXTURES[operation] : ROUTES[pathname];
+
+        if (!file) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': operation ? 'application/json' : 'text/html; charset=utf-8' });
+        res.end(fs.readFileSync(path.join(FIXTURES_DIR, file)));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+// Only the page-level extraction methods are exercised, so the scraper is assembled without its
+// constructor, which would open the app data directory and the database
+function createScraper(page, extractionMode) {
+    const scraper = Object.create(TwitterScraper.prototype);
+    Object.assign(scraper, {
+        page,
+        extractionMode,
+        activeAccount: 'fixtures',
+        isLoggedIn: true,
+        // parseMetric is the only database method the extractors use and it keeps no state
+        db: Object.create(TweetDatabase.prototype),
+        graphqlCapture: new GraphQLCapture(),
+        rateLimiter: new RateLimiter({ requestsPerWindow: 1000 }),
+        // A path that does not exist, so the built-in selector profile is tested
+        selectorProfile: new SelectorProfile(path.join(FIXTURES_DIR, 'no-selector-overrides.json'))
+    });
+    scraper.graphqlCapture.attach(page);
+    return scraper;
+}
+
+async function waitForCapture(scraper) {
+    for (let attempt = 0; attempt < 50 && !scraper.graphqlCapture.hasCapturedTweets(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+function testMetricParsing() {
+    console.log('\nMetric parsing');
+    const parseMetric = TweetDatabase.prototype.parseMetric;
+    check('plain number', parseMetric('12'), 12);
+    check('thousands suffix', parseMetric('1.2K'), 1200);
+    check('millions suffix', parseMetric('3.4M'), 3400000);
+    check('billions suffix', parseMetric('1.2B'), 1200000000);
+    check('thousands separator', parseMetric('1,050'), 1050);
+    check('number with label', parseMetric('4,567 Followers'), 4567);
+    check('empty string', parseMetric(''), 0);
+    check('missing value', parseMetric(undefined), 0);
+    check('already a number', parseMetric(56), 56);
+}
+
+function testEntityParsing() {
+    console.log('\nEntity parsing from text');
+    const entities = TweetEntities.fromText('Launch day #AI #ai with @Alice, $tsla up (see https://example.com/a) mail me@example.com');
+    check('hashtags are deduplicated case-insensitively', entities.hashtags, ['ai']);
+    check('email addresses are not mentions', entities.mentions, ['alice']);
+    check('cashtags are uppercased', entities.cashtags, ['TSLA']);
+    check('links keep their domain', entities.urls.map(url => [url.expanded_url, url.domain]), [['https://example.com/a', 'example.com']]);
+    check('entity queries are normalized', TweetEntities.normalizeQuery('hashtag', '#AI'), { type: 'hashtags', value: 'ai' });
+}
+
+function testGraphQLParsing() {
+    console.log('\nGraphQL response parsing');
+    const search = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'search-timeline.json'), 'utf8'));
+    const tweets = GraphQLCapture.parseResponse(search);
+    const byId = new Map(tweets.map(tweet => [tweet.tweet_id, tweet]));
+
+    check('tombstones and cursors are skipped', tweets.map(tweet => tweet.tweet_id), [
+        '1790000000000000301',
+        '1790000000000000302',
+        '1790000000000000303',
+        '1790000000000000304'
+    ]);
+
+    const alice = byId.get('1790000000000000301');
+    check('metrics come from legacy counts', alice.metrics, { replies: 12, retweets: 1200, likes: 3400000, views: 56700 });
+    check('photo is stored at original size', alice.media[0].url, 'https://pbs.twimg.com/media/FIXTURE1.jpg?name=orig');
+    check('video keeps the highest bitrate mp4', alice.media[1].url, 'https://video.twimg.com/FIXTURE2_high.mp4');
+    check('timestamp is ISO formatted', alice.timestamp, '2024-05-15T10:00:00.000Z');
+    check('entities are normalized', alice.entities, {
+        hashtags: ['fixtures'],
+        mentions: ['bob'],
+        cashtags: ['TSLA'],
+        urls: [{ url: 'https://t.co/abc123', expanded_url: 'https://www.example.com/post/1', display_url: 'example.com/post/1', domain: 'example.com' }]
+    });
+
+    check('link card', alice.card, {
+        type: 'summary_large_image',
+        title: 'A fixture article',
+        description: 'What the linked page is about',
+        domain: 'example.com',
+        url: 'https://t.co/abc123',
+        expanded_url: 'https://www.example.com/post/1',
+        image_url: 'https://pbs.twimg.com/card_img/1790000000/FIXTURE3?format=jpg&name=orig'
+    });
+    check('community note', alice.community_note, {
+        note_id: '1790000000000009999',
+        text: 'The fixture photo was taken in 2019.',
+        status: 'currently_rated_helpful',
+        url: 'https://x.com/i/birdwatch/n/1790000000000009999'
+    });
+
+    const retweet = byId.get('1790000000000000302');
+    check('retweet is unwrapped to the original author', retweet.user.handle, 'carol');
+    check('retweeter is kept', [retweet.is_retweet, retweet.retweeted_by], [true, 'bob']);
+    check('poll with exact vote counts', retweet.poll, {
+        options: [
+            { label: 'Tabs', votes: 640, percentage: 62.5 },
+            { label: 'Spaces', votes: 384, percentage: 37.5 }
+        ],
+        total_votes: 1024,
+        state: 'closed',
+        ends_at: '2024-05-15T08:30:00.000Z',
+        duration_minutes: 1440
+    });
+    check('poll is not stored as a link card', retweet.card, null);
+
+    const quote = byId.get('1790000000000000303');
+    check('note still being rated', quote.community_note?.status, 'needs_more_ratings');
+    check('quoted tweet is normalized', [quote.quoted_tweet?.tweet_id, quote.quoted_tweet?.user.handle], ['1790000000000000300', 'erin']);
+
+    const reply = byId.get('1790000000000000304');
+    check('visibility wrapper is unwrapped', reply.user.handle, 'frank');
+    check('long tweet text comes from note_tweet', reply.content.length > 280, true);
+    check('reply target is captured', [reply.in_reply_to_tweet_id, reply.in_reply_to_handle], ['1790000000000000301', 'alice']);
+}
+
+async function testHomeTimelineDom(browser, baseUrl) {
+    console.log('\nHome timeline (DOM extraction)');
+    const page = await browser.newPage();
+    const scraper = createScraper(page, 'dom');
+    await page.goto(`${baseUrl}/home`);
+
+    const tweets = await scraper.extractTweets(4, 5);
+    const byId = new Map(tweets.map(tweet => [tweet.tweet_id, tweet]));
+    check('all tweets are extracted', tweets.length, 4);
+
+    const alice = byId.get('1790000000000000101');
+    check('author comes from the permalink', alice?.user, { name: 'Alice Example', handle: 'alice' });
+    check('timestamp', alice?.timestamp, '2024-05-15T10:00:00.000Z');
+    check('content', alice?.content, 'Hello from the fixture timeline');
+    check('metric suffixes are expanded', alice?.metrics, { replies: 12, retweets: 1200, likes: 3400000, views: 56700 });
+    check('photo url is upgraded to the original size', alice?.media[0]?.url, 'https://pbs.twimg.com/media/FIXTURE1?format=jpg&name=orig');
+    check('photo alt text', alice?.media[0]?.alt_text, 'A fixture photo');
+    check('community note text without the surrounding labels', alice?.community_note, {
+        note_id: '1790000000000009999',
+        text: 'The fixture photo was taken in 2019.',
+        status: 'currently_rated_helpful',
+        url: 'https://x.com/i/birdwatch/n/1790000000000009999'
+    });
+
+    const retweet = byId.get('1790000000000000102');
+    check('retweet keeps the original author', retweet?.user.handle, 'carol');
+    check('retweeter comes from the social context', [retweet?.is_retweet, retweet?.retweeted_by], [true, 'bob']);
+    check('empty metric counts as zero', retweet?.metrics.replies, 0);
+    check('poll options with vote shares', retweet?.poll, {
+        options: [
+            { label: 'Tabs', votes: null, percentage: 62.5 },
+            { label: 'Spaces', votes: null, percentage: 37.5 }
+        ],
+        total_votes: 1024,
+        state: 'closed',
+        ends_at: null,
+        duration_minutes: null
+    });
+    check('poll is not stored as a link card', retweet?.card, null);
+
+    const quote = byId.get('1790000000000000103');
+    check('quote card text is not mixed into the tweet', quote?.content, 'Quoting this one');
+    check('quoted tweet', [quote?.quoted_tweet?.user.handle, quote?.quoted_tweet?.content], ['erin', 'The quoted text']);
+    check('quote card metrics are not counted', quote?.metrics, { replies: 1, retweets: 2, likes: 3, views: 4 });
+
+    const reply = byId.get('1790000000000000104');
+    check('reply target handle', reply?.in_reply_to_handle, 'alice');
+    check('tweet language', reply?.lang, 'de');
+    check('entities come from the text links', reply?.entities, {
+        hashtags: ['fixtures'],
+        mentions: ['bob'],
+        cashtags: ['TSLA'],
+        urls: [{ url: 'https://t.co/abc123', expanded_url: 'https://example.com/post/1', display_url: 'example.com/post/1', domain: 'example.com' }]
+    });
+    check('link card with the expanded URL from the tweet text', reply?.card, {
+        type: 'link',
+        title: 'A fixture article',
+        description: 'What the linked page is about',
+        domain: 'example.com',
+        url: 'https://t.co/abc123',
+        expanded_url: 'https://example.com/post/1',
+        image_url: 'https://pbs.twimg.com/card_img/1790000000/FIXTURE3?format=jpg&name=small'
+    });
+    check('tweets without attachments', [quote?.poll, quote?.card, quote?.community_note], [null, null, null]);
+    check('tweet without links has no entities', alice?.entities, { hashtags: [], mentions: [], cashtags: [], urls: [] });
+
+    await page.close();
+}
+
+async function testConversationDom(browser, baseUrl) {
+    console.log('\nConversation page (DOM extraction)');
+    const page = await browser.newPage();
+    const scraper = createScraper(page, 'dom');
+    await page.goto(`${baseUrl}/alice/status/1790000000000000401`);
+
+    const tweets = scraper.buildThreadTree(await scraper.extractTweets(5, 5), '1790000000000000401');
+    const parents = Object.fromEntries(tweets.map(tweet => [tweet.tweet_id.slice(-3), tweet.in_reply_to_tweet_id?.slice(-3) || null]));
+    check('reply parents come from the conversation layout', parents, { 400: null, 401: '400', 402: '401', 403: '402', 404: '401' });
+    check('a reply without a "Replying to" line takes the focal author', tweets.find(tweet => tweet.tweet_id.endsWith('402'))?.in_reply_to_handle, 'alice');
+    check('the thread tree is rebuilt from the DOM', tweets.map(tweet => [tweet.tweet_id.slice(-3), tweet.thread.depth]),
+        [['400', 0], ['401', 1], ['402', 2], ['403', 3], ['404', 2]]);
+
+    await page.close();
+}
+
+async function testProfileDom(browser, baseUrl) {
+    console.log('\nProfile page (DOM extraction)');
+    const page = await browser.newPage();
+    const scraper = createScraper(page, 'dom');
+    await page.goto(`${baseUrl}/fixtureuser`);
+
+    const profile = await scraper.extractProfileInfo();
+    check('name', profile?.name, 'Fixture User');
+    check('handle', profile?.handle, 'fixtureuser');
+    check('bio', profile?.bio, 'Bio of the fixture account');
+    check('counts are numeric', [profile?.followers_count, profile?.following_count, profile?.tweets_count], [4567, 321, 1234]);
+    check('location', profile?.location, 'Berlin, Germany');
+    check('website', [profile?.website, profile?.website_url], ['fixture.example', 'https://t.co/fixture']);
+    check('join date', profile?.joined_at, '2010-03-01T00:00:00.000Z');
+    check('verified badge', profile?.verified, true);
+    check('affiliation badge', profile?.affiliation, {
+        name: 'Fixture Org',
+        handle: 'fixtureorg',
+        badge_url: 'https://pbs.twimg.com/profile_images/1700000000/org_normal.png'
+    });
+    check('avatar is requested at full size', profile?.avatar_url, 'https://pbs.twimg.com/profile_images/1790000000/fixture_400x400.jpg');
+    check('banner is requested at full size', profile?.banner_url, 'https://pbs.twimg.com/profile_banners/997403665/1715760000/1500x500');
+    check('pinned tweet id', profile?.pinned_tweet_id, '1700000000000000001');
+    check('join date without a year is ignored', TwitterScraper.parseJoinDate('Joined recently'), null);
+
+    const tweets = await scraper.extractTweets(2, 5);
+    const pinned = tweets.find(tweet => tweet.tweet_id === '1700000000000000001');
+    check('profile tweets are extracted', tweets.length, 2);
+    check('pinned tweet is flagged', pinned?.is_pinned, true);
+    check('pinned tweet is not a retweet', pinned?.is_retweet, false);
+    check('views with thousands separator', tweets.find(tweet => tweet.tweet_id === '1790000000000000201')?.metrics.views, 1050);
+
+    await page.close();
+}
+
+async function testGraphQLCapture(browser, baseUrl) {
+    console.log('\nSearch and profile pages (GraphQL capture)');
+    let page = await browser.newPage();
+    let scraper = createScraper(page, 'graphql');
+    await page.goto(`${baseUrl}/search`);
+    await waitForCapture(scraper);
+
+    // The search fixture renders no tweets, so these can only come from the captured response
+    const searchTweets = await scraper.extractTweets(4, 5);
+    check('search tweets come from the captured response', searchTweets.map(tweet => tweet.tweet_id).sort(), [
+        '1790000000000000301',
+        '1790000000000000302',
+        '1790000000000000303',
+        '1790000000000000304'
+    ]);
+    await page.close();
+
+    page = await browser.newPage();
+    scraper = createScraper(page, 'graphql');
+    await page.goto(`${baseUrl}/fixtureuser`);
+    await waitForCapture(scraper);
+
+    const profileTweets = await scraper.extractTweets(2, 5);
+    const pinned = profileTweets.find(tweet => tweet.tweet_id === '1700000000000000001');
+    check('pin entry is captured and flagged', pinned?.is_pinned, true);
+    check('views come from the captured response', pinned?.metrics.views, 8900);
+    await page.close();
+}
+
+async function runTests() {
+    let server;
+    let browser;
+    try {
+        console.log('=== Extractor fixture tests ===');
+        testMetricParsing();
+        testEntityParsing();
+        testGraphQLParsing();
+
+        server = await startFixtureServer();
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        console.log(`\nServing fixtures at ${baseUrl}`);
+
+        browser = await chromium.launch({ headless: true });
+        await testHomeTimelineDom(browser, baseUrl);
+        await testConversationDom(browser, baseUrl);
+        await testProfileDom(browser, baseUrl);
+        await testGraphQLCapture(browser, baseUrl);
+    } catch (error) {
+        failed++;
+        console.error('\nTest run failed:', error);
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+        if (server) {
+            server.close();
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    app.exit(failed > 0 ? 1 : 0);
+}
+
+app.whenReady().then(runTests);
@@ -0,0 +1,400 @@
+// Conformance tests for the storage adapters. The same checks run against the JSON, SQLite and
+// MongoDB adapters, so a backend that drifts from the others fails here.
+//
+// better-sqlite3 is built for Electron, so run this with Electron:
+//   npm run test:storage
+// MongoDB comes from MONGODB_TEST_URI when it is set (e.g. a local mongod at mongodb://127.0.0.1:27017),
+// otherwise from an in-memory server. Each run uses its own database and drops it afterwards.
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const assert = require('assert');
+const { app } = require('electron');
+
+const JsonStorageAdapter = require('../electron/main/json-storage-adapter');
+const SqliteStorageAdapter = require('../electron/main/sqlite-storage-adapter');
+const MongoStorageAdapter = require('../electron/main/mongo-storage-adapter');
+const TweetEntities = require('../electron/main/tweet-entities');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+    try {
+        assert.deepStrictEqual(actual, expected);
+        passed++;
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`  ✗ ${name}`);
+        console.log(`      expected: ${JSON.stringify(expected)}`);
+        console.log(`      actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+// A tweet record the way TweetDatabase builds it before handing it to an adapter
+function tweetRecord(tweetId, handle, content, timestamp, likes, sessionId) {
+    const snapshot = {
+        captured_at: new Date().toISOString(),
+        session_id: sessionId,
+        metrics: { replies: 0, retweets: 0, likes, views: likes * 10 }
+    };
+    return {
+        tweet_id: tweetId,
+        user: { handle, name: `${handle} name` },
+        content,
+        timestamp,
+        url: `https://x.com/${handle}/status/${tweetId}`,
+        metrics: snapshot.metrics,
+        metrics_history: [snapshot],
+        media: [],
+        is_retweet: false,
+        retweeted_by: null,
+        quoted_tweet: null,
+        in_reply_to_tweet_id: null,
+        in_reply_to_handle: null,
+        thread: null,
+        entities: TweetEntities.fromText(content),
+        poll: null,
+        card: null,
+        community_note: null,
+        lang: 'en',
+        saved_at: new Date().toISOString()
+    };
+}
+
+// The backend-independent part of a tweet view
+function summarize(tweet) {
+    return {
+        _id: tweet._id,
+        tweet_id: tweet.tweet_id,
+        user_handle: tweet.user_handle,
+        user_name: tweet.user_name,
+        timestamp: tweet.timestamp instanceof Date ? tweet.timestamp.toISOString() : tweet.timestamp,
+        likes: tweet.metrics.likes,
+        hashtags: tweet.entities.hashtags,
+        has_history: 'metrics_history' in tweet
+    };
+}
+
+// options.search runs the full-text search checks, which only the local adapters implement
+async function runSuite(name, adapter, options = {}) {
+    console.log(`\n=== ${name} ===`);
+    await adapter.initialize();
+
+    // Sessions
+    const first = await adapter.createSession({
+        scrape_type: 'profile',
+        target: 'alice',
+        source: 'app',
+        started_at: new Date('2024-05-01T10:00:00Z')
+    });
+    const second = await adapter.createSession({
+        scrape_type: 'search',
+        target: 'ai',
+        source: 'app',
+        account: 'work',
+        encrypted: true,
+        started_at: new Date('2024-05-02T10:00:00Z')
+    });
+    const apiSession = await adapter.createSession({ scrape_type: 'home', target: 'twitter', source: 'api' });
+    const mirrored = await adapter.createSession({ session_id: 'mirror_1', scrape_type: 'home', target: 'twitter', source: 'app' });
+
+    check('createSession returns string ids', [typeof first, typeof second], ['string', 'string']);
+    check('createSession keeps a given session_id', mirrored, 'mirror_1');
+
+    const session = await adapter.getSession(second);
+    check('getSession returns the session view', {
+        session_id: session.session_id,
+        scrape_type: session.scrape_type,
+        target: session.target,
+        account: session.account,
+        encrypted: session.encrypted,
+        status: session.status,
+        started_at: session.started_at.toISOString(),
+        completed_at: session.completed_at
+    }, {
+        session_id: second,
+        scrape_type: 'search',
+        target: 'ai',
+        account: 'work',
+        encrypted: true,
+        status: 'in_progress',
+        started_at: '2024-05-02T10:00:00.000Z',
+        completed_at: null
+    });
+    check('getSession defaults the account', (await adapter.getSession(first)).account, 'default');
+    check('getSession of an unknown session is null', await adapter.getSession('unknown_session'), null);
+
+    const updated = await adapter.updateSession(second, { status: 'completed', tweets_found: 1, completed_at: new Date('2024-05-02T11:00:00Z') });
+    const completed = await adapter.getSession(second);
+    check('updateSession changes the given fields', [updated, completed.status, completed.tweets_found, completed.completed_at.toISOString()],
+        [true, 'completed', 1, '2024-05-02T11:00:00.000Z']);
+    check('updateSession of an unknown session is false', await adapter.updateSession('unknown_session', { status: 'failed' }), false);
+
+    // Tweets
+    await adapter.saveTweets([
+        tweetRecord('1001', 'alice', 'First post #AI', '2024-05-01T09:00:00Z', 5, first),
+        tweetRecord('1002', 'alice', 'Second post', '2024-05-01T09:30:00Z', 7, first)
+    ], first, 'app');
+    await adapter.saveTweets([tweetRecord('1001', 'alice', 'First post #AI', '2024-05-01T09:00:00Z', 9, first)], first, 'app');
+    await adapter.saveTweets([tweetRecord('2001', 'Bob', 'Talking about #ai', '2024-05-02T08:00:00Z', 1, second)], second, 'app');
+    await adapter.saveTweets([tweetRecord('3001', 'carol', 'From the API', '2024-05-03T08:00:00Z', 2, apiSession)], apiSession, 'api');
+
+    const sessionTweets = await adapter.getSessionTweets(first, 'app');
+    check('getSessionTweets returns tweet views in saving order', sessionTweets.map(summarize), [
+        { _id: '1001', tweet_id: '1001', user_handle: 'alice', user_name: 'alice name', timestamp: '2024-05-01T09:00:00.000Z', likes: 9, hashtags: ['ai'], has_history: false },
+        { _id: '1002', tweet_id: '1002', user_handle: 'alice', user_name: 'alice name', timestamp: '2024-05-01T09:30:00.000Z', likes: 7, hashtags: [], has_history: false }
+    ]);
+    check('tweet views carry their session id and dates', [sessionTweets[0].session_id, sessionTweets[0].created_at instanceof Date], [first, true]);
+    check('getSessionTweets of an unknown session is null', await adapter.getSessionTweets('unknown_session'), null);
+    check('getSessionTweets reads api sessions', (await adapter.getSessionTweets(apiSession, 'api')).map(tweet => tweet.tweet_id), ['3001']);
+
+    const snapshots = await adapter.getMetricSnapshots('1001');
+    check('getMetricSnapshots keeps every sighting', snapshots.map(snapshot => [snapshot.metrics.likes, typeof snapshot.captured_at, snapshot.session_id]),
+        [[5, 'string', first], [9, 'string', first]]);
+
+    const sessions = await adapter.listSessions('app');
+    check('listSessions returns the sessions of a source, newest first', sessions.map(s => s.session_id).filter(id => id !== mirrored),
+        [second, first]);
+    check('listSessions includes tweets', sessions.find(s => s.session_id === first).tweets.map(tweet => tweet.tweet_id), ['1001', '1002']);
+
+    check('listTweets returns the tweets of a source, newest first', (await adapter.listTweets()).map(tweet => tweet.tweet_id), ['2001', '1002', '1001']);
+    check('listTweets takes a limit', (await adapter.listTweets({ limit: 2 })).map(tweet => tweet.tweet_id), ['2001', '1002']);
+    check('listTweets of both sources', (await adapter.listTweets({ source: null })).map(tweet => tweet.tweet_id), ['3001', '2001', '1002', '1001']);
+
+    check('findTweetsByEntity matches normalized entities', (await adapter.findTweetsByEntity('hashtags', 'ai', 10)).map(tweet => tweet.tweet_id),
+        ['2001', '1001']);
+    check('findTweetsByHandle ignores case', (await adapter.findTweetsByHandle('BOB')).map(tweet => tweet.user_handle), ['Bob']);
+    check('findTweetsByHandle filters by date', (await adapter.findTweetsByHandle('alice', { since: '2024-05-01T09:15:00Z' }))
+        .map(tweet => tweet.tweet_id), ['1002']);
+
+    // Profiles and follow users
+    const savedProfile = await adapter.saveProfile({ handle: 'alice', name: 'Alice', followers_count: 10 }, first, 'app');
+    await adapter.saveProfile({ handle: 'alice', name: 'Alice', followers_count: 12 }, first, 'app');
+    const profile = await adapter.getProfile('@ALICE');
+    check('getProfile returns the latest profile view', {
+        handle: profile.handle,
+        name: profile.name,
+        followers_count: profile.followers_count,
+        session_id: profile.session_id,
+        dates: [profile.created_at, profile.updated_at, profile.last_scraped_at].map(date => date instanceof Date)
+    }, {
+        handle: 'alice',
+        name: 'Alice',
+        followers_count: 12,
+        session_id: first,
+        dates: [true, true, true]
+    });
+    check('saveProfile keeps the first created_at', profile.created_at.getTime(), savedProfile.created_at.getTime());
+    check('getProfile of an unknown handle is null', await adapter.getProfile('nobody'), null);
+    check('getSession includes the saved profile', (await adapter.getSession(first)).profile?.handle, 'alice');
+
+    const followSession = await adapter.createSession({ scrape_type: 'followers', target: 'alice', source: 'app' });
+    await adapter.saveFollowUsers([{ handle: 'u1', name: 'User 1' }, { handle: 'u2', name: 'User 2' }], followSession, 'followers', 'alice', 'app');
+    const userCount = await adapter.saveFollowUsers([{ handle: 'u2', name: 'User 2' }, { handle: 'u3', name: 'User 3' }], followSession, 'followers', 'alice', 'app');
+    const users = await adapter.getFollowUsers(followSession, 'app');
+    check('saveFollowUsers counts each user once', userCount, 3);
+    check('getFollowUsers returns the users', users.map(user => [user.handle, user.name, user.saved_at instanceof Date]),
+        [['u1', 'User 1', true], ['u2', 'User 2', true], ['u3', 'User 3', true]]);
+    check('getFollowUsers of an unknown session is null', await adapter.getFollowUsers('unknown_session'), null);
+
+    // Scrape cursors and profile snapshots
+    await adapter.saveScrapeCursor({ key: 'profile:alice', type: 'profile', target: 'alice', newest_tweet_id: '1002' });
+    await adapter.saveScrapeCursor({ key: 'profile:alice', type: 'profile', target: 'alice', newest_tweet_id: '1003' });
+    check('getScrapeCursor returns the latest cursor', (await adapter.getScrapeCursor('profile:alice'))?.newest_tweet_id, '1003');
+    check('getScrapeCursor of an unknown key is null', await adapter.getScrapeCursor('profile:nobody'), null);
+
+    await adapter.addProfileSnapshot({ handle_key: 'alice', handle: 'alice', captured_at: '2024-05-01T00:00:00.000Z', followers_count: 10 });
+    await adapter.addProfileSnapshot({ handle_key: 'alice', handle: 'alice', captured_at: '2024-05-02T00:00:00.000Z', followers_count: 12 });
+    check('getProfileSnapshots returns snapshots oldest first', (await adapter.getProfileSnapshots('alice')).map(s => s.followers_count), [10, 12]);
+    check('getProfileSnapshots filters by date', (await adapter.getProfileSnapshots('alice', { since: '2024-05-01T12:00:00.000Z' }))
+        .map(s => s.followers_count), [12]);
+
+    // Auto-scraping targets
+    const spec = { keywords: 'ai agents', min_likes: 10 };
+    await adapter.saveAutoScrapingProfile({ type: 'profile', target: 'alice', account: null });
+    await adapter.saveAutoScrapingProfile({ type: 'query', target: spec, account: 'work' });
+    await adapter.saveAutoScrapingProfile({ type: 'profile', target: 'alice', account: 'work' });
+    await adapter.updateAutoScrapingProfileLastScraped('query', { ...spec });
+    const targets = await adapter.getAutoScrapingProfiles();
+    check('auto-scraping targets are unique per type and target', targets.map(t => [t.type, t.target, t.account]),
+        [['profile', 'alice', 'work'], ['query', spec, 'work']]);
+    check('updateAutoScrapingProfileLastScraped matches object targets', targets.map(t => t.last_scraped_at instanceof Date), [false, true]);
+    await adapter.deleteAutoScrapingProfile('query', { ...spec });
+    check('deleteAutoScrapingProfile removes the target', (await adapter.getAutoScrapingProfiles()).map(t => t.type), ['profile']);
+
+    // Counts, exports and deletes
+    check('getCounts counts sessions, tweets and profiles', await adapter.getCounts(), { sessions: 5, tweets: 4, profiles: 1 });
+
+    const exported = await adapter.exportSession(first, 'app');
+    check('exportSession returns the session and its tweets newest first', [exported.session.id, exported.tweets.map(tweet => tweet.tweet_id)],
+        [first, ['1002', '1001']]);
+    check('exportSession of an unknown session is null', await adapter.exportSession('unknown_session'), null);
+    const exportedTweets = await adapter.exportTweets();
+    check('exportTweets includes every tweet with its session', exportedTweets.map(tweet => [tweet.tweet_id, tweet.session?.id]),
+        [['3001', apiSession], ['2001', second], ['1002', first], ['1001', first]]);
+
+    check('deleteSession reports whether the session existed', [await adapter.deleteSession(second), await adapter.deleteSession(second)], [true, false]);
+    check('deleteSession removes the session and its tweets', [await adapter.getSession(second), await adapter.findTweetsByHandle('bob')], [null, []]);
+
+    check('clearTweets returns how many tweets were removed', await adapter.clearTweets(), 3);
+    check('clearTweets keeps the sessions', (await adapter.getSessionTweets(first, 'app')).length, 0);
+
+    await adapter.deleteAllSessions();
+    const counts = await adapter.getCounts();
+    check('deleteAllSessions keeps profiles', [counts.sessions, counts.tweets], [0, 0]);
+    check('deleteAllSessions keeps auto-scraping targets', (await adapter.getAutoScrapingProfiles()).length, 1);
+
+    // A tweet several sessions saw is stored and counted once
+    const timeline = await adapter.createSession({ scrape_type: 'home', target: 'timeline', source: 'app' });
+    const search = await adapter.createSession({ scrape_type: 'search', target: 'ai', source: 'app' });
+    const apiSearch = await adapter.createSession({ scrape_type: 'search', target: 'ai', source: 'api' });
+    await adapter.saveTweets([
+        { ...tweetRecord('7001', 'erin', 'Seen twice', '2024-05-06T08:00:00Z', 1, timeline), saved_at: '2024-05-06T09:00:00.000Z' }
+    ], timeline, 'app');
+    await adapter.saveTweets([
+        { ...tweetRecord('7001', 'erin', 'Seen twice', '2024-05-06T08:00:00Z', 4, search), saved_at: '2024-05-06T10:00:00.000Z' },
+        { ...tweetRecord('7002', 'erin', 'Seen once', '2024-05-06T09:00:00Z', 2, search), saved_at: '2024-05-06T10:00:00.000Z' }
+    ], search, 'app');
+    await adapter.saveTweets([
+        { ...tweetRecord('7003', 'erin', 'From the API', '2024-05-06T07:00:00Z', 3, apiSearch), saved_at: '2024-05-06T11:00:00.000Z' }
+    ], apiSearch, 'api');
+
+    check('listTweets returns a tweet once with every session that saw it',
+        (await adapter.listTweets()).map(tweet => [tweet.tweet_id, tweet.session_id, tweet.session_ids, tweet.metrics.likes]),
+        [['7002', search, [search], 2], ['7001', search, [timeline, search], 4]]);
+    const dedupedCounts = await adapter.getCounts();
+    check('getCounts counts a tweet once', [dedupedCounts.sessions, dedupedCounts.tweets], [3, 3]);
+    check('a session reads the latest record of a tweet another session saved again',
+        (await adapter.getSessionTweets(timeline, 'app')).map(tweet => [tweet.tweet_id, tweet.session_id, tweet.metrics.likes, tweet.created_at.toISOString()]),
+        [['7001', timeline, 4, '2024-05-06T09:00:00.000Z']]);
+    check('exportTweets exports a tweet once with the session that saw it last',
+        (await adapter.exportTweets()).map(tweet => [tweet.tweet_id, tweet.session?.id, tweet.session_ids]),
+        [['7002', search, [search]], ['7001', search, [timeline, search]], ['7003', apiSearch, [apiSearch]]]);
+    check('exportTweets without dedupe exports every sighting', (await adapter.exportTweets({ dedupe: false })).length, 4);
+    await adapter.deleteSession(search);
+    check('deleteSession keeps tweets other sessions saw', (await adapter.listTweets()).map(tweet => [tweet.tweet_id, tweet.session_ids]),
+        [['7001', [timeline]]]);
+    check('clearTweets counts a tweet once', await adapter.clearTweets(), 2);
+
+    if (options.search) {
+        await runSearchChecks(adapter);
+    }
+
+    // Overlapping writes to one session or side file must all land
+    const busy = await adapter.createSession({ scrape_type: 'home', target: 'timeline', source: 'app' });
+    await Promise.all([
+        ...Array.from({ length: 20 }, (_, i) => adapter.saveTweets([
+            tweetRecord(String(5000 + i), 'dave', `Post ${i}`, '2024-05-05T08:00:00Z', i, busy)
+        ], busy, 'app')),
+        adapter.updateSession(busy, { status: 'completed' }),
+        ...['a', 'b', 'c'].map(key => adapter.saveScrapeCursor({ key: `profile:${key}`, newest_tweet_id: key }))
+    ]);
+    check('overlapping saveTweets keep every tweet', (await adapter.getSessionTweets(busy)).length, 20);
+    check('overlapping updateSession is kept', (await adapter.getSession(busy)).status, 'completed');
+    check('overlapping saveScrapeCursor keeps every cursor', await Promise.all(['a', 'b', 'c']
+        .map(async key => (await adapter.getScrapeCursor(`profile:${key}`))?.newest_tweet_id)), ['a', 'b', 'c']);
+
+    await adapter.close();
+}
+
+async function runSearchChecks(adapter) {
+    const appSession = await adapter.createSession({ scrape_type: 'search', target: 'models', source: 'app' });
+    const apiSession = await adapter.createSession({ scrape_type: 'search', target: 'models', source: 'api' });
+    await adapter.saveTweets([
+        tweetRecord('8001', 'frank', 'Open source models are getting better #AI', '2024-05-07T08:00:00Z', 1, appSession),
+        tweetRecord('8002', 'grace', 'Closed models and open weights', '2024-05-07T09:00:00Z', 2, appSession)
+    ], appSession, 'app');
+    await adapter.saveTweets([
+        tweetRecord('8001', 'frank', 'Open source models are getting better #AI', '2024-05-07T08:00:00Z', 5, apiSession),
+        tweetRecord('8003', 'frank', 'Café crypto news $BTC & more https://example.com/post', '2024-05-07T10:00:00Z', 3, apiSession)
+    ], apiSession, 'api');
+
+    const search = async (query, searchOptions) => (await adapter.searchTweets(query, searchOptions)).map(tweet => tweet.tweet_id);
+    const searchError = (query) => adapter.searchTweets(query).then(() => null, error => error.message);
+
+    check('searchTweets matches phrases', await search('"open source"'), ['8001']);
+    check('searchTweets matches prefixes', await search('model*', { sort: 'newest' }), ['8002', '8001']);
+    check('searchTweets excludes words', await search('models -closed'), ['8001']);
+    check('searchTweets matches any of OR', await search('(cafe OR grace) news OR weights', { sort: 'newest' }), ['8003', '8002']);
+    check('searchTweets ignores case and diacritics', await search('CAFÉ'), ['8003']);
+    check('searchTweets matches authors and entities', [await search('grace'), await search('btc'), await search('example.com')],
+        [['8002'], ['8003'], ['8003']]);
+    check('searchTweets filters by date', await search('model*', { since: '2024-05-07T08:30:00Z', until: '2024-05-07T09:30:00Z' }), ['8002']);
+    check('searchTweets takes a limit', await search('model*', { sort: 'newest', limit: 1 }), ['8002']);
+    check('searchTweets returns a tweet once with every session that saw it',
+        (await adapter.searchTweets('getting')).map(tweet => [tweet.tweet_id, tweet.session_ids, tweet.metrics.likes]),
+        [['8001', [appSession, apiSession], 5]]);
+    check('searchTweets highlights matches in an escaped snippet', [
+        (await adapter.searchTweets('"open source"'))[0].snippet,
+        (await adapter.searchTweets('cafe OR more*'))[0].snippet
+    ], [
+        '<mark>Open source</mark> models are getting better #AI',
+        '<mark>Café</mark> crypto news $BTC &amp; <mark>more</mark> https://example.com/post'
+    ]);
+    check('searchTweets rejects invalid queries', [await searchError('-crypto'), await searchError('"open source'), await searchError('(open')],
+        ['A search cannot only exclude words, add a word to look for', 'Missing closing quote', 'Missing closing parenthesis']);
+
+    await adapter.deleteSession(apiSession, 'api');
+    check('deleteSession keeps tweets other sessions saw searchable', [await search('cafe'), await search('getting')], [[], ['8001']]);
+    await adapter.clearTweets();
+    check('clearTweets empties the search', await search('models'), []);
+}
+
+function createTempDir(name) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), `scrapenet-${name}-`));
+}
+
+async function startMongo() {
+    if (process.env.MONGODB_TEST_URI) {
+        return { uri: process.env.MONGODB_TEST_URI, stop: async () => {} };
+    }
+
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    const server = await MongoMemoryServer.create();
+    return { uri: server.getUri(), stop: () => server.stop() };
+}
+
+async function runTests() {
+    const tempDirs = [];
+    let mongo;
+    try {
+        console.log('=== Storage adapter conformance tests ===');
+
+        const jsonDir = createTempDir('json');
+        tempDirs.push(jsonDir);
+        await runSuite('JSON adapter', new JsonStorageAdapter({ dataDir: jsonDir }), { search: true });
+
+        const sqliteDir = createTempDir('sqlite');
+        tempDirs.push(sqliteDir);
+        await runSuite('SQLite adapter', new SqliteStorageAdapter({ dataDir: sqliteDir }), { search: true });
+
+        mongo = await startMongo();
+        const dbName = `scrapenet_test_${Date.now()}`;
+        const adapter = new MongoStorageAdapter({ uri: mongo.uri, dbName, options: { serverSelectionTimeoutMS: 5000 } });
+        try {
+            await runSuite('MongoDB adapter', adapter);
+        } finally {
+            // The suite closes the adapter, reconnect to drop the throwaway database
+            await adapter.initialize();
+            await adapter.db.dropDatabase();
+            await adapter.close();
+        }
+    } catch (error) {
+        failed++;
+        console.error('\nTest run failed:', error);
+    } finally {
+        if (mongo) {
+            await mongo.stop();
+        }
+        for (const dir of tempDirs) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    app.exit(failed > 0 ? 1 : 0);
+}
+
+app.whenReady().then(runTests);